@@ -0,0 +1,270 @@
+// --- Accessibility ---
+// Keyboard shortcuts, screen reader announcements, and the high-contrast
+// and reduced-motion modes. Shortcuts press the same buttons a mouse would,
+// so a control locked by a challenge stays locked from the keyboard too.
+
+const PREFERENCES_KEY = 'photosynthesis-preferences';
+const ANNOUNCE_INTERVAL = 1000; // ms between checks for something to announce
+
+// Read by the sketch: no swaying, particles or fireflies
+let reducedMotion = false;
+
+const pressButton = id => () => document.getElementById(id).click();
+const focusControl = id => () => document.getElementById(id).focus();
+
+// [keys, description (translation key), action]. The keys stay the same
+// in every language, so a class can share one printed list.
+const SHORTCUTS = [
+    [[' '], 'shortcut.pause', pressButton('btn-pause')],
+    [['.'], 'shortcut.step', pressButton('btn-step')],
+    [['n'], 'shortcut.sunrise', pressButton('btn-sunrise')],
+    [['['], 'shortcut.slower', () => changeSpeed(-1)],
+    [[']'], 'shortcut.faster', () => changeSpeed(1)],
+    [['l'], 'shortcut.light', focusControl('slider-light')],
+    [['c'], 'shortcut.co2', focusControl('slider-co2')],
+    [['t'], 'shortcut.temp', focusControl('slider-temp')],
+    [['m'], 'shortcut.water', focusControl('slider-water')],
+    [['b'], 'shortcut.lightSource', focusControl('select-light-source')],
+    [['j'], 'shortcut.chamber', focusControl('check-chamber')],
+    [['y'], 'shortcut.weather', focusControl('select-weather')],
+    [['z'], 'shortcut.latitude', focusControl('slider-latitude')],
+    [['d'], 'shortcut.month', focusControl('select-month')],
+    [['w'], 'shortcut.waterPlant', pressButton('btn-water')],
+    [['f'], 'shortcut.fertilize', pressButton('btn-fertilize')],
+    [['v'], 'shortcut.species', focusControl('select-species')],
+    [['p'], 'shortcut.nextPlant', () => cyclePlant()],
+    [['+'], 'shortcut.addPlant', pressButton('btn-add-plant')],
+    [['Delete'], 'shortcut.removePlant', pressButton('btn-remove-plant')],
+    [['s'], 'shortcut.save', pressButton('btn-save')],
+    [['o'], 'shortcut.load', pressButton('btn-load')],
+    [['a'], 'shortcut.analysis', pressButton('btn-analysis')],
+    [['e'], 'shortcut.experiment', pressButton('btn-experiment')],
+    [['g'], 'shortcut.challenges', pressButton('btn-challenges')],
+    [['k'], 'shortcut.lessons', pressButton('btn-lessons')],
+    [['h'], 'shortcut.contrast', pressButton('btn-contrast')],
+    [['r'], 'shortcut.motion', pressButton('btn-motion')],
+    [['?'], 'shortcut.help', pressButton('btn-shortcuts')],
+    [['Escape'], 'shortcut.close', () => closeTopmost()]
+];
+
+function keyLabel(key) {
+    const named = { ' ': 'key.space', Escape: 'key.escape', Delete: 'key.delete' }[key];
+    return named ? t(named) : key.toUpperCase();
+}
+
+function changeSpeed(by) {
+    const select = document.getElementById('select-speed');
+    const index = Math.max(0, Math.min(TIME_SPEEDS.length - 1, Number(select.value) + by));
+    if (index === Number(select.value)) return;
+    select.value = index;
+    select.dispatchEvent(new Event('change'));
+    announce(t('a11y.speed', { speed: speedLabel(TIME_SPEEDS[index]) }));
+}
+
+function cyclePlant() {
+    const plants = state.plants;
+    const index = plants.findIndex(p => p.id === state.selectedPlant);
+    const next = plants[(index + 1) % plants.length];
+    selectPlant(next.id);
+    announce(t('a11y.plantSelected', { number: plants.indexOf(next) + 1, total: plants.length, plant: describePlant(next) }));
+}
+
+function closeTopmost() {
+    if (plantingMode) {
+        setPlantingMode(false);
+        return;
+    }
+    const open = [...document.querySelectorAll('.overlay:not(.hidden)')].pop();
+    if (open) open.querySelector('.close-btn').click();
+}
+
+function handleShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = e.target;
+    const typing = target.matches('input[type=text], input[type=number], input[type=time], textarea, select');
+    if (typing && e.key !== 'Escape') return;
+    // Buttons and checkboxes handle their own Space and Enter
+    if (target.matches('button, input[type=checkbox]') && (e.key === ' ' || e.key === 'Enter')) return;
+
+    if (e.key === 'Enter' && plantingMode) {
+        plantAt(widestGap());
+    } else {
+        const shortcut = SHORTCUTS.find(([keys]) => keys.includes(e.key.length === 1 ? e.key.toLowerCase() : e.key));
+        if (!shortcut) return;
+        shortcut[2]();
+    }
+    e.preventDefault();
+}
+
+function renderShortcutList() {
+    document.getElementById('shortcut-list').replaceChildren(...SHORTCUTS.flatMap(([keys, description]) => {
+        const term = document.createElement('dt');
+        keys.forEach((key, i) => term.append(i ? ' ' : '', textElement('kbd', keyLabel(key))));
+        return [term, textElement('dd', t(description))];
+    }));
+}
+
+// --- Display Modes ---
+function loadPreferences() {
+    const media = query => window.matchMedia && window.matchMedia(query).matches;
+    const defaults = {
+        highContrast: media('(prefers-contrast: more)'),
+        reducedMotion: media('(prefers-reduced-motion: reduce)')
+    };
+    try {
+        return Object.assign(defaults, JSON.parse(localStorage.getItem(PREFERENCES_KEY)));
+    } catch (err) {
+        return defaults;
+    }
+}
+
+function applyPreferences(preferences) {
+    reducedMotion = preferences.reducedMotion;
+    document.body.classList.toggle('high-contrast', preferences.highContrast);
+    document.body.classList.toggle('reduced-motion', preferences.reducedMotion);
+    document.getElementById('btn-contrast').setAttribute('aria-pressed', preferences.highContrast);
+    document.getElementById('btn-motion').setAttribute('aria-pressed', preferences.reducedMotion);
+}
+
+// `message` is the translation key of the announcement, less "On" / "Off"
+function togglePreference(name, message) {
+    const preferences = loadPreferences();
+    preferences[name] = !preferences[name];
+    applyPreferences(preferences);
+    try {
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+    } catch (err) {
+        // Still applies for this visit
+    }
+    announce(t(`${message}${preferences[name] ? 'On' : 'Off'}`));
+}
+
+// --- Announcements ---
+// The HUD rewrites its numbers several times a second, far too often for a
+// screen reader. Instead the live region gets a sentence when something
+// worth knowing happens.
+let announced = null;
+let limitingSeen = null;
+
+function announce(message) {
+    const region = document.getElementById('announcer');
+    // Cleared first so the same sentence twice is read twice
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+}
+
+function describePlant(plant) {
+    return t('a11y.plant', {
+        name: speciesName(plant.species),
+        status: t(`status.${plant.plantStatus}`).toLowerCase(),
+        biomass: Math.floor(plant.biomass)
+    });
+}
+
+function limitingName(state) {
+    if (state.limitingFactor === 'None') return 'none';
+    return state.growthRate >= SATURATION_RATE ? 'none' : state.limitingFactor;
+}
+
+function isNight() {
+    const cal = simulation.calendar();
+    return sunElevation(state.time, cal.dayOfYear, state.latitude) < 0;
+}
+
+// What is worth saying compared with the last check
+function watchState() {
+    const now = {
+        plantId: state.selectedPlant,
+        limiting: limitingName(state),
+        night: isNight(),
+        plants: Object.fromEntries(state.plants.map(p => [p.id, { status: p.plantStatus, flowering: isFlowering(p) }]))
+    };
+    const messages = [];
+    // Passing clouds flip the limiting factor back and forth, so a change
+    // is only announced once it has held for two checks in a row
+    const settled = now.limiting === limitingSeen;
+    limitingSeen = now.limiting;
+    if (announced && !replay) {
+        if (now.night !== announced.night) {
+            messages.push(t(now.night ? 'a11y.nightfall' : 'a11y.sunrise'));
+        }
+        if (now.plantId !== announced.plantId || now.night) {
+            // Another plant was picked, or it's dark: nothing new to say
+        } else if (!settled) {
+            now.limiting = announced.limiting;
+        } else if (now.limiting !== announced.limiting) {
+            messages.push(now.limiting === 'none'
+                ? t('a11y.nothingLimiting')
+                : t('a11y.nowLimiting', { factor: factorName(now.limiting) }));
+        }
+        state.plants.forEach((plant, i) => {
+            const before = announced.plants[plant.id];
+            if (!before) return;
+            const name = speciesName(plant.species);
+            const subject = state.plants.length > 1
+                ? t('a11y.plantNumber', { number: i + 1, name })
+                : t('a11y.thePlant', { name });
+            const current = now.plants[plant.id];
+            if (current.flowering && !before.flowering) messages.push(t('a11y.flowered', { plant: subject }));
+            if (current.status !== before.status) {
+                const key = { healthy: 'a11y.recovered', wilting: 'a11y.wilting', dead: 'a11y.died' }[current.status];
+                messages.push(t(key, { plant: subject }));
+            }
+        });
+    }
+    announced = now;
+    if (messages.length) announce(messages.join(' '));
+}
+
+// Text alternative for the canvas
+function describeScene() {
+    const plants = state.plants.length === 1
+        ? describePlant(state.plants[0])
+        : t('a11y.plants', { count: state.plants.length, plant: describePlant(simulation.plant) });
+    const limiting = limitingName(state);
+    return t('a11y.scene', {
+        day: state.day,
+        time: formatClock(state.time),
+        daylight: t(isNight() ? 'a11y.night' : 'a11y.daytime'),
+        weather: weatherName(state.weather.type).toLowerCase(),
+        plants,
+        rate: Math.round(state.growthRate),
+        limited: limiting === 'none' ? '' : t('a11y.limitedBy', { factor: factorName(limiting).toLowerCase() })
+    });
+}
+
+// Spoken values for the sliders, with units
+function describeSliders() {
+    const text = {
+        'slider-light': speakFactor('light', state.light),
+        'slider-co2': speakFactor('co2', state.co2),
+        'slider-temp': speakFactor('temp', state.temp),
+        'slider-water': t('a11y.percent', { value: Math.floor(state.water) }),
+        'slider-latitude': formatLatitude(state.latitude)
+    };
+    for (const [id, value] of Object.entries(text)) {
+        setAttr(document.getElementById(id), 'aria-valuetext', value);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    applyPreferences(loadPreferences());
+    renderShortcutList();
+    onLocaleChange(renderShortcutList);
+
+    document.getElementById('btn-contrast').addEventListener('click', () => togglePreference('highContrast', 'a11y.highContrast'));
+    document.getElementById('btn-motion').addEventListener('click', () => togglePreference('reducedMotion', 'a11y.reducedMotion'));
+
+    const overlay = document.getElementById('shortcuts-overlay');
+    document.getElementById('btn-shortcuts').addEventListener('click', () => overlay.classList.remove('hidden'));
+    document.getElementById('btn-close-shortcuts').addEventListener('click', () => overlay.classList.add('hidden'));
+
+    document.addEventListener('keydown', handleShortcut);
+
+    setInterval(() => {
+        watchState();
+        describeSliders();
+        const canvas = document.querySelector('#canvas-container canvas');
+        if (canvas) setAttr(canvas, 'aria-label', describeScene());
+    }, ANNOUNCE_INTERVAL);
+});
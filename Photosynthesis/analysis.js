@@ -0,0 +1,452 @@
+// --- Analysis Dashboard ---
+// Charts for the Analysis overlay: each factor's effect against the overall
+// rate over the last 24 hours (shaded by the limiting factor), biomass over
+// the whole run, the air around the plants over the last three days, and
+// per-day summaries from the engine, plus the light's spectrum against what
+// chlorophyll absorbs and what drives photosynthesis.
+
+const CHART_SAMPLE_INTERVAL = 0.5; // Hours between chart points
+const CHART_WINDOW = 48;           // Points kept on the rate chart (24 h)
+const BIOMASS_SAMPLE_INTERVAL = 1; // Hours between biomass points
+const SUMMARY_DAYS = 7;            // Completed days listed in the table
+const GAS_WINDOW = 144;            // Points kept on the gas chart (72 h at CHART_SAMPLE_INTERVAL)
+
+const FACTOR_COLORS = {
+    light: '#f59e0b',
+    co2: '#3b82f6',
+    temp: '#ef4444',
+    water: '#06b6d4',
+    nutrients: '#84cc16'
+};
+
+function factorName(factor) {
+    return t(`factor.${factor}`);
+}
+
+let rateChart;
+let biomassChart;
+let gasChart;
+let spectrumChart;
+let shownLightSource = null; // The source the spectrum chart is drawn for
+let lastChartSample = -Infinity;
+let lastBiomassSample = -Infinity;
+
+// Limiting factor at each rate chart point, for the shaded band
+let limitingHistory = [];
+
+// Fast-forward runs many steps per frame; charts redraw once per frame
+let chartsStale = false;
+
+function factorDataset(factor) {
+    return {
+        label: '', // Set by translateCharts()
+        factor,
+        data: [],
+        borderColor: FACTOR_COLORS[factor],
+        borderWidth: 1.5,
+        borderDash: [4, 3],
+        tension: 0.4,
+        fill: false,
+        pointRadius: 0
+    };
+}
+
+const chartData = {
+    labels: [],
+    datasets: [{
+        label: '',
+        data: [],
+        borderColor: '#10b981',
+        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+        borderWidth: 3,
+        tension: 0.4,
+        fill: true,
+        pointRadius: 0
+    }, ...Object.keys(FACTOR_COLORS).map(factorDataset)]
+};
+
+const biomassData = {
+    datasets: [{
+        label: '',
+        data: [], // { x: day, y: biomass }
+        borderColor: '#16a34a',
+        backgroundColor: 'rgba(22, 163, 74, 0.1)',
+        fill: true,
+        tension: 0.2,
+        pointRadius: 0
+    }]
+};
+
+// CO₂ on the left axis (model scale, labelled in the chosen unit), O₂ % on
+// the right
+const gasData = {
+    datasets: [{
+        label: '',
+        data: [], // { x: day, y: co2 }
+        borderColor: FACTOR_COLORS.co2,
+        borderWidth: 2,
+        yAxisID: 'co2',
+        pointRadius: 0
+    }, {
+        label: '',
+        data: [], // { x: day, y: o2 }
+        borderColor: '#0ea5e9',
+        borderWidth: 2,
+        borderDash: [4, 3],
+        yAxisID: 'o2',
+        pointRadius: 0
+    }]
+};
+
+// Every curve scaled to its own peak, in %. Point colours are set in
+// initChart(), once the colour helpers have loaded.
+const spectrumData = {
+    labels: WAVELENGTHS,
+    datasets: [{
+        label: '',
+        data: [], // The current source, see showLightSpectrum()
+        borderColor: '#94a3b8',
+        backgroundColor: 'rgba(148, 163, 184, 0.2)',
+        borderWidth: 2,
+        fill: true,
+        tension: 0.4,
+        pointRadius: 4
+    }, {
+        label: '',
+        data: peakPercent(CHLOROPHYLL_ABSORPTION),
+        borderColor: '#16a34a',
+        borderWidth: 2,
+        borderDash: [4, 3],
+        tension: 0.4,
+        pointRadius: 0
+    }, {
+        label: '',
+        data: peakPercent(ACTION_SPECTRUM),
+        borderColor: '#7c3aed',
+        borderWidth: 2,
+        tension: 0.4,
+        pointRadius: 0
+    }]
+};
+
+function peakPercent(values) {
+    const peak = Math.max(...values);
+    return values.map(v => peak ? v / peak * 100 : 0);
+}
+
+// Paints a faint column behind each point in the colour of whichever
+// factor was limiting at that moment.
+const limitingBandPlugin = {
+    id: 'limitingBand',
+    beforeDatasetsDraw(chart) {
+        const { ctx, chartArea, scales } = chart;
+        const count = limitingHistory.length;
+        if (count < 2) return;
+
+        const step = scales.x.getPixelForValue(1) - scales.x.getPixelForValue(0);
+        ctx.save();
+        ctx.globalAlpha = 0.12;
+        for (let i = 0; i < count; i++) {
+            const color = FACTOR_COLORS[limitingHistory[i]];
+            if (!color) continue;
+            ctx.fillStyle = color;
+            const x = scales.x.getPixelForValue(i) - step / 2;
+            ctx.fillRect(x, chartArea.top, step, chartArea.bottom - chartArea.top);
+        }
+        ctx.restore();
+    }
+};
+
+// Nearest minute, so a jump to 13:30 doesn't read 13:29
+function formatClock(time) {
+    const minutes = Math.round(time * 60) % (24 * 60);
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return `${h}:${m < 10 ? `0${m}` : m}`;
+}
+
+function initChart() {
+    const ctx = document.getElementById('rateChart').getContext('2d');
+    rateChart = new Chart(ctx, {
+        type: 'line',
+        data: chartData,
+        plugins: [limitingBandPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 100,
+                    grid: { display: false },
+                    ticks: { color: '#64748b' }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: '#64748b', maxTicksLimit: 9, maxRotation: 0 }
+                }
+            },
+            plugins: {
+                legend: { labels: { boxWidth: 12, color: '#334155' } }
+            },
+            animation: false
+        }
+    });
+
+    const biomassCtx = document.getElementById('biomassChart').getContext('2d');
+    biomassChart = new Chart(biomassCtx, {
+        type: 'line',
+        data: biomassData,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            parsing: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { display: false },
+                    ticks: { color: '#64748b' }
+                },
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: '', color: '#64748b' },
+                    grid: { display: false },
+                    ticks: { color: '#64748b', precision: 0 }
+                }
+            },
+            plugins: { legend: { display: false } },
+            animation: false
+        }
+    });
+
+    const gasCtx = document.getElementById('gasChart').getContext('2d');
+    gasChart = new Chart(gasCtx, {
+        type: 'line',
+        data: gasData,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            parsing: false,
+            scales: {
+                co2: {
+                    position: 'left',
+                    beginAtZero: true,
+                    title: { display: true, text: '', color: FACTOR_COLORS.co2 },
+                    grid: { display: false },
+                    ticks: { color: '#64748b', callback: value => toChosenUnit('co2', value) }
+                },
+                o2: {
+                    position: 'right',
+                    title: { display: true, text: '', color: '#0ea5e9' },
+                    grid: { display: false },
+                    ticks: { color: '#64748b', callback: value => value.toFixed(2) }
+                },
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: '', color: '#64748b' },
+                    grid: { display: false },
+                    ticks: { color: '#64748b', precision: 0 }
+                }
+            },
+            plugins: { legend: { labels: { boxWidth: 12, color: '#334155' } } },
+            animation: false
+        }
+    });
+    spectrumData.datasets[0].pointBackgroundColor = WAVELENGTHS.map(nm => `rgb(${wavelengthRGB(nm).join()})`);
+    const spectrumCtx = document.getElementById('spectrumChart').getContext('2d');
+    spectrumChart = new Chart(spectrumCtx, {
+        type: 'line',
+        data: spectrumData,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 100,
+                    title: { display: true, text: '', color: '#64748b' },
+                    grid: { display: false },
+                    ticks: { color: '#64748b' }
+                },
+                x: {
+                    title: { display: true, text: '', color: '#64748b' },
+                    grid: { display: false },
+                    ticks: { color: '#64748b', maxRotation: 0 }
+                }
+            },
+            plugins: { legend: { labels: { boxWidth: 12, color: '#334155' } } },
+            animation: false
+        }
+    });
+    showLightSpectrum();
+    translateCharts();
+}
+
+function showLightSpectrum() {
+    shownLightSource = JSON.stringify(state.lightSource);
+    spectrumData.datasets[0].data = peakPercent(lightSpectrum(state.lightSource));
+    chartsStale = true;
+}
+
+// Legends and axis titles in the chosen language
+function translateCharts() {
+    chartData.datasets[0].label = t('analysis.rate');
+    chartData.datasets.slice(1).forEach(dataset => {
+        dataset.label = t('analysis.effect', { factor: factorName(dataset.factor) });
+    });
+    biomassData.datasets[0].label = t('analysis.biomass');
+    if (rateChart) rateChart.update();
+    if (biomassChart) {
+        biomassChart.options.scales.x.title.text = t('analysis.day');
+        biomassChart.update();
+    }
+    gasData.datasets[0].label = t('analysis.co2Level');
+    gasData.datasets[1].label = t('analysis.o2Level');
+    if (gasChart) {
+        gasChart.options.scales.co2.title.text = `CO₂ (${unitSymbol('co2')})`;
+        gasChart.options.scales.o2.title.text = 'O₂ (%)';
+        gasChart.options.scales.x.title.text = t('analysis.day');
+        gasChart.update();
+    }
+    spectrumData.datasets[0].label = t('analysis.lightNow', { source: t(`lightSource.${state.lightSource.type}`) });
+    spectrumData.datasets[1].label = t('analysis.absorption');
+    spectrumData.datasets[2].label = t('analysis.actionSpectrum');
+    if (spectrumChart) {
+        spectrumChart.options.scales.x.title.text = t('analysis.wavelength');
+        spectrumChart.options.scales.y.title.text = t('analysis.relative');
+        spectrumChart.update();
+    }
+}
+
+// Called after every simulation step; charts sample on model time
+function updateAnalysis() {
+    if (JSON.stringify(state.lightSource) !== shownLightSource) {
+        showLightSpectrum();
+        translateCharts(); // The legend names the source
+    }
+
+    if (state.elapsed - lastChartSample >= CHART_SAMPLE_INTERVAL - 1e-9) {
+        lastChartSample = state.elapsed;
+
+        chartData.labels.push(formatClock(state.time));
+        chartData.datasets[0].data.push(state.growthRate);
+        for (const dataset of chartData.datasets.slice(1)) {
+            dataset.data.push(state.effects[dataset.factor]);
+        }
+        limitingHistory.push(state.growthRate >= SATURATION_RATE ? 'none' : state.limitingFactor);
+
+        const day = state.day + state.time / 24;
+        gasData.datasets[0].data.push({ x: day, y: state.co2 });
+        gasData.datasets[1].data.push({ x: day, y: state.chamber.o2 });
+        for (const dataset of gasData.datasets) {
+            if (dataset.data.length > GAS_WINDOW) dataset.data.shift();
+        }
+
+        if (chartData.labels.length > CHART_WINDOW) {
+            chartData.labels.shift();
+            chartData.datasets.forEach(d => d.data.shift());
+            limitingHistory.shift();
+        }
+        chartsStale = true;
+    }
+
+    if (state.elapsed - lastBiomassSample >= BIOMASS_SAMPLE_INTERVAL - 1e-9) {
+        lastBiomassSample = state.elapsed;
+        biomassData.datasets[0].data.push({ x: state.day + state.time / 24, y: state.biomass });
+        chartsStale = true;
+    }
+}
+
+// Carrying on from an earlier moment of the run: forget the points after it
+function truncateChartHistory() {
+    const later = Math.max(0, Math.ceil((lastChartSample - state.elapsed) / CHART_SAMPLE_INTERVAL - 1e-9));
+    if (later) {
+        chartData.labels.splice(-later);
+        chartData.datasets.forEach(d => d.data.splice(-later));
+        limitingHistory.splice(-later);
+    }
+    const day = state.day + state.time / 24 + 1e-9;
+    biomassData.datasets[0].data = biomassData.datasets[0].data.filter(point => point.x <= day);
+    gasData.datasets.forEach(dataset => {
+        dataset.data = dataset.data.filter(point => point.x <= day);
+    });
+    lastChartSample = lastBiomassSample = state.elapsed;
+    chartsStale = true;
+}
+
+function refreshCharts() {
+    if (!chartsStale) return;
+    chartsStale = false;
+    if (rateChart) rateChart.update();
+    if (biomassChart) biomassChart.update();
+    if (gasChart) gasChart.update();
+    if (spectrumChart) spectrumChart.update();
+}
+
+// --- Chart History (for saves) ---
+function captureChartHistory() {
+    return {
+        labels: chartData.labels.slice(),
+        series: chartData.datasets.map(d => d.data.slice()),
+        limiting: limitingHistory.slice(),
+        biomass: biomassData.datasets[0].data.slice(),
+        gas: gasData.datasets.map(d => d.data.slice())
+    };
+}
+
+function restoreChartHistory(history) {
+    if (Array.isArray(history)) {
+        // Saves from before the dashboard only kept the rate line
+        history = { labels: history.map(() => ''), series: [history], limiting: [], biomass: [] };
+    }
+    chartData.labels = (history.labels || []).slice();
+    chartData.datasets.forEach((dataset, i) => {
+        dataset.data = ((history.series || [])[i] || chartData.labels.map(() => null)).slice();
+    });
+    limitingHistory = (history.limiting || []).slice();
+    biomassData.datasets[0].data = (history.biomass || []).slice();
+    gasData.datasets.forEach((dataset, i) => {
+        dataset.data = ((history.gas || [])[i] || []).slice();
+    });
+    lastChartSample = lastBiomassSample = state.elapsed;
+
+    if (rateChart) {
+        rateChart.data = chartData;
+        rateChart.update();
+    }
+    if (biomassChart) biomassChart.update();
+    if (gasChart) gasChart.update();
+}
+
+// --- Daily Summaries ---
+function renderDaySummaries() {
+    const body = document.getElementById('day-summary-body');
+    const days = state.dayHistory.slice(-SUMMARY_DAYS).concat([state.today]);
+
+    body.replaceChildren(...days.reverse().map(day => {
+        const current = day === state.today;
+        const row = document.createElement('tr');
+        if (current) row.className = 'current-day';
+        row.append(
+            textElement('td', `${t('analysis.dayNumber', { day: day.day })}${current ? ` ${t('analysis.soFar')}` : ''}`),
+            textElement('td', day.gross.toFixed(1)),
+            textElement('td', (day.gross - day.respiration).toFixed(1)),
+            ...Object.keys(FACTOR_COLORS)
+                .map(factor => textElement('td', (day.limitedHours[factor] || 0).toFixed(1), `factor-${factor}`))
+        );
+        return row;
+    }));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Summaries only need refreshing while someone is looking at them
+    const overlay = document.getElementById('analysis-overlay');
+    setInterval(() => {
+        if (!overlay.classList.contains('hidden')) renderDaySummaries();
+    }, 1000);
+    document.getElementById('btn-analysis').addEventListener('click', renderDaySummaries);
+    onLocaleChange(() => {
+        translateCharts();
+        renderDaySummaries();
+    });
+});
@@ -0,0 +1,323 @@
+// --- Public API ---
+// `window.photosynthesis` drives and observes the simulator from a script,
+// the console or a page that embeds it. Calls go through the same checks as
+// the controls, so a factor a challenge has locked stays locked here too.
+// Values are in the model's own units and ids (see README), whatever
+// language or units the page is showing.
+
+const API_FACTORS = ['light', 'co2', 'temp', 'water'];
+const API_EVENTS = ['limitingFactorChanged', 'dayEnded', 'plantFlowered'];
+const BRIDGE_PREFIX = 'photosynthesis:';
+
+const apiListeners = Object.fromEntries(API_EVENTS.map(name => [name, []]));
+let apiWatched = null; // What the last step looked like, to spot changes
+
+function checkEventName(name) {
+    if (!apiListeners[name]) throw new Error(`Unknown event "${name}" (expected ${API_EVENTS.join(', ')})`);
+}
+
+// Returns a function that unsubscribes again
+function onApiEvent(name, listener) {
+    checkEventName(name);
+    apiListeners[name].push(listener);
+    return () => offApiEvent(name, listener);
+}
+
+function offApiEvent(name, listener) {
+    checkEventName(name);
+    apiListeners[name] = apiListeners[name].filter(l => l !== listener);
+}
+
+function emitApiEvent(name, detail) {
+    for (const listener of apiListeners[name]) {
+        // One broken listener shouldn't stop the run or the others
+        try {
+            listener(detail);
+        } catch (err) {
+            postToParent({ type: `${BRIDGE_PREFIX}error`, event: name, error: err.message });
+        }
+    }
+    postToParent({ type: `${BRIDGE_PREFIX}event`, event: name, detail });
+}
+
+// --- State ---
+function describePlantForApi(plant) {
+    return {
+        id: plant.id,
+        species: plant.species.id,
+        x: plant.x,
+        biomass: plant.biomass,
+        rootBiomass: plant.rootBiomass,
+        growthRate: plant.growthRate,
+        netRate: plant.netRate,
+        health: plant.health,
+        status: plant.plantStatus,
+        limitingFactor: limitingName(plant),
+        flowering: isFlowering(plant)
+    };
+}
+
+// Plain object, safe to send through postMessage
+function getApiState() {
+    const cal = simulation.calendar();
+    return {
+        day: state.day,
+        time: state.time,
+        date: cal.date,
+        season: cal.season,
+        paused: !state.autoPlay,
+        light: state.light,
+        co2: state.co2,
+        temp: state.temp,
+        water: state.water,
+        soil: Object.assign({}, state.soil),
+        lightSource: { type: state.lightSource.type, mix: Object.assign({}, state.lightSource.mix) },
+        chamber: Object.assign({}, state.chamber),
+        weather: state.weather.type,
+        latitude: state.latitude,
+        seed: state.seed,
+        selectedPlant: state.selectedPlant,
+        plants: state.plants.map(describePlantForApi)
+    };
+}
+
+// --- Actions ---
+function checkNumber(name, value) {
+    if (typeof value !== 'number' || !isFinite(value)) throw new Error(`${name} needs a number`);
+    return value;
+}
+
+function checkDay(day) {
+    if (!Number.isInteger(day) || day < 1) throw new Error('day needs a whole number from 1 up');
+    return day;
+}
+
+// Like moving the slider: light and temperature take over from the clock
+function setApiFactor(name, value) {
+    if (!API_FACTORS.includes(name)) throw new Error(`Unknown factor "${name}" (expected ${API_FACTORS.join(', ')})`);
+    const slider = document.getElementById(`slider-${name}`);
+    if (name === 'co2' && state.chamber.sealed) throw new Error('CO₂ is set by the sealed chamber; use injectCO2() to add more');
+    if (slider.disabled) throw new Error(`${name} is locked by the current challenge`);
+    checkNumber(name, value);
+
+    const clamped = Math.max(Number(slider.min), Math.min(Number(slider.max), value));
+    if (name === 'light' || name === 'temp') setApiPaused(true);
+    simulation.setFactor(name, clamped);
+    slider.value = clamped;
+    return clamped;
+}
+
+// A FERTILIZERS id; returns the soil's new nutrient levels
+function fertilizeApi(type = 'balanced') {
+    if (document.getElementById('btn-fertilize').disabled) throw new Error('Fertilizer is locked by the current challenge');
+    return Object.assign({}, simulation.fertilize(type));
+}
+
+// sunlight, red, blue, green or custom; `mix` sets the custom mix's LEDs,
+// e.g. { red: 1, blue: 0.5 }. Returns the source's efficiency (sunlight = 1).
+function setApiLightSource(type, mix) {
+    if (document.getElementById('select-light-source').disabled) throw new Error('The light source is locked by the current challenge');
+    return lightEfficiency(simulation.setLightSource(type, mix));
+}
+
+// Seal the bed in (or open it to) a chamber of `volume` litres; returns
+// { sealed, volume, o2 }
+function setApiChamber(sealed, volume = state.chamber.volume) {
+    if (document.getElementById('check-chamber').disabled) throw new Error('The chamber is locked by the current challenge');
+    return Object.assign({}, simulation.setChamber(sealed, volume));
+}
+
+// Only while sealed; returns the new CO₂ level
+function injectApiCO2(amount) {
+    if (document.getElementById('check-chamber').disabled) throw new Error('The chamber is locked by the current challenge');
+    return simulation.injectCO2(amount);
+}
+
+function setApiPaused(paused) {
+    if (document.getElementById('btn-pause').disabled) throw new Error('The clock is locked by the current challenge');
+    if (replay) leaveReplay(false);
+    simulation.setAutoPlay(!paused);
+    renderPauseButton();
+}
+
+// Runs the clock forward to `time` (hours) on `day`; the plant grows
+// through every step on the way, as with the Go button
+function setApiTime(time, day = state.day) {
+    if (typeof time !== 'number' || !(time >= 0 && time < 24)) throw new Error('time needs hours from 0 to 24');
+    checkDay(day);
+    const hours = (day - state.day) * 24 + (time - state.time);
+    if (hours < 0) throw new Error('The clock only runs forward; reset() to start again');
+    if (hours > MAX_JUMP_DAYS * 24) throw new Error(`At most ${MAX_JUMP_DAYS} days ahead`);
+    runClock(hours);
+    return { day: state.day, time: state.time };
+}
+
+// Starting state fields reset() accepts, each checked like the matching
+// control; numbers are clamped to its range
+const RESET_RANGES = SCENARIO_RANGES; // The same limits a share link gets
+const RESET_FIELDS = [...Object.keys(RESET_RANGES), 'day', 'seed', 'species', 'autoPlay'];
+
+function checkResetSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) throw new Error('reset() takes an object of settings');
+    const checked = {};
+    for (const [key, value] of Object.entries(settings)) {
+        if (RESET_RANGES[key]) {
+            const [min, max] = RESET_RANGES[key];
+            checked[key] = Math.max(min, Math.min(max, checkNumber(key, value)));
+        } else if (key === 'day') {
+            checked.day = checkDay(value);
+        } else if (key === 'seed') {
+            if (typeof value !== 'number' && typeof value !== 'string') throw new Error('seed needs a number or a string');
+            checked.seed = value;
+        } else if (key === 'species') {
+            if (typeof value === 'string') {
+                if (!SPECIES_PROFILES[value]) throw new Error(`Unknown species "${value}"`);
+                checked.species = SPECIES_PROFILES[value];
+            } else {
+                checked.species = normalizeSpecies(value);
+            }
+        } else if (key === 'autoPlay') {
+            checked.autoPlay = Boolean(value);
+        } else {
+            throw new Error(`reset() can't set "${key}" (expected ${RESET_FIELDS.join(', ')})`);
+        }
+    }
+    return checked;
+}
+
+// Start a fresh run. `settings` are starting state fields (RESET_FIELDS),
+// e.g. { co2: 10, seed: 42 }; the seed is kept unless given.
+function resetApi(settings = {}) {
+    settings = checkResetSettings(settings);
+    if (challengeRun) quitChallenge();
+    if (currentLesson) quitLesson();
+    const seed = settings.seed !== undefined ? settings.seed : state.seed;
+    simulation.restore(Object.assign({}, settings, { seed: 1, rngState: null }));
+    setSimulationSeed(seed);
+    recorder.clear();
+    restoreChartHistory({});
+    resetTimeline();
+    syncControls();
+    apiWatched = null;
+    return getApiState();
+}
+
+const photosynthesis = {
+    events: API_EVENTS,
+    on: onApiEvent,
+    off: offApiEvent,
+    getState: getApiState,
+    setFactor: setApiFactor,
+    fertilize: fertilizeApi,
+    setLightSource: setApiLightSource,
+    setChamber: setApiChamber,
+    injectCO2: injectApiCO2,
+    pause: () => setApiPaused(true),
+    resume: () => setApiPaused(false),
+    setTime: setApiTime,
+    reset: resetApi
+};
+// Top-level consts aren't properties of window, and an embedding page
+// reaches in through iframe.contentWindow
+window.photosynthesis = photosynthesis;
+
+// --- Events ---
+function watchApiState() {
+    return {
+        elapsed: state.elapsed,
+        today: state.today.day,
+        plants: Object.fromEntries(state.plants.map(p => [p.id, { limiting: limitingName(p), flowering: isFlowering(p) }]))
+    };
+}
+
+// Runs after every simulation step. Anything other than one step since the
+// last look (a load, a reset, the timeline) only moves the baseline.
+function updateApi() {
+    const now = watchApiState();
+    const before = apiWatched;
+    apiWatched = now;
+    if (!before || Math.abs(now.elapsed - before.elapsed - DEFAULT_TIME_STEP) > 1e-6) return;
+
+    if (now.today !== before.today) {
+        const summary = state.dayHistory[state.dayHistory.length - 1];
+        emitApiEvent('dayEnded', {
+            day: summary.day,
+            gross: summary.gross,
+            respiration: summary.respiration,
+            net: summary.gross - summary.respiration,
+            limitedHours: Object.assign({}, summary.limitedHours),
+            plants: state.plants.map(describePlantForApi)
+        });
+    }
+    for (const plant of state.plants) {
+        const was = before.plants[plant.id];
+        const is = now.plants[plant.id];
+        if (!was) continue;
+        if (is.limiting !== was.limiting) {
+            emitApiEvent('limitingFactorChanged', {
+                plant: plant.id,
+                factor: is.limiting,
+                previous: was.limiting,
+                day: state.day,
+                time: state.time
+            });
+        }
+        if (is.flowering && !was.flowering) {
+            emitApiEvent('plantFlowered', {
+                plant: describePlantForApi(plant),
+                day: state.day,
+                time: state.time
+            });
+        }
+    }
+}
+
+// --- postMessage Bridge ---
+// A parent page calls methods with
+//   { type: 'photosynthesis:call', id, method, args }
+// and gets { type: 'photosynthesis:result', id, result } or `error` back.
+// Every event is also posted up as { type: 'photosynthesis:event', event, detail },
+// and a listener that throws as { type: 'photosynthesis:error', event, error }.
+// The bridge only talks to the origin named by ?origin=https://your.site in
+// the iframe's src, or failing that the page that embedded it (its
+// referrer); with neither it stays off.
+const BRIDGE_METHODS = ['getState', 'setFactor', 'fertilize', 'setLightSource', 'setChamber', 'injectCO2', 'pause', 'resume', 'setTime', 'reset'];
+
+function findBridgeOrigin() {
+    const named = new URLSearchParams(location.search).get('origin');
+    try {
+        const origin = new URL(named || document.referrer).origin;
+        return origin === 'null' ? null : origin; // file:// pages can't be told apart
+    } catch (err) {
+        return null;
+    }
+}
+
+const bridgeOrigin = findBridgeOrigin();
+const embedded = window.parent !== window && bridgeOrigin !== null;
+
+function postToParent(message) {
+    if (embedded) window.parent.postMessage(message, bridgeOrigin);
+}
+
+function handleBridgeMessage(e) {
+    const message = e.data;
+    if (e.source !== window.parent || !message || message.type !== `${BRIDGE_PREFIX}call`) return;
+    if (e.origin !== bridgeOrigin) return;
+
+    const reply = { type: `${BRIDGE_PREFIX}result`, id: message.id };
+    try {
+        if (!BRIDGE_METHODS.includes(message.method)) throw new Error(`Unknown method "${message.method}"`);
+        const args = Array.isArray(message.args) ? message.args : [];
+        reply.result = photosynthesis[message.method](...args);
+    } catch (err) {
+        reply.error = err.message;
+    }
+    postToParent(reply);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!embedded) return;
+    window.addEventListener('message', handleBridgeMessage);
+    postToParent({ type: `${BRIDGE_PREFIX}ready`, methods: BRIDGE_METHODS, events: API_EVENTS });
+});
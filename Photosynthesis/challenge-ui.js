@@ -0,0 +1,285 @@
+// --- Challenge Mode UI ---
+// Level select, the in-game objectives panel and the control locks. The
+// rules themselves are in challenge.js.
+
+// Controls a level never lets the player touch: the clock can't be
+// stopped (manual light or temperature would pause it) and the setup is fixed
+const CHALLENGE_LOCKED_CONTROLS = [
+    'slider-light', 'slider-temp', 'slider-water', 'btn-pause',
+    'select-species', 'btn-load-species', 'btn-add-plant', 'btn-remove-plant', 'btn-replant',
+    'select-weather', 'slider-latitude', 'select-month', 'input-seed', 'btn-random-seed',
+    'btn-load', 'btn-import', 'btn-step', 'slider-timeline', 'check-chamber', 'select-chamber-volume',
+    'select-light-source', 'slider-mix-red', 'slider-mix-green', 'slider-mix-blue'
+];
+
+// Level `constraints.locked` entries and the controls they disable
+const CHALLENGE_FACTOR_CONTROLS = {
+    co2: 'slider-co2',
+    water: 'btn-water',
+    nutrients: 'btn-fertilize'
+};
+
+let challengeLevel = null; // Normalized level being played
+let challengeRun = null;
+let customLevels = [];
+
+function allLevels() {
+    return CHALLENGE_LEVELS.map(level => Object.assign(normalizeLevel(level), { builtIn: true })).concat(customLevels);
+}
+
+function levelName(level) {
+    return builtInText('level', level, 'name', level.name);
+}
+
+// --- Progress ---
+function loadChallengeProgress() {
+    try {
+        return JSON.parse(localStorage.getItem(CHALLENGE_PROGRESS_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function recordChallengeResult(levelId, score, stars) {
+    const progress = loadChallengeProgress();
+    const best = progress[levelId] || { score: 0, stars: 0 };
+    progress[levelId] = { score: Math.max(best.score, score), stars: Math.max(best.stars, stars) };
+    try {
+        localStorage.setItem(CHALLENGE_PROGRESS_KEY, JSON.stringify(progress));
+    } catch (err) {
+        showToast(t('challenge.couldNotSave', { error: err.message }));
+    }
+    return progress[levelId];
+}
+
+// Built-in levels open one at a time; loaded ones are always open
+function isLevelUnlocked(index, progress) {
+    if (index === 0 || index >= CHALLENGE_LEVELS.length) return true;
+    const previous = progress[CHALLENGE_LEVELS[index - 1].id];
+    return Boolean(previous && previous.stars > 0);
+}
+
+// describeObjective() in the chosen language
+function objectiveText(objective) {
+    return t(`objective.${objective.type}`, { target: objective.target, day: objective.byDay });
+}
+
+function starText(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+function renderLevelGrid() {
+    const progress = loadChallengeProgress();
+    // Levels can come from files, so names and descriptions go in as text
+    document.getElementById('level-grid').replaceChildren(...allLevels().map((level, i) => {
+        const best = progress[level.id];
+        const unlocked = isLevelUnlocked(i, progress);
+        const card = textElement('button', '', 'level-card');
+        card.dataset.index = i;
+        card.disabled = !unlocked;
+        card.append(
+            textElement('span', starText(best ? best.stars : 0), 'level-stars'),
+            textElement('h3', `${unlocked ? '' : '🔒 '}${levelName(level)}`),
+            textElement('p', builtInText('level', level, 'description', level.description)),
+            textElement('p', best ? t('challenge.bestScore', { score: best.score }) : t('challenge.notCompleted'))
+        );
+        return card;
+    }));
+}
+
+// --- Playing ---
+function startChallenge(level) {
+    if (lessonRun) quitLesson();
+    setupChallenge(simulation, level);
+    setSimulationSeed(state.seed); // Fresh scenery for the level's seed
+    recorder.clear();
+    restoreChartHistory({});
+    resetTimeline();
+
+    challengeLevel = level;
+    challengeRun = createChallengeRun(level, state);
+    syncControls();
+    setChallengeLocks(true);
+
+    document.getElementById('challenge-hud').classList.remove('hidden');
+    document.getElementById('challenge-overlay').classList.add('hidden');
+    renderChallengeHud();
+    showToast(`${levelName(level)}: ${level.objectives.map(objectiveText).join('; ')}`);
+}
+
+function quitChallenge() {
+    challengeLevel = challengeRun = null;
+    setChallengeLocks(false);
+    document.getElementById('challenge-hud').classList.add('hidden');
+}
+
+function setChallengeLocks(locked) {
+    const ids = CHALLENGE_LOCKED_CONTROLS.slice();
+    if (challengeLevel) {
+        for (const factor of challengeLevel.constraints.locked) ids.push(CHALLENGE_FACTOR_CONTROLS[factor]);
+    }
+    for (const id of ids) {
+        const control = id && document.getElementById(id);
+        if (control) control.disabled = locked;
+    }
+    if (!locked) {
+        for (const id of Object.values(CHALLENGE_FACTOR_CONTROLS)) document.getElementById(id).disabled = false;
+        document.getElementById('slider-co2').disabled = state.chamber.sealed; // The chamber's own lock
+        renderPlantList(); // Restores the remove button's own rule
+    }
+}
+
+// Whether the level being played keeps a control disabled
+function isChallengeLocked(id) {
+    if (!challengeRun) return false;
+    const constraints = challengeLevel.constraints;
+    return CHALLENGE_LOCKED_CONTROLS.includes(id)
+        || constraints.locked.some(factor => CHALLENGE_FACTOR_CONTROLS[factor] === id)
+        || (id === 'slider-co2' && constraints.co2Budget && challengeRun.co2Spent >= constraints.co2Budget);
+}
+
+// Called by the 💧 button; counts against the level's allowance
+function useChallengeWatering() {
+    if (!challengeRun || challengeRun.status !== 'playing') return true;
+    const max = challengeLevel.constraints.maxWaterings;
+    if (max !== null && challengeRun.waterings >= max) {
+        showToast(t('challenge.noWaterings'));
+        return false;
+    }
+    challengeRun.waterings++;
+    return true;
+}
+
+// Runs after every simulation step
+function updateChallenge() {
+    if (!challengeRun || challengeRun.status !== 'playing') return;
+
+    // A save or link was loaded over the level
+    if (state.elapsed < challengeRun.lastElapsed) {
+        quitChallenge();
+        showToast(t('challenge.abandoned'));
+        return;
+    }
+
+    updateChallengeRun(challengeRun, challengeLevel, state);
+
+    // Out of CO₂: back to the starting air for the rest of the level
+    const budget = challengeLevel.constraints.co2Budget;
+    if (budget && challengeRun.co2Spent >= budget && state.co2 !== challengeLevel.setup.co2) {
+        simulation.setFactor('co2', challengeLevel.setup.co2);
+        const slider = document.getElementById('slider-co2');
+        slider.value = state.co2;
+        slider.disabled = true;
+        showToast(t('challenge.co2UsedUp'));
+    }
+
+    if (challengeRun.status !== 'playing') finishChallenge();
+}
+
+function finishChallenge() {
+    const run = challengeRun;
+    const level = challengeLevel;
+    const won = run.status === 'won';
+    const best = won ? recordChallengeResult(level.id, run.score, run.stars) : null;
+
+    simulation.setAutoPlay(false);
+    syncControls();
+
+    const result = document.getElementById('challenge-result');
+    result.classList.remove('hidden');
+    result.classList.toggle('lost', !won);
+    document.getElementById('challenge-result-title').innerText = won
+        ? t('challenge.complete', { name: levelName(level), stars: starText(run.stars) })
+        : t('challenge.failed', { name: levelName(level) });
+    document.getElementById('challenge-result-text').innerText = won
+        ? t('challenge.score', { score: run.score, best: best.score })
+        : t('challenge.tryAgain', { reason: t(`failure.${run.reason.code}`, { day: run.reason.day }) });
+
+    const levels = allLevels();
+    const index = levels.findIndex(l => l.id === level.id);
+    const next = levels[index + 1];
+    const nextBtn = document.getElementById('btn-next-challenge');
+    nextBtn.disabled = !next || !isLevelUnlocked(index + 1, loadChallengeProgress());
+    nextBtn.dataset.index = index + 1;
+
+    renderChallengeHud();
+    quitChallenge();
+    challengeLevel = level; // Kept for "Try Again"
+    renderLevelGrid();
+    document.getElementById('challenge-overlay').classList.remove('hidden');
+}
+
+function renderChallengeHud() {
+    if (!challengeRun) return;
+    const level = challengeLevel;
+    const run = challengeRun;
+    document.getElementById('challenge-name').innerText = `🏆 ${levelName(level)}`;
+    document.getElementById('challenge-objectives').replaceChildren(...level.objectives.map((objective, i) => {
+        const value = objectiveValue(objective, state);
+        const progress = objective.type === 'survive'
+            ? t('challenge.alive', { alive: state.plants.filter(p => p.plantStatus !== 'dead').length, total: state.plants.length })
+            : `${value.toFixed(1)} / ${objective.target}`;
+        return textElement('li', `${run.reached[i] ? '✔' : '○'} ${objectiveText(objective)} (${progress})`, run.reached[i] ? 'done' : '');
+    }));
+
+    const budgets = [];
+    const { co2Budget, maxWaterings } = level.constraints;
+    if (co2Budget) {
+        budgets.push(t('challenge.co2Left', { left: Math.max(0, Math.round(co2Budget - run.co2Spent)), budget: co2Budget }));
+    }
+    if (maxWaterings !== null) {
+        budgets.push(t('challenge.wateringsLeft', { left: maxWaterings - run.waterings, max: maxWaterings }));
+    }
+    document.getElementById('challenge-budget').innerText = budgets.join(' · ');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const overlay = document.getElementById('challenge-overlay');
+
+    document.getElementById('btn-challenges').addEventListener('click', () => {
+        document.getElementById('challenge-result').classList.add('hidden');
+        renderLevelGrid();
+        overlay.classList.remove('hidden');
+    });
+    document.getElementById('btn-close-challenges').addEventListener('click', () => {
+        overlay.classList.add('hidden');
+    });
+
+    document.getElementById('level-grid').addEventListener('click', (e) => {
+        const card = e.target.closest('.level-card');
+        if (card && !card.disabled) startChallenge(allLevels()[Number(card.dataset.index)]);
+    });
+    document.getElementById('btn-retry-challenge').addEventListener('click', () => {
+        if (challengeLevel) startChallenge(challengeLevel);
+    });
+    document.getElementById('btn-next-challenge').addEventListener('click', (e) => {
+        const level = allLevels()[Number(e.target.dataset.index)];
+        if (level) startChallenge(level);
+    });
+    document.getElementById('btn-quit-challenge').addEventListener('click', () => {
+        quitChallenge();
+        showToast(t('challenge.sandbox'));
+    });
+
+    const levelFile = document.getElementById('input-level');
+    document.getElementById('btn-load-level').addEventListener('click', () => levelFile.click());
+    levelFile.addEventListener('change', () => {
+        const file = levelFile.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const level = normalizeLevel(JSON.parse(text));
+                customLevels = customLevels.filter(l => l.id !== level.id).concat([level]);
+                renderLevelGrid();
+                showToast(t('challenge.added', { name: level.name }));
+            })
+            .catch(err => showToast(t('file.couldNotLoad', { file: file.name, error: err.message })))
+            .finally(() => { levelFile.value = ''; });
+    });
+
+    // Objectives panel refreshes a few times a second while playing
+    setInterval(() => {
+        if (challengeRun && challengeRun.status === 'playing') renderChallengeHud();
+    }, 250);
+    onLocaleChange(renderLevelGrid);
+});
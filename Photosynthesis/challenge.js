@@ -0,0 +1,220 @@
+// --- Challenge Mode ---
+// Levels are plain JSON: a starting setup, objectives to meet by a given
+// day and constraints on what the player may touch. The rules below only
+// read the simulation state, so levels can be checked headless in Node.
+
+const CHALLENGE_PROGRESS_KEY = 'photosynthesis-challenges';
+const DEFAULT_STAR_SCORES = [0, 650, 800]; // Score needed for 1, 2 and 3 stars
+
+// Score weights: finishing, finishing early (or healthy, for survival
+// levels) and leaving budgets unspent
+const SCORE_COMPLETE = 500;
+const SCORE_SPEED = 300;
+const SCORE_RESOURCES = 200;
+
+const OBJECTIVE_TYPES = {
+    biomass: 'Grow a plant to {target} biomass',
+    bedBiomass: 'Grow {target} biomass across the bed',
+    survive: 'Keep every plant alive'
+};
+
+// Why a run was lost; the UI words these through its language pack
+const FAILURE_REASONS = {
+    plantDied: 'A plant died',
+    missedDay: 'Day {day} ended before the target was reached',
+    allDead: 'Every plant died'
+};
+
+const CHALLENGE_LEVELS = [
+    {
+        id: 'first-harvest',
+        name: 'First Harvest',
+        description: 'A spring seedling with a couple of waterings to spare. Keep the soil moist and let the sun do the rest.',
+        setup: { seed: 11, latitude: 35, month: 5, time: 6, weather: 'clear', co2: 40, water: 50 },
+        objectives: [{ type: 'biomass', target: 50, byDay: 3 }],
+        constraints: { maxWaterings: 2, locked: [] }
+    },
+    {
+        id: 'dry-spell',
+        name: 'Dry Spell',
+        description: 'A hot, dry July with only three waterings. Time them well: roots only drink what the soil holds.',
+        setup: { seed: 23, latitude: 40, month: 7, time: 6, weather: 'auto', co2: 40, water: 30 },
+        objectives: [{ type: 'biomass', target: 60, byDay: 5 }],
+        constraints: { maxWaterings: 3, locked: ['co2'] }
+    },
+    {
+        id: 'carbon-budget',
+        name: 'Carbon Budget',
+        description: 'The greenhouse air is thin on CO₂ and the cylinder is small. Spend it when the light is good enough to use it.',
+        setup: { seed: 5, latitude: 35, month: 6, time: 6, weather: 'clear', co2: 8, water: 90 },
+        objectives: [{ type: 'biomass', target: 45, byDay: 4 }],
+        constraints: { co2Budget: 1000, maxWaterings: 2, locked: [] }
+    },
+    {
+        id: 'desert-bloom',
+        name: 'Desert Bloom',
+        description: 'A heatwave in the desert and a single watering. A cactus can take it; keep it alive and growing.',
+        setup: { seed: 8, latitude: 28, month: 7, time: 6, weather: 'heatwave', co2: 40, water: 25, plants: [{ species: 'cactus', x: 0 }] },
+        objectives: [{ type: 'survive', byDay: 5 }, { type: 'biomass', target: 20, byDay: 5 }],
+        constraints: { maxWaterings: 1, locked: ['co2'] }
+    },
+    {
+        id: 'crowded-bed',
+        name: 'Crowded Bed',
+        description: 'Three maize plants share one bed. Keep them all alive and growing despite the shade and the thirsty roots.',
+        setup: {
+            seed: 31, latitude: 30, month: 6, time: 6, weather: 'auto', co2: 40, water: 70,
+            plants: [{ species: 'maize', x: -70 }, { species: 'maize', x: 0 }, { species: 'maize', x: 70 }]
+        },
+        objectives: [{ type: 'survive', byDay: 6 }, { type: 'bedBiomass', target: 230, byDay: 6 }],
+        constraints: { maxWaterings: 3, locked: ['co2'] }
+    }
+];
+
+// Fill in defaults and check a (possibly hand-written) level, so a typo in
+// a custom JSON file fails loudly
+function normalizeLevel(level) {
+    if (!level || typeof level !== 'object' || Array.isArray(level)) {
+        throw new Error('Level must be a JSON object');
+    }
+    if (!level.name) throw new Error('Level needs a "name"');
+    if (!Array.isArray(level.objectives) || !level.objectives.length) {
+        throw new Error(`Level "${level.name}" needs at least one objective`);
+    }
+
+    const normalized = Object.assign({ description: '', stars: DEFAULT_STAR_SCORES }, level);
+    normalized.id = String(level.id || level.name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    normalized.setup = Object.assign({ seed: 1, latitude: 35, month: 5, time: 6, weather: 'auto', co2: 40, water: 60 }, level.setup);
+    normalized.constraints = Object.assign({ co2Budget: null, maxWaterings: null, locked: [] }, level.constraints);
+
+    for (const objective of normalized.objectives) {
+        if (!OBJECTIVE_TYPES[objective.type]) {
+            throw new Error(`Level "${level.name}": unknown objective "${objective.type}"`);
+        }
+        if (!(objective.byDay >= 1)) throw new Error(`Level "${level.name}": every objective needs "byDay"`);
+        if (objective.type !== 'survive' && !(objective.target > 0)) {
+            throw new Error(`Level "${level.name}": "${objective.type}" needs a positive "target"`);
+        }
+    }
+    return normalized;
+}
+
+function describeObjective(objective) {
+    return `${OBJECTIVE_TYPES[objective.type].replace('{target}', objective.target)} by the end of day ${objective.byDay}`;
+}
+
+// Put the simulation in the level's starting position
+function setupChallenge(simulation, level) {
+    const setup = level.setup;
+    simulation.restore({
+        seed: setup.seed,
+        latitude: setup.latitude,
+        time: setup.time,
+        co2: setup.co2,
+        water: setup.water
+    });
+    simulation.setDate(Math.round((setup.month - 0.5) * 365 / 12)); // Mid-month
+    simulation.plantBed(setup.plants || [{ species: 'wheat', x: 0 }]);
+    simulation.setWeather(setup.weather);
+}
+
+// Progress through one attempt; everything here is plain data
+function createChallengeRun(level, state) {
+    return {
+        levelId: level.id,
+        startElapsed: state.elapsed,
+        lastElapsed: state.elapsed,
+        co2Spent: 0,
+        waterings: 0,
+        reached: level.objectives.map(() => false),
+        status: 'playing', // 'playing' | 'won' | 'lost'
+        reason: null, // { code, day } once lost; see FAILURE_REASONS
+        score: 0,
+        stars: 0
+    };
+}
+
+function objectiveValue(objective, state) {
+    const alive = state.plants.filter(p => p.plantStatus !== 'dead');
+    if (objective.type === 'biomass') return Math.max(0, ...alive.map(p => p.biomass));
+    if (objective.type === 'bedBiomass') return alive.reduce((sum, p) => sum + p.biomass, 0);
+    return alive.length === state.plants.length ? 1 : 0;
+}
+
+// Advance the run to the current state: charge the CO₂ budget, latch
+// objectives as they are met and decide the outcome
+function updateChallengeRun(run, level, state) {
+    if (run.status !== 'playing') return run;
+    const dt = state.elapsed - run.lastElapsed;
+    run.lastElapsed = state.elapsed;
+
+    // Only CO₂ above the level's starting air counts against the budget
+    run.co2Spent += Math.max(0, state.co2 - level.setup.co2) * dt;
+
+    const allDead = state.plants.every(p => p.plantStatus === 'dead');
+    level.objectives.forEach((objective, i) => {
+        if (run.reached[i]) return;
+        if (objective.type === 'survive') {
+            if (objectiveValue(objective, state) === 0) fail(run, 'plantDied');
+            else if (state.day > objective.byDay) run.reached[i] = true;
+            return;
+        }
+        if (state.day <= objective.byDay && objectiveValue(objective, state) >= objective.target) {
+            run.reached[i] = true;
+        } else if (state.day > objective.byDay) {
+            fail(run, 'missedDay', objective.byDay);
+        } else if (allDead) {
+            fail(run, 'allDead');
+        }
+    });
+
+    if (run.status === 'playing' && run.reached.every(Boolean)) {
+        run.status = 'won';
+        run.score = scoreChallengeRun(run, level, state);
+        run.stars = level.stars.filter(threshold => run.score >= threshold).length;
+    }
+    return run;
+}
+
+function fail(run, code, day) {
+    if (run.status !== 'playing') return;
+    run.status = 'lost';
+    run.reason = { code, day };
+}
+
+function describeFailure(reason) {
+    return FAILURE_REASONS[reason.code].replace('{day}', reason.day);
+}
+
+// 0-1000: completion, then speed (or plant health when the level is
+// about surviving) and whatever share of the budgets was left unspent
+function scoreChallengeRun(run, level, state) {
+    const lastDay = Math.max(...level.objectives.map(o => o.byDay));
+    const available = (lastDay - 1) * 24 + (24 - level.setup.time);
+    const used = state.elapsed - run.startElapsed;
+    const surviveOnly = level.objectives.some(o => o.type === 'survive');
+    const speed = surviveOnly
+        ? state.plants.reduce((sum, p) => sum + p.health, 0) / state.plants.length / 100
+        : Math.max(0, 1 - used / available);
+
+    const budgets = [];
+    const { co2Budget, maxWaterings } = level.constraints;
+    if (co2Budget) budgets.push(Math.max(0, 1 - run.co2Spent / co2Budget));
+    if (maxWaterings) budgets.push(Math.max(0, 1 - run.waterings / maxWaterings));
+    const saved = budgets.length ? budgets.reduce((a, b) => a + b, 0) / budgets.length : 1;
+
+    return Math.round(SCORE_COMPLETE + SCORE_SPEED * speed + SCORE_RESOURCES * saved);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHALLENGE_LEVELS,
+        normalizeLevel,
+        describeObjective,
+        describeFailure,
+        setupChallenge,
+        createChallengeRun,
+        updateChallengeRun,
+        scoreChallengeRun
+    };
+}
@@ -0,0 +1,264 @@
+// --- Response Curve Experiments ---
+// Sweeps one factor through the rate model with the others held fixed,
+// optionally repeated for several levels of a second factor. Uses the pure
+// responseCurve() from the engine, so the live simulation is never touched.
+// The form and chart show the chosen units; results are kept in model values.
+
+const CURVE_COLORS = ['#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4'];
+
+// Notes are in the language packs, as `preset.<name>.note`
+const EXPERIMENT_PRESETS = {
+    'light-saturation': {
+        sweep: 'light', compare: 'co2', levels: [10, 20, 40, 80],
+        held: { temp: 25, water: 80 }
+    },
+    'temperature-optimum': {
+        sweep: 'temp', compare: 'light', levels: [20, 50, 100],
+        held: { co2: 80, water: 80 }
+    },
+    'co2-response': {
+        sweep: 'co2', compare: 'temp', levels: [10, 25, 35],
+        held: { light: 100, water: 80 }
+    },
+    'species-heat': {
+        sweep: 'temp', compare: 'species', levels: [],
+        held: { light: 100, co2: 40, water: 80 }
+    },
+    'species-co2': {
+        sweep: 'co2', compare: 'species', levels: [],
+        held: { light: 100, temp: 28, water: 80 }
+    },
+    'drought-response': {
+        sweep: 'water', compare: 'light', levels: [20, 50, 100],
+        held: { co2: 80, temp: 25 }
+    }
+};
+
+let experimentChart;
+let experimentResults = null; // { sweep, compare, species, curves: [{ level, points }] }
+
+function parseLevels(text) {
+    return text.split(/[,\s]+/)
+        .map(v => parseFloat(v))
+        .filter(v => !isNaN(v))
+        .slice(0, CURVE_COLORS.length);
+}
+
+// Run the sweep described by the form; one curve per comparison level,
+// or per species when comparing species
+function runExperiment(sweep, compare, levels, held, species = state.species) {
+    if (compare === 'species') {
+        return {
+            sweep,
+            compare,
+            species,
+            curves: Object.values(SPECIES_PROFILES).map(profile => ({
+                level: profile.id,
+                points: responseCurve(sweep, held, 50, profile)
+            }))
+        };
+    }
+
+    const compareLevels = compare && compare !== sweep && levels.length ? levels : [null];
+    return {
+        sweep,
+        compare: compareLevels[0] === null ? null : compare,
+        species,
+        curves: compareLevels.map(level => {
+            const fixed = Object.assign({}, held);
+            if (level !== null) fixed[compare] = level;
+            return { level, points: responseCurve(sweep, fixed, 50, species) };
+        })
+    };
+}
+
+// Labels are made when plotting, so they follow the language and units
+function curveLabel(results, curve) {
+    if (results.compare === 'species') {
+        const profile = SPECIES_PROFILES[curve.level];
+        return `${speciesName(profile)} (${profile.pathway})`;
+    }
+    if (curve.level === null) return speciesName(results.species);
+    const value = toChosenUnit(results.compare, curve.level);
+    return t('experiment.curve', { factor: t(`limit.${results.compare}`), value: `${value} ${unitSymbol(results.compare)}` });
+}
+
+function experimentToCSV(results) {
+    const header = [results.sweep].concat(results.curves.map(c =>
+        c.level === null ? 'rate' : `rate_${results.compare}_${c.level}`));
+    const rows = results.curves[0].points.map((point, i) =>
+        [point.x].concat(results.curves.map(c => Math.round(c.points[i].y * 1000) / 1000)).join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+function initExperimentChart() {
+    const ctx = document.getElementById('experimentChart').getContext('2d');
+    experimentChart = new Chart(ctx, {
+        type: 'line',
+        data: { datasets: [] },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            parsing: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    max: 100,
+                    title: { display: true, text: '', color: '#64748b' },
+                    ticks: { color: '#64748b' }
+                },
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: '', color: '#64748b' },
+                    ticks: { color: '#64748b' }
+                }
+            },
+            plugins: { legend: { labels: { boxWidth: 12, color: '#334155' } } },
+            animation: false
+        }
+    });
+}
+
+function plotExperiment(results) {
+    experimentChart.data.datasets = results.curves.map((curve, i) => ({
+        label: curveLabel(results, curve),
+        data: curve.points.map(p => ({ x: toChosenUnit(results.sweep, p.x, true), y: p.y })),
+        borderColor: CURVE_COLORS[i],
+        backgroundColor: CURVE_COLORS[i],
+        borderWidth: 2,
+        tension: 0.2,
+        pointRadius: 0
+    }));
+    const scales = experimentChart.options.scales;
+    scales.y.title.text = t('analysis.rate');
+    scales.x.title.text = t('experiment.axis', { factor: t(`limit.${results.sweep}`), unit: unitSymbol(results.sweep) });
+    const [min, max] = FACTOR_RANGES[results.sweep];
+    scales.x.min = toChosenUnit(results.sweep, min, true);
+    scales.x.max = toChosenUnit(results.sweep, max, true);
+    experimentChart.update();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    initExperimentChart();
+
+    const overlay = document.getElementById('experiment-overlay');
+    const form = {
+        preset: document.getElementById('select-preset'),
+        sweep: document.getElementById('select-sweep'),
+        compare: document.getElementById('select-compare'),
+        levels: document.getElementById('input-levels'),
+        note: document.getElementById('experiment-note')
+    };
+    const heldFields = document.querySelectorAll('.experiment-held .held-field');
+    const heldInput = (factor) => document.getElementById(`held-${factor}`);
+
+    // The units each input is showing, so a change of units converts
+    // what was typed rather than reinterpreting it
+    const shownUnits = Object.assign({}, DEFAULT_UNITS); // The HTML starts in model values
+    const levelsFactor = () => form.compare.value && form.compare.value !== 'species' ? form.compare.value : null;
+    const showHeld = (factor, value) => { heldInput(factor).value = toChosenUnit(factor, value); };
+    const showLevels = (factor, levels) => { form.levels.value = levels.map(v => toChosenUnit(factor, v)).join(', '); };
+
+    function renderHeldUnits() {
+        heldFields.forEach(field => {
+            const factor = field.dataset.factor;
+            const input = heldInput(factor);
+            const previous = shownUnits[factor];
+            const unit = UNITS[factor] ? locale.units[factor] : null;
+            if (previous && previous !== unit && input.value !== '') {
+                const value = fromUnit(factor, previous, parseFloat(input.value));
+                if (!isNaN(value)) showHeld(factor, value);
+            }
+            const factorFor = levelsFactor();
+            if (previous && previous !== unit && factor === factorFor) {
+                showLevels(factor, parseLevels(form.levels.value).map(v => fromUnit(factor, previous, v)));
+            }
+            shownUnits[factor] = unit;
+
+            const [min, max] = FACTOR_RANGES[factor];
+            input.min = toChosenUnit(factor, min);
+            input.max = toChosenUnit(factor, max);
+            const unitLabel = field.querySelector('.held-unit');
+            if (unitLabel) unitLabel.textContent = unitSymbol(factor);
+        });
+    }
+
+    // The swept and compared factors aren't held, so grey their inputs out
+    function refreshHeldFields() {
+        heldFields.forEach(field => {
+            const factor = field.dataset.factor;
+            const free = factor === form.sweep.value || factor === form.compare.value;
+            field.classList.toggle('disabled', free);
+            heldInput(factor).disabled = free;
+        });
+    }
+
+    function readHeld() {
+        const held = {};
+        for (const factor of Object.keys(FACTOR_RANGES)) {
+            const [min, max] = FACTOR_RANGES[factor];
+            const value = fromChosenUnit(factor, parseFloat(heldInput(factor).value));
+            held[factor] = isNaN(value) ? min : Math.min(Math.max(value, min), max);
+        }
+        return held;
+    }
+
+    function readLevels() {
+        const factor = levelsFactor();
+        const levels = parseLevels(form.levels.value);
+        return factor ? levels.map(v => fromChosenUnit(factor, v)) : levels;
+    }
+
+    function run() {
+        experimentResults = runExperiment(form.sweep.value, form.compare.value, readLevels(), readHeld());
+        plotExperiment(experimentResults);
+    }
+
+    function applyPreset(name) {
+        const preset = EXPERIMENT_PRESETS[name];
+        if (!preset) return;
+        form.sweep.value = preset.sweep;
+        form.compare.value = preset.compare;
+        showLevels(preset.compare, preset.levels);
+        for (const [factor, value] of Object.entries(preset.held)) showHeld(factor, value);
+        form.note.innerText = t(`preset.${name}.note`);
+        refreshHeldFields();
+        run();
+    }
+
+    form.preset.addEventListener('change', () => applyPreset(form.preset.value));
+    [form.sweep, form.compare, form.levels].forEach(input => {
+        input.addEventListener('change', () => {
+            form.preset.value = '';
+            form.note.innerText = '';
+            refreshHeldFields();
+        });
+    });
+
+    document.getElementById('btn-run-experiment').addEventListener('click', run);
+
+    document.getElementById('btn-experiment-current').addEventListener('click', () => {
+        for (const factor of Object.keys(FACTOR_RANGES)) showHeld(factor, state[factor]);
+        run();
+    });
+
+    document.getElementById('btn-export-experiment').addEventListener('click', () => {
+        if (!experimentResults) run();
+        downloadFile(`response-curve-${experimentResults.sweep}.csv`, experimentToCSV(experimentResults), 'text/csv');
+    });
+
+    document.getElementById('btn-experiment').addEventListener('click', () => {
+        overlay.classList.remove('hidden');
+        if (!experimentResults) applyPreset(form.preset.value);
+    });
+    document.getElementById('btn-close-experiment').addEventListener('click', () => {
+        overlay.classList.add('hidden');
+    });
+
+    renderHeldUnits();
+    onLocaleChange(() => {
+        renderHeldUnits();
+        if (form.preset.value) form.note.innerText = t(`preset.${form.preset.value}.note`);
+        if (experimentResults) plotExperiment(experimentResults);
+    });
+});
@@ -0,0 +1,249 @@
+// --- Localization ---
+// Every string the interface shows comes from a language pack (lang/*.js,
+// or a JSON pack loaded at runtime). Static text in index.html is tagged
+// with data-i18n attributes; scripts call t(). A pack may be partial:
+// anything it lacks falls back to English. The chosen language and units
+// are remembered in this browser, along with any packs loaded from file.
+
+const LOCALE_KEY = 'photosynthesis-locale';
+const FALLBACK_LANGUAGE = 'en';
+
+// data-i18n sets the text; these set an attribute instead
+const I18N_ATTRIBUTES = ['title', 'aria-label', 'placeholder'];
+
+const LANGUAGES = {}; // code -> { code, name, strings }
+const localeListeners = [];
+
+let locale = { language: FALLBACK_LANGUAGE, units: Object.assign({}, DEFAULT_UNITS), packs: [] };
+
+function registerLanguage(code, pack) {
+    LANGUAGES[code] = { code, name: pack.name || code, strings: pack.strings || {} };
+}
+
+// Check a pack loaded from file, so a broken one fails loudly
+function normalizeLanguagePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        throw new Error('Language pack must be a JSON object');
+    }
+    if (typeof pack.code !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/.test(pack.code)) {
+        throw new Error('Language pack needs a "code" such as "de" or "pt-BR"');
+    }
+    if (!pack.strings || typeof pack.strings !== 'object' || Array.isArray(pack.strings)) {
+        throw new Error('Language pack needs a "strings" object');
+    }
+    const bad = Object.keys(pack.strings).find(key => typeof pack.strings[key] !== 'string');
+    if (bad) throw new Error(`Language pack: "${bad}" must be text`);
+    return { code: pack.code, name: pack.name || pack.code, strings: pack.strings };
+}
+
+// --- Lookup ---
+function lookup(key) {
+    const pack = LANGUAGES[locale.language];
+    if (pack && pack.strings[key] !== undefined) return pack.strings[key];
+    return LANGUAGES[FALLBACK_LANGUAGE].strings[key];
+}
+
+// The string for `key` with {placeholders} filled in from `params`
+function t(key, params) {
+    const text = lookup(key);
+    if (text === undefined) return key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
+
+// For names that live in the data (species, for one): the pack's own
+// translation if it has one, otherwise the data as written
+function translateOr(key, fallback) {
+    const text = lookup(key);
+    return text === undefined ? fallback : text;
+}
+
+function speciesName(species) {
+    return translateOr(`species.${species.id}`, species.name);
+}
+
+function weatherName(type) {
+    return translateOr(`weather.${type}`, WEATHER_TYPES[type].name);
+}
+
+// Built-in levels and lessons are written in English in their data; a pack
+// translates them under `${kind}.<id>.<key>`. Files a user loads stay as
+// written.
+function builtInText(kind, item, key, fallback) {
+    return item.builtIn ? translateOr(`${kind}.${item.id}.${key}`, fallback) : fallback;
+}
+
+// Month names come from the browser, which knows far more languages than
+// we ship packs for
+function monthName(month, style = 'long') {
+    const date = new Date(Date.UTC(2001, month, 15));
+    try {
+        return new Intl.DateTimeFormat(locale.language, { month: style, timeZone: 'UTC' }).format(date);
+    } catch (err) {
+        return new Intl.DateTimeFormat(FALLBACK_LANGUAGE, { month: style, timeZone: 'UTC' }).format(date);
+    }
+}
+
+// --- Units ---
+// Factors without a choice of units (soil moisture) pass through as %
+function unitSymbol(factor) {
+    return UNITS[factor] ? unitInfo(factor, locale.units[factor]).symbol : '%';
+}
+
+// Model value in the chosen unit; `exact` skips rounding (for plotting)
+function toChosenUnit(factor, value, exact = false) {
+    if (!UNITS[factor]) return exact ? value : Math.round(value);
+    return (exact ? toUnit : roundedUnit)(factor, locale.units[factor], value);
+}
+
+function fromChosenUnit(factor, value) {
+    return UNITS[factor] ? fromUnit(factor, locale.units[factor], value) : value;
+}
+
+// Model value with the chosen unit's symbol, e.g. "50 ppm"
+function formatChosenUnit(factor, value) {
+    return formatUnit(factor, locale.units[factor], value);
+}
+
+// Values written into lesson text as {co2:5} (model scale) come out in the
+// chosen units
+function formatValues(text) {
+    return text.replace(/\{(light|co2|temp):(-?[\d.]+)\}/g, (match, factor, value) => formatChosenUnit(factor, Number(value)));
+}
+
+// The same value, worded for a screen reader
+function speakFactor(factor, value) {
+    const unit = locale.units[factor];
+    const number = roundedUnit(factor, unit, value);
+    return unit === 'percent' ? t('a11y.percent', { value: number }) : t(`unit.spoken.${unit}`, { value: number });
+}
+
+// --- Applying ---
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    for (const attribute of I18N_ATTRIBUTES) {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    }
+}
+
+// Modules that build their own text re-render when the language or units change
+function onLocaleChange(render) {
+    localeListeners.push(render);
+}
+
+function applyLocale() {
+    document.documentElement.lang = locale.language;
+    applyTranslations();
+    renderLocaleControls();
+    localeListeners.forEach(render => render());
+}
+
+function setLanguage(code) {
+    if (!LANGUAGES[code]) return;
+    locale.language = code;
+    saveLocale();
+    applyLocale();
+}
+
+function setUnit(factor, unit) {
+    if (!UNITS[factor] || !UNITS[factor][unit]) return;
+    locale.units[factor] = unit;
+    saveLocale();
+    applyLocale();
+}
+
+// --- Preferences ---
+function loadLocale() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(LOCALE_KEY)) || {};
+    } catch (err) {
+        // First visit, or storage is blocked
+    }
+    (saved.packs || []).forEach(pack => {
+        try {
+            const normalized = normalizeLanguagePack(pack);
+            registerLanguage(normalized.code, normalized);
+            locale.packs.push(normalized);
+        } catch (err) {
+            // A pack that no longer loads is dropped
+        }
+    });
+
+    // Otherwise the browser's language, if we have it
+    const browser = (navigator.language || '').split('-')[0];
+    const language = [saved.language, navigator.language, browser].find(code => LANGUAGES[code]);
+    locale.language = language || FALLBACK_LANGUAGE;
+
+    for (const factor of Object.keys(UNITS)) {
+        const unit = saved.units && saved.units[factor];
+        if (UNITS[factor][unit]) locale.units[factor] = unit;
+    }
+}
+
+function saveLocale() {
+    try {
+        localStorage.setItem(LOCALE_KEY, JSON.stringify(locale));
+    } catch (err) {
+        // Still applies for this visit
+    }
+}
+
+function addLanguagePack(pack) {
+    const normalized = normalizeLanguagePack(pack);
+    registerLanguage(normalized.code, normalized);
+    locale.packs = locale.packs.filter(p => p.code !== normalized.code).concat([normalized]);
+    setLanguage(normalized.code);
+    return normalized;
+}
+
+// --- Switchers ---
+function renderLocaleControls() {
+    const select = document.getElementById('select-language');
+    // Loaded packs are saved, so their names and strings never go in as HTML
+    select.replaceChildren(...Object.values(LANGUAGES).map(language => new Option(language.name, language.code)),
+        new Option(`📄 ${t('toolbar.loadLanguage')}`, 'load'));
+    select.value = locale.language;
+
+    for (const factor of Object.keys(UNITS)) {
+        const unitSelect = document.getElementById(`unit-${factor}`);
+        unitSelect.replaceChildren(...Object.entries(UNITS[factor]).map(([unit, info]) => new Option(info.symbol, unit)));
+        unitSelect.value = locale.units[factor];
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadLocale();
+    applyLocale();
+
+    const select = document.getElementById('select-language');
+    const packFile = document.getElementById('input-language');
+    select.addEventListener('change', () => {
+        if (select.value === 'load') {
+            select.value = locale.language;
+            packFile.click();
+        } else {
+            setLanguage(select.value);
+        }
+    });
+    packFile.addEventListener('change', () => {
+        const file = packFile.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const pack = addLanguagePack(JSON.parse(text));
+                showToast(t('language.loaded', { name: pack.name }));
+            })
+            .catch(err => showToast(t('file.couldNotLoad', { file: file.name, error: err.message })))
+            .finally(() => { packFile.value = ''; });
+    });
+
+    for (const factor of Object.keys(UNITS)) {
+        const unitSelect = document.getElementById(`unit-${factor}`);
+        unitSelect.addEventListener('change', () => setUnit(factor, unitSelect.value));
+    }
+});
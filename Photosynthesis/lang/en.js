@@ -0,0 +1,390 @@
+// --- English ---
+// The reference pack: every key the interface uses is here. Copy this file
+// (or save its strings as JSON, see README) to start a translation.
+
+registerLanguage('en', {
+    name: 'English',
+    strings: {
+        'app.title': 'Photosynthesis: Living Environment Simulator',
+        'app.name': 'Photosynthesis',
+        'app.subtitle': 'Living Environment Simulator',
+
+        // Toolbar
+        'toolbar.pause': 'Pause the clock (Space)',
+        'toolbar.resume': 'Resume the clock (Space)',
+        'toolbar.save': 'Save in this browser',
+        'toolbar.load': 'Load browser save',
+        'toolbar.export': 'Export scenario file',
+        'toolbar.import': 'Import scenario file',
+        'toolbar.share': 'Copy scenario link',
+        'toolbar.contrast': 'High contrast (H)',
+        'toolbar.motion': 'Reduce motion (R)',
+        'toolbar.shortcuts': 'Keyboard shortcuts (?)',
+        'quality.title': 'Graphics quality: click for auto, low, medium or high',
+        'quality.indicator': '{fps} fps · {quality}',
+        'quality.auto': 'Auto ({level})',
+        'quality.low': 'Low',
+        'quality.medium': 'Medium',
+        'quality.high': 'High',
+        'toolbar.language': 'Language',
+        'toolbar.loadLanguage': 'Load a language pack…',
+
+        // Time controls
+        'time.speed': 'Simulation speed',
+        'time.speedDays': '{days} day/s',
+        'time.step': 'Pause and step one hour',
+        'time.sunrise': 'Skip to the next sunrise',
+        'time.day': 'Day',
+        'time.jumpTime': 'Time to jump to',
+        'time.go': 'Go',
+        'time.goTitle': 'Run the simulation forward to this day and time',
+        'time.timeline': 'Timeline',
+        'time.live': 'Live',
+        'time.replayAt': '⏪ Day {day} {time}',
+        'time.replay': 'Replay from here',
+        'time.continue': 'Continue here',
+        'time.continueTitle': 'Drop what came after and carry on from this point',
+        'time.backToLive': 'Back to live',
+        'time.passed': 'That time has passed: scrub the timeline to look back',
+        'time.tooFar': 'Jumps are limited to {days} days ahead',
+        'time.jumped': 'Jumped to day {day}, {time}',
+
+        // Clock
+        'clock.day': 'Day {day}',
+        'season.spring': 'Spring',
+        'season.summer': 'Summer',
+        'season.autumn': 'Autumn',
+        'season.winter': 'Winter',
+
+        // Environment panel
+        'env.title': 'Environment',
+        'env.light': 'Light Intensity (Sun)',
+        'env.co2': 'CO₂ Concentration',
+        'env.temp': 'Temperature',
+        'env.water': 'Soil Moisture',
+        'env.waterPlant': 'Water Plant',
+        'env.nutrients': 'Soil Nutrients',
+        'env.fertilizer': 'Fertilizer',
+        'env.fertilize': 'Fertilize',
+        'env.fertilized': '{name} spread',
+        'env.overFertilized': '{name} spread. Too much: the salts are burning the roots',
+        'lightSource.title': 'Light source',
+        'lightSource.sunlight': 'Sunlight',
+        'lightSource.red': 'Red LED',
+        'lightSource.blue': 'Blue LED',
+        'lightSource.green': 'Green filter',
+        'lightSource.custom': 'Custom mix',
+        'lightSource.ledRed': 'Red',
+        'lightSource.ledGreen': 'Green',
+        'lightSource.ledBlue': 'Blue',
+        'lightSource.worth': 'Worth {percent}% of sunlight',
+        'chamber.seal': 'Seal in a chamber',
+        'chamber.volume': 'Chamber size',
+        'chamber.size25': 'Bell jar (25 L)',
+        'chamber.size100': 'Large jar (100 L)',
+        'chamber.size500': 'Growth cabinet (500 L)',
+        'chamber.size5000': 'Greenhouse (5000 L)',
+        'chamber.litres': '{volume} L',
+        'chamber.inject': 'Inject CO₂',
+        'chamber.gases': 'O₂ {o2}% ({change} since sealing)',
+        'chamber.open': 'Open to the air: CO₂ stays where you set it.',
+        'chamber.sealedToast': 'Sealed in with {volume} L of air. Use Inject CO₂ to add more.',
+        'chamber.co2Locked': 'Sealed in, the plants set the CO₂. Use Inject CO₂ to add more.',
+        'chamber.openedToast': 'Chamber opened to the room air',
+        'env.lightUnit': 'Light unit',
+        'env.co2Unit': 'CO₂ unit',
+        'env.tempUnit': 'Temperature unit',
+        'env.weather': 'Weather',
+        'env.latitude': 'Latitude',
+        'env.equator': 'Equator',
+        'env.month': 'Month',
+        'env.seed': 'Seed',
+        'env.randomSeed': 'New random seed',
+        'env.midnightSun': 'Midnight sun (24 h daylight)',
+        'env.polarNight': 'Polar night (no sunrise)',
+
+        // Soil nutrients and fertilizers
+        'nutrient.n': 'Nitrogen',
+        'nutrient.p': 'Phosphorus',
+        'nutrient.k': 'Potassium',
+        'fertilizer.balanced': 'Balanced (NPK)',
+        'fertilizer.nitrogen': 'Nitrogen (N)',
+        'fertilizer.phosphorus': 'Phosphate (P)',
+        'fertilizer.potassium': 'Potash (K)',
+
+        // Weather
+        'weather.auto': 'Forecast (random)',
+        'weather.clear': 'Clear',
+        'weather.passing': 'Passing Clouds',
+        'weather.overcast': 'Overcast',
+        'weather.rain': 'Rain',
+        'weather.heatwave': 'Heatwave',
+        'weather.coldsnap': 'Cold Snap',
+        'weather.hoursLeft': '{hours} h left',
+        'weather.held': 'Held until you pick the forecast again',
+        'weather.next': 'Next: {events}',
+        'weather.inHours': '{icon} in {hours} h',
+
+        // Status panel
+        'stats.title': 'Plant Status',
+        'stats.plants': 'Plants',
+        'stats.addPlant': 'Plant',
+        'stats.addPlantTitle': 'Then click the ground where it should grow',
+        'stats.removePlant': 'Remove the selected plant',
+        'stats.species': 'Species',
+        'stats.loadSpecies': 'Load a custom species profile (JSON)',
+        'stats.growthRate': 'Growth Rate',
+        'stats.limiting': 'Limiting Factor: {factor}',
+        'stats.grossNet': 'Gross / Net Photosynthesis',
+        'stats.biomass': 'Biomass',
+        'stats.rootBiomass': 'Root Biomass',
+        'stats.rootShoot': '{roots} (root:shoot {ratio})',
+        'stats.allocation': '{share}% of new carbon to roots · roots meet {uptake}% of water demand',
+        'stats.plantShare': '#{id}: {light}% of the light, {water}% of the soil water',
+        'stats.replant': 'Replant',
+        'stats.analysis': 'Analysis & Data',
+        'stats.experiment': 'Response Curves',
+        'stats.challenges': 'Challenges',
+        'stats.lessons': 'Lessons',
+        'stats.toggleEnv': 'Environment',
+        'stats.toggleStats': 'Status',
+
+        'status.healthy': 'Healthy',
+        'status.wilting': 'Wilting',
+        'status.dead': 'Dead',
+
+        // Full factor names: the status panel and the experiment axes
+        'limit.none': 'None',
+        'limit.light': 'Light Intensity',
+        'limit.co2': 'CO₂ Concentration',
+        'limit.temp': 'Temperature',
+        'limit.water': 'Soil Moisture',
+        'limit.uptake': 'Water Uptake (roots)',
+        'limit.n': 'Nitrogen Deficiency',
+        'limit.p': 'Phosphorus Deficiency',
+        'limit.k': 'Potassium Deficiency',
+        'limit.burn': 'Fertilizer Burn',
+
+        // Short factor names for charts, tables and announcements
+        'factor.light': 'Light',
+        'factor.co2': 'CO₂',
+        'factor.temp': 'Temperature',
+        'factor.water': 'Water',
+        'factor.nutrients': 'Nutrients',
+
+        // Planting and species
+        'plant.planted': 'Planted {name}',
+        'plant.bedFull': 'The bed holds at most {max} plants',
+        'plant.clickGround': 'Click the ground (or press Enter) to plant a {name}',
+        'file.couldNotLoad': 'Could not load {file}: {error}',
+
+        // Saves and links
+        'storage.saved': 'Simulation saved',
+        'storage.couldNotSave': 'Could not save: {error}',
+        'storage.loaded': 'Simulation loaded',
+        'storage.noSave': 'No saved simulation yet',
+        'storage.couldNotLoad': 'Could not load save: {error}',
+        'storage.loadedFile': 'Loaded {file}',
+        'storage.linkCopied': 'Scenario link copied',
+        'storage.linkInAddressBar': 'Scenario link is in the address bar',
+        'storage.linkLoaded': 'Scenario loaded from link',
+
+        // Analysis overlay
+        'analysis.title': 'Photosynthesis Analysis',
+        'analysis.liebig': 'Liebig\'s Law of the Minimum: Growth is dictated not by total resources available, but by the scarcest resource (limiting factor).',
+        'analysis.balance': 'Net balance is gross photosynthesis minus respiration. Respiration never stops and speeds up in the heat, so at the compensation point the two cancel out and the plant stops gaining biomass.',
+        'analysis.rateChart': 'Factor Effects & Rate',
+        'analysis.rateChartHint': '(last 24 h, shading = limiting factor)',
+        'analysis.currentRate': 'Current Rate',
+        'analysis.limitingFactor': 'Limiting Factor',
+        'analysis.gross': 'Gross Photosynthesis',
+        'analysis.net': 'Net Balance',
+        'analysis.biomass': 'Biomass',
+        'analysis.gasChart': 'Chamber Air',
+        'analysis.gasChartHint': '(last 3 days)',
+        'analysis.co2Level': 'CO₂',
+        'analysis.o2Level': 'O₂',
+        'analysis.spectrumChart': 'Light & Leaves',
+        'analysis.spectrumChartHint': '(why leaves are green)',
+        'analysis.lightNow': 'Light now: {source}',
+        'analysis.absorption': 'Chlorophyll absorption',
+        'analysis.actionSpectrum': 'Action spectrum',
+        'analysis.wavelength': 'Wavelength (nm)',
+        'analysis.relative': '% of peak',
+        'analysis.dailySummary': 'Daily Summary',
+        'analysis.day': 'Day',
+        'analysis.dayNumber': 'Day {day}',
+        'analysis.soFar': '(so far)',
+        'analysis.production': 'Production',
+        'analysis.netGain': 'Net Gain',
+        'analysis.hoursLimited': 'Hours limited by',
+        'analysis.temp': 'Temp',
+        'analysis.nutrients': 'Soil',
+        'analysis.rate': 'Photosynthesis Rate (%)',
+        'analysis.effect': '{factor} Effect',
+        'recorder.title': 'Session Recording',
+        'recorder.sampleEvery': 'Sample every',
+        'recorder.minutes': '{minutes} min',
+        'recorder.hour': '1 hour',
+        'recorder.hours': '{hours} hours',
+        'recorder.samples': '{count} samples',
+        'recorder.clear': 'Clear',
+
+        // Experiment overlay
+        'experiment.title': 'Response Curve Experiment',
+        'experiment.intro': 'Sweep one factor across its full range while the others are held constant, then repeat for several levels of a second factor or for each species. Curves use the species currently planted unless species are being compared. The live simulation keeps running untouched.',
+        'experiment.preset': 'Classic Experiment',
+        'experiment.custom': 'Custom…',
+        'experiment.sweep': 'Sweep (x-axis)',
+        'experiment.compare': 'Compare levels of',
+        'experiment.none': '(none)',
+        'experiment.allSpecies': 'Species (all)',
+        'experiment.levels': 'Levels',
+        'experiment.levelsHint': 'e.g. 10, 20, 40, 80',
+        'experiment.run': 'Run Sweep',
+        'experiment.useCurrent': 'Use current conditions',
+        'experiment.held.light': 'Light',
+        'experiment.held.co2': 'CO₂',
+        'experiment.held.temp': 'Temp',
+        'experiment.held.water': 'Moisture',
+        'experiment.axis': '{factor} ({unit})',
+        'experiment.curve': '{factor} = {value}',
+        'preset.light-saturation': 'Light saturation curve',
+        'preset.temperature-optimum': 'Temperature optimum curve',
+        'preset.co2-response': 'CO₂ response curve',
+        'preset.drought-response': 'Drought response curve',
+        'preset.species-heat': 'C3 vs C4 vs CAM: heat',
+        'preset.species-co2': 'C3 vs C4 vs CAM: low CO₂',
+        'preset.light-saturation.note': 'Rate rises steeply in dim light, then levels off: the plateau is where light stops being the limiting factor. More CO₂ lifts the plateau.',
+        'preset.temperature-optimum.note': 'Enzymes work fastest near the optimum and slow down on either side. In dim light the peak is clipped because light limits first.',
+        'preset.co2-response.note': 'Extra CO₂ helps until another factor takes over. At temperatures away from the optimum the curve flattens much earlier.',
+        'preset.species-heat.note': 'The C4 maize peaks several degrees hotter than C3 wheat and keeps going where wheat has collapsed.',
+        'preset.species-co2.note': 'C4 plants pump CO₂ to Rubisco, so maize is close to its maximum at CO₂ levels where wheat is still starved.',
+        'preset.drought-response.note': 'Below the wilting point nothing happens; once the soil is moist enough, water is no longer the limit.',
+
+        // Challenges
+        'challenge.title': 'Challenges',
+        'challenge.intro': 'Each level starts a fresh run with its own goals and limits. The clock can\'t be paused, so plan ahead. Finish quickly and spend little to earn more stars; each level unlocks the next.',
+        'challenge.quit': 'Quit',
+        'challenge.retry': 'Try Again',
+        'challenge.next': 'Next Level',
+        'challenge.load': 'Load Level (JSON)',
+        'challenge.bestScore': 'Best score: {score}',
+        'challenge.notCompleted': 'Not completed yet',
+        'challenge.couldNotSave': 'Could not save progress: {error}',
+        'challenge.noWaterings': 'No waterings left in this level',
+        'challenge.abandoned': 'Challenge abandoned',
+        'challenge.co2UsedUp': 'CO₂ budget used up',
+        'challenge.complete': '{name} complete! {stars}',
+        'challenge.failed': '{name} failed',
+        'challenge.score': 'Score {score} (best {best}).',
+        'challenge.tryAgain': '{reason}. Have another go!',
+        'challenge.alive': '{alive}/{total} alive',
+        'challenge.co2Left': 'CO₂ budget left: {left} / {budget}',
+        'challenge.wateringsLeft': 'Waterings left: {left} / {max}',
+        'challenge.sandbox': 'Back to the free-play sandbox',
+        'challenge.added': 'Added level "{name}"',
+        'objective.biomass': 'Grow a plant to {target} biomass by the end of day {day}',
+        'objective.bedBiomass': 'Grow {target} biomass across the bed by the end of day {day}',
+        'objective.survive': 'Keep every plant alive by the end of day {day}',
+        'failure.plantDied': 'A plant died',
+        'failure.missedDay': 'Day {day} ended before the target was reached',
+        'failure.allDead': 'Every plant died',
+
+        // Lessons
+        'lesson.title': 'Lessons',
+        'lesson.intro': 'A lesson walks you through the simulator one task at a time: change the conditions until the plant reaches the goal and an explanation pops up next to the panel involved. A short quiz at the end checks what you\'ve learned.',
+        'lesson.quit': 'Quit',
+        'lesson.load': 'Load Lesson (JSON)',
+        'lesson.summary': '{steps} steps · {questions} quiz questions',
+        'lesson.step': 'Step {step} of {total}',
+        'lesson.task': 'Task',
+        'lesson.done': 'Done!',
+        'lesson.next': 'Next ▶',
+        'lesson.startQuiz': 'Start Quiz ▶',
+        'lesson.finish': 'Finish ✔',
+        'lesson.complete': 'Lesson complete: {name}',
+        'lesson.added': 'Added lesson "{name}"',
+        'quiz.progress': '{name} · Question {number} of {total}',
+        'quiz.correct': 'Correct!',
+        'quiz.wrong': 'Not quite.',
+        'quiz.next': 'Next Question ▶',
+        'quiz.results': 'See Results ▶',
+        'quiz.score': '{name}: {score} / {total} correct',
+        'quiz.answer': '(answer: {answer})',
+        'quiz.student': 'Your name',
+
+        // Keyboard shortcuts
+        'shortcuts.title': 'Keyboard Shortcuts',
+        'shortcuts.intro': 'Shortcuts work whenever the focus isn\'t in a text box. Tab moves between controls; once a slider has focus, the arrow keys change it.',
+        'key.space': 'Space',
+        'key.escape': 'Esc',
+        'key.delete': 'Del',
+        'shortcut.pause': 'Pause or resume the clock',
+        'shortcut.step': 'Pause and step one hour',
+        'shortcut.sunrise': 'Skip to the next sunrise',
+        'shortcut.slower': 'Slower',
+        'shortcut.faster': 'Faster',
+        'shortcut.light': 'Light slider',
+        'shortcut.co2': 'CO₂ slider',
+        'shortcut.temp': 'Temperature slider',
+        'shortcut.water': 'Soil moisture slider',
+        'shortcut.lightSource': 'Light source picker',
+        'shortcut.chamber': 'Chamber checkbox (Space seals or opens it)',
+        'shortcut.weather': 'Weather picker',
+        'shortcut.latitude': 'Latitude slider',
+        'shortcut.month': 'Month picker',
+        'shortcut.waterPlant': 'Water the plant',
+        'shortcut.fertilize': 'Spread the chosen fertilizer',
+        'shortcut.species': 'Species picker for the selected plant',
+        'shortcut.nextPlant': 'Select the next plant',
+        'shortcut.addPlant': 'Plant a seedling (then Enter, or click the ground)',
+        'shortcut.removePlant': 'Remove the selected plant',
+        'shortcut.save': 'Save in this browser',
+        'shortcut.load': 'Load the browser save',
+        'shortcut.analysis': 'Analysis & data',
+        'shortcut.experiment': 'Response curve experiments',
+        'shortcut.challenges': 'Challenges',
+        'shortcut.lessons': 'Lessons',
+        'shortcut.contrast': 'High contrast on / off',
+        'shortcut.motion': 'Reduced motion on / off',
+        'shortcut.help': 'Show these shortcuts',
+        'shortcut.close': 'Close the open window, or stop planting',
+
+        // Screen reader announcements
+        'a11y.close': 'Close',
+        'a11y.closePanel': 'Close panel',
+        'a11y.speed': 'Speed {speed}',
+        'a11y.plantSelected': 'Plant {number} of {total} selected: {plant}',
+        'a11y.highContrastOn': 'High contrast on',
+        'a11y.highContrastOff': 'High contrast off',
+        'a11y.reducedMotionOn': 'Reduced motion on',
+        'a11y.reducedMotionOff': 'Reduced motion off',
+        'a11y.nightfall': 'Night has fallen.',
+        'a11y.sunrise': 'The sun has risen.',
+        'a11y.nothingLimiting': 'Nothing is limiting growth now.',
+        'a11y.nowLimiting': '{factor} is now the limiting factor.',
+        'a11y.plantNumber': 'Plant {number} ({name})',
+        'a11y.thePlant': 'The {name}',
+        'a11y.flowered': '{plant} has flowered.',
+        'a11y.recovered': '{plant} has recovered.',
+        'a11y.wilting': '{plant} is wilting.',
+        'a11y.died': '{plant} has died.',
+        'a11y.plant': '{name}, {status}, biomass {biomass}',
+        'a11y.plants': '{count} plants; selected: {plant}',
+        'a11y.scene': 'Day {day}, {time}, {daylight}, {weather}. {plants}. Growth rate {rate}%{limited}.',
+        'a11y.night': 'night',
+        'a11y.daytime': 'day',
+        'a11y.limitedBy': ', limited by {factor}',
+        'a11y.growthRate': 'Growth rate',
+        'a11y.percent': '{value} percent',
+        'unit.spoken.ppfd': '{value} micromoles of photons per square metre per second',
+        'unit.spoken.lux': '{value} lux',
+        'unit.spoken.ppm': '{value} parts per million',
+        'unit.spoken.c': '{value} degrees Celsius',
+        'unit.spoken.f': '{value} degrees Fahrenheit',
+
+        // Language packs
+        'language.loaded': 'Added language "{name}"'
+    }
+});
@@ -0,0 +1,479 @@
+// --- Español ---
+
+registerLanguage('es', {
+    name: 'Español',
+    strings: {
+        'app.title': 'Fotosíntesis: simulador de un entorno vivo',
+        'app.name': 'Fotosíntesis',
+        'app.subtitle': 'Simulador de un entorno vivo',
+
+        // Toolbar
+        'toolbar.pause': 'Pausar el reloj (Espacio)',
+        'toolbar.resume': 'Reanudar el reloj (Espacio)',
+        'toolbar.save': 'Guardar en este navegador',
+        'toolbar.load': 'Cargar lo guardado en el navegador',
+        'toolbar.export': 'Exportar archivo de escenario',
+        'toolbar.import': 'Importar archivo de escenario',
+        'toolbar.share': 'Copiar enlace del escenario',
+        'toolbar.contrast': 'Alto contraste (H)',
+        'toolbar.motion': 'Reducir movimiento (R)',
+        'toolbar.shortcuts': 'Atajos de teclado (?)',
+        'quality.title': 'Calidad gráfica: pulsa para automática, baja, media o alta',
+        'quality.indicator': '{fps} fps · {quality}',
+        'quality.auto': 'Auto ({level})',
+        'quality.low': 'Baja',
+        'quality.medium': 'Media',
+        'quality.high': 'Alta',
+        'toolbar.language': 'Idioma',
+        'toolbar.loadLanguage': 'Cargar un paquete de idioma…',
+
+        // Time controls
+        'time.speed': 'Velocidad de la simulación',
+        'time.speedDays': '{days} día/s',
+        'time.step': 'Pausar y avanzar una hora',
+        'time.sunrise': 'Saltar al próximo amanecer',
+        'time.day': 'Día',
+        'time.jumpTime': 'Hora a la que saltar',
+        'time.go': 'Ir',
+        'time.goTitle': 'Avanzar la simulación hasta este día y hora',
+        'time.timeline': 'Línea de tiempo',
+        'time.live': 'En vivo',
+        'time.replayAt': '⏪ Día {day} {time}',
+        'time.replay': 'Reproducir desde aquí',
+        'time.continue': 'Continuar aquí',
+        'time.continueTitle': 'Descartar lo que vino después y seguir desde este punto',
+        'time.backToLive': 'Volver al presente',
+        'time.passed': 'Ese momento ya pasó: usa la línea de tiempo para mirar atrás',
+        'time.tooFar': 'Los saltos están limitados a {days} días hacia delante',
+        'time.jumped': 'Saltaste al día {day}, {time}',
+
+        // Clock
+        'clock.day': 'Día {day}',
+        'season.spring': 'Primavera',
+        'season.summer': 'Verano',
+        'season.autumn': 'Otoño',
+        'season.winter': 'Invierno',
+
+        // Environment panel
+        'env.title': 'Entorno',
+        'env.light': 'Intensidad de la luz (Sol)',
+        'env.co2': 'Concentración de CO₂',
+        'env.temp': 'Temperatura',
+        'env.water': 'Humedad del suelo',
+        'env.waterPlant': 'Regar la planta',
+        'env.nutrients': 'Nutrientes del suelo',
+        'env.fertilizer': 'Fertilizante',
+        'env.fertilize': 'Fertilizar',
+        'env.fertilized': '{name} aplicado',
+        'env.overFertilized': '{name} aplicado. Demasiado: las sales queman las raíces',
+        'lightSource.title': 'Fuente de luz',
+        'lightSource.sunlight': 'Luz solar',
+        'lightSource.red': 'LED rojo',
+        'lightSource.blue': 'LED azul',
+        'lightSource.green': 'Filtro verde',
+        'lightSource.custom': 'Mezcla propia',
+        'lightSource.ledRed': 'Rojo',
+        'lightSource.ledGreen': 'Verde',
+        'lightSource.ledBlue': 'Azul',
+        'lightSource.worth': 'Vale un {percent}% de la luz solar',
+        'chamber.seal': 'Encerrar en una cámara',
+        'chamber.volume': 'Tamaño de la cámara',
+        'chamber.size25': 'Campana de vidrio (25 L)',
+        'chamber.size100': 'Tarro grande (100 L)',
+        'chamber.size500': 'Cámara de cultivo (500 L)',
+        'chamber.size5000': 'Invernadero (5000 L)',
+        'chamber.litres': '{volume} L',
+        'chamber.inject': 'Inyectar CO₂',
+        'chamber.gases': 'O₂ {o2}% ({change} desde el cierre)',
+        'chamber.open': 'Al aire libre: el CO₂ se queda donde lo pongas.',
+        'chamber.sealedToast': 'Encerrada con {volume} L de aire. Usa Inyectar CO₂ para añadir más.',
+        'chamber.co2Locked': 'Con la cámara cerrada, las plantas marcan el CO₂. Usa Inyectar CO₂ para añadir más.',
+        'chamber.openedToast': 'Cámara abierta al aire de la sala',
+        'env.lightUnit': 'Unidad de luz',
+        'env.co2Unit': 'Unidad de CO₂',
+        'env.tempUnit': 'Unidad de temperatura',
+        'env.weather': 'Tiempo',
+        'env.latitude': 'Latitud',
+        'env.equator': 'Ecuador',
+        'env.month': 'Mes',
+        'env.seed': 'Semilla',
+        'env.randomSeed': 'Nueva semilla aleatoria',
+        'env.midnightSun': 'Sol de medianoche (24 h de luz)',
+        'env.polarNight': 'Noche polar (sin amanecer)',
+
+        // Soil nutrients and fertilizers
+        'nutrient.n': 'Nitrógeno',
+        'nutrient.p': 'Fósforo',
+        'nutrient.k': 'Potasio',
+        'fertilizer.balanced': 'Equilibrado (NPK)',
+        'fertilizer.nitrogen': 'Nitrógeno (N)',
+        'fertilizer.phosphorus': 'Fosfato (P)',
+        'fertilizer.potassium': 'Potasa (K)',
+
+        // Weather
+        'weather.auto': 'Pronóstico (aleatorio)',
+        'weather.clear': 'Despejado',
+        'weather.passing': 'Nubes pasajeras',
+        'weather.overcast': 'Nublado',
+        'weather.rain': 'Lluvia',
+        'weather.heatwave': 'Ola de calor',
+        'weather.coldsnap': 'Ola de frío',
+        'weather.hoursLeft': 'quedan {hours} h',
+        'weather.held': 'Fijo hasta que vuelvas a elegir el pronóstico',
+        'weather.next': 'Después: {events}',
+        'weather.inHours': '{icon} en {hours} h',
+
+        // Status panel
+        'stats.title': 'Estado de la planta',
+        'stats.plants': 'Plantas',
+        'stats.addPlant': 'Plantar',
+        'stats.addPlantTitle': 'Después haz clic en el suelo donde deba crecer',
+        'stats.removePlant': 'Quitar la planta seleccionada',
+        'stats.species': 'Especie',
+        'stats.loadSpecies': 'Cargar un perfil de especie propio (JSON)',
+        'stats.growthRate': 'Tasa de crecimiento',
+        'stats.limiting': 'Factor limitante: {factor}',
+        'stats.grossNet': 'Fotosíntesis bruta / neta',
+        'stats.biomass': 'Biomasa',
+        'stats.rootBiomass': 'Biomasa de raíces',
+        'stats.rootShoot': '{roots} (raíz:tallo {ratio})',
+        'stats.allocation': '{share}% del carbono nuevo va a las raíces · las raíces cubren el {uptake}% de la demanda de agua',
+        'stats.plantShare': '#{id}: {light}% de la luz, {water}% del agua del suelo',
+        'stats.replant': 'Volver a plantar',
+        'stats.analysis': 'Análisis y datos',
+        'stats.experiment': 'Curvas de respuesta',
+        'stats.challenges': 'Desafíos',
+        'stats.lessons': 'Lecciones',
+        'stats.toggleEnv': 'Entorno',
+        'stats.toggleStats': 'Estado',
+
+        'status.healthy': 'Sana',
+        'status.wilting': 'Marchita',
+        'status.dead': 'Muerta',
+
+        // Full factor names: the status panel and the experiment axes
+        'limit.none': 'Ninguno',
+        'limit.light': 'Intensidad de la luz',
+        'limit.co2': 'Concentración de CO₂',
+        'limit.temp': 'Temperatura',
+        'limit.water': 'Humedad del suelo',
+        'limit.uptake': 'Absorción de agua (raíces)',
+        'limit.n': 'Falta de nitrógeno',
+        'limit.p': 'Falta de fósforo',
+        'limit.k': 'Falta de potasio',
+        'limit.burn': 'Quemadura por fertilizante',
+
+        // Short factor names for charts, tables and announcements
+        'factor.light': 'Luz',
+        'factor.co2': 'CO₂',
+        'factor.temp': 'Temperatura',
+        'factor.water': 'Agua',
+        'factor.nutrients': 'Nutrientes',
+
+        // Planting and species
+        'plant.planted': 'Has plantado: {name}',
+        'plant.bedFull': 'En el bancal caben como mucho {max} plantas',
+        'plant.clickGround': 'Haz clic en el suelo (o pulsa Intro) para plantar: {name}',
+        'file.couldNotLoad': 'No se pudo cargar {file}: {error}',
+
+        // Saves and links
+        'storage.saved': 'Simulación guardada',
+        'storage.couldNotSave': 'No se pudo guardar: {error}',
+        'storage.loaded': 'Simulación cargada',
+        'storage.noSave': 'Aún no hay ninguna simulación guardada',
+        'storage.couldNotLoad': 'No se pudo cargar lo guardado: {error}',
+        'storage.loadedFile': 'Cargado {file}',
+        'storage.linkCopied': 'Enlace del escenario copiado',
+        'storage.linkInAddressBar': 'El enlace del escenario está en la barra de direcciones',
+        'storage.linkLoaded': 'Escenario cargado desde el enlace',
+
+        // Analysis overlay
+        'analysis.title': 'Análisis de la fotosíntesis',
+        'analysis.liebig': 'Ley del mínimo de Liebig: el crecimiento no depende del total de recursos disponibles, sino del recurso más escaso (el factor limitante).',
+        'analysis.balance': 'El balance neto es la fotosíntesis bruta menos la respiración. La respiración nunca se detiene y se acelera con el calor, así que en el punto de compensación ambas se anulan y la planta deja de ganar biomasa.',
+        'analysis.rateChart': 'Efectos de los factores y tasa',
+        'analysis.rateChartHint': '(últimas 24 h, sombreado = factor limitante)',
+        'analysis.currentRate': 'Tasa actual',
+        'analysis.limitingFactor': 'Factor limitante',
+        'analysis.gross': 'Fotosíntesis bruta',
+        'analysis.net': 'Balance neto',
+        'analysis.biomass': 'Biomasa',
+        'analysis.gasChart': 'Aire de la cámara',
+        'analysis.gasChartHint': '(últimos 3 días)',
+        'analysis.co2Level': 'CO₂',
+        'analysis.o2Level': 'O₂',
+        'analysis.spectrumChart': 'Luz y hojas',
+        'analysis.spectrumChartHint': '(por qué las hojas son verdes)',
+        'analysis.lightNow': 'Luz actual: {source}',
+        'analysis.absorption': 'Absorción de la clorofila',
+        'analysis.actionSpectrum': 'Espectro de acción',
+        'analysis.wavelength': 'Longitud de onda (nm)',
+        'analysis.relative': '% del máximo',
+        'analysis.dailySummary': 'Resumen diario',
+        'analysis.day': 'Día',
+        'analysis.dayNumber': 'Día {day}',
+        'analysis.soFar': '(hasta ahora)',
+        'analysis.production': 'Producción',
+        'analysis.netGain': 'Ganancia neta',
+        'analysis.hoursLimited': 'Horas limitada por',
+        'analysis.temp': 'Temp.',
+        'analysis.nutrients': 'Suelo',
+        'analysis.rate': 'Tasa de fotosíntesis (%)',
+        'analysis.effect': 'Efecto: {factor}',
+        'recorder.title': 'Grabación de la sesión',
+        'recorder.sampleEvery': 'Muestra cada',
+        'recorder.minutes': '{minutes} min',
+        'recorder.hour': '1 hora',
+        'recorder.hours': '{hours} horas',
+        'recorder.samples': '{count} muestras',
+        'recorder.clear': 'Borrar',
+
+        // Experiment overlay
+        'experiment.title': 'Experimento de curva de respuesta',
+        'experiment.intro': 'Recorre un factor por todo su rango mientras los demás se mantienen constantes, y repítelo para varios niveles de un segundo factor o para cada especie. Las curvas usan la especie plantada, salvo cuando se comparan especies. La simulación en vivo sigue sin cambios.',
+        'experiment.preset': 'Experimento clásico',
+        'experiment.custom': 'Personalizado…',
+        'experiment.sweep': 'Recorrer (eje x)',
+        'experiment.compare': 'Comparar niveles de',
+        'experiment.none': '(ninguno)',
+        'experiment.allSpecies': 'Especies (todas)',
+        'experiment.levels': 'Niveles',
+        'experiment.levelsHint': 'p. ej. 10, 20, 40, 80',
+        'experiment.run': 'Ejecutar',
+        'experiment.useCurrent': 'Usar las condiciones actuales',
+        'experiment.held.light': 'Luz',
+        'experiment.held.co2': 'CO₂',
+        'experiment.held.temp': 'Temp.',
+        'experiment.held.water': 'Humedad',
+        'experiment.axis': '{factor} ({unit})',
+        'experiment.curve': '{factor} = {value}',
+        'preset.light-saturation': 'Curva de saturación por luz',
+        'preset.temperature-optimum': 'Curva de temperatura óptima',
+        'preset.co2-response': 'Curva de respuesta al CO₂',
+        'preset.drought-response': 'Curva de respuesta a la sequía',
+        'preset.species-heat': 'C3 vs C4 vs CAM: calor',
+        'preset.species-co2': 'C3 vs C4 vs CAM: poco CO₂',
+        'preset.light-saturation.note': 'Con poca luz la tasa sube deprisa y luego se estabiliza: la meseta es donde la luz deja de ser el factor limitante. Más CO₂ eleva la meseta.',
+        'preset.temperature-optimum.note': 'Las enzimas trabajan más rápido cerca del óptimo y se frenan a ambos lados. Con poca luz el pico queda recortado porque la luz limita antes.',
+        'preset.co2-response.note': 'El CO₂ extra ayuda hasta que otro factor toma el relevo. A temperaturas alejadas del óptimo la curva se aplana mucho antes.',
+        'preset.species-heat.note': 'El maíz (C4) alcanza su máximo varios grados más caliente que el trigo (C3) y sigue creciendo donde el trigo ya se ha hundido.',
+        'preset.species-co2.note': 'Las plantas C4 bombean CO₂ hacia la Rubisco, así que el maíz está cerca de su máximo con niveles de CO₂ en los que el trigo aún pasa hambre.',
+        'preset.drought-response.note': 'Por debajo del punto de marchitez no ocurre nada; cuando el suelo está lo bastante húmedo, el agua deja de ser el límite.',
+
+        // Challenges
+        'challenge.title': 'Desafíos',
+        'challenge.intro': 'Cada nivel empieza una partida nueva con sus propios objetivos y límites. El reloj no se puede pausar, así que planifica. Termina rápido y gasta poco para ganar más estrellas; cada nivel desbloquea el siguiente.',
+        'challenge.quit': 'Salir',
+        'challenge.retry': 'Reintentar',
+        'challenge.next': 'Siguiente nivel',
+        'challenge.load': 'Cargar nivel (JSON)',
+        'challenge.bestScore': 'Mejor puntuación: {score}',
+        'challenge.notCompleted': 'Aún sin completar',
+        'challenge.couldNotSave': 'No se pudo guardar el progreso: {error}',
+        'challenge.noWaterings': 'No quedan riegos en este nivel',
+        'challenge.abandoned': 'Desafío abandonado',
+        'challenge.co2UsedUp': 'Se agotó el presupuesto de CO₂',
+        'challenge.complete': '¡{name} completado! {stars}',
+        'challenge.failed': '{name}: no superado',
+        'challenge.score': 'Puntuación {score} (mejor {best}).',
+        'challenge.tryAgain': '{reason}. ¡Inténtalo de nuevo!',
+        'challenge.alive': '{alive}/{total} vivas',
+        'challenge.co2Left': 'CO₂ restante: {left} / {budget}',
+        'challenge.wateringsLeft': 'Riegos restantes: {left} / {max}',
+        'challenge.sandbox': 'De vuelta al modo libre',
+        'challenge.added': 'Nivel «{name}» añadido',
+        'objective.biomass': 'Haz que una planta llegue a {target} de biomasa antes de que acabe el día {day}',
+        'objective.bedBiomass': 'Consigue {target} de biomasa en todo el bancal antes de que acabe el día {day}',
+        'objective.survive': 'Mantén vivas todas las plantas hasta el final del día {day}',
+        'failure.plantDied': 'Una planta murió',
+        'failure.missedDay': 'El día {day} terminó sin alcanzar el objetivo',
+        'failure.allDead': 'Murieron todas las plantas',
+
+        // Lessons
+        'lesson.title': 'Lecciones',
+        'lesson.intro': 'Una lección te guía por el simulador tarea a tarea: cambia las condiciones hasta que la planta alcance el objetivo y aparecerá una explicación junto al panel correspondiente. Un breve cuestionario al final comprueba lo que has aprendido.',
+        'lesson.quit': 'Salir',
+        'lesson.load': 'Cargar lección (JSON)',
+        'lesson.summary': '{steps} pasos · {questions} preguntas',
+        'lesson.step': 'Paso {step} de {total}',
+        'lesson.task': 'Tarea',
+        'lesson.done': '¡Hecho!',
+        'lesson.next': 'Siguiente ▶',
+        'lesson.startQuiz': 'Empezar el cuestionario ▶',
+        'lesson.finish': 'Terminar ✔',
+        'lesson.complete': 'Lección completada: {name}',
+        'lesson.added': 'Lección «{name}» añadida',
+        'quiz.progress': '{name} · Pregunta {number} de {total}',
+        'quiz.correct': '¡Correcto!',
+        'quiz.wrong': 'No exactamente.',
+        'quiz.next': 'Siguiente pregunta ▶',
+        'quiz.results': 'Ver resultados ▶',
+        'quiz.score': '{name}: {score} / {total} correctas',
+        'quiz.answer': '(respuesta: {answer})',
+        'quiz.student': 'Tu nombre',
+
+        // Keyboard shortcuts
+        'shortcuts.title': 'Atajos de teclado',
+        'shortcuts.intro': 'Los atajos funcionan siempre que el foco no esté en un cuadro de texto. Tab pasa de un control a otro; cuando un control deslizante tiene el foco, las flechas lo cambian.',
+        'key.space': 'Espacio',
+        'key.escape': 'Esc',
+        'key.delete': 'Supr',
+        'shortcut.pause': 'Pausar o reanudar el reloj',
+        'shortcut.step': 'Pausar y avanzar una hora',
+        'shortcut.sunrise': 'Saltar al próximo amanecer',
+        'shortcut.slower': 'Más lento',
+        'shortcut.faster': 'Más rápido',
+        'shortcut.light': 'Control de luz',
+        'shortcut.co2': 'Control de CO₂',
+        'shortcut.temp': 'Control de temperatura',
+        'shortcut.water': 'Control de humedad del suelo',
+        'shortcut.lightSource': 'Selector de fuente de luz',
+        'shortcut.chamber': 'Casilla de la cámara (Espacio la cierra o la abre)',
+        'shortcut.weather': 'Selector del tiempo',
+        'shortcut.latitude': 'Control de latitud',
+        'shortcut.month': 'Selector del mes',
+        'shortcut.waterPlant': 'Regar la planta',
+        'shortcut.fertilize': 'Aplicar el fertilizante elegido',
+        'shortcut.species': 'Selector de especie de la planta seleccionada',
+        'shortcut.nextPlant': 'Seleccionar la siguiente planta',
+        'shortcut.addPlant': 'Plantar una plántula (después Intro, o clic en el suelo)',
+        'shortcut.removePlant': 'Quitar la planta seleccionada',
+        'shortcut.save': 'Guardar en este navegador',
+        'shortcut.load': 'Cargar lo guardado en el navegador',
+        'shortcut.analysis': 'Análisis y datos',
+        'shortcut.experiment': 'Experimentos de curvas de respuesta',
+        'shortcut.challenges': 'Desafíos',
+        'shortcut.lessons': 'Lecciones',
+        'shortcut.contrast': 'Activar o desactivar el alto contraste',
+        'shortcut.motion': 'Activar o desactivar el movimiento reducido',
+        'shortcut.help': 'Mostrar estos atajos',
+        'shortcut.close': 'Cerrar la ventana abierta o dejar de plantar',
+
+        // Screen reader announcements
+        'a11y.close': 'Cerrar',
+        'a11y.closePanel': 'Cerrar el panel',
+        'a11y.speed': 'Velocidad {speed}',
+        'a11y.plantSelected': 'Planta {number} de {total} seleccionada: {plant}',
+        'a11y.highContrastOn': 'Alto contraste activado',
+        'a11y.highContrastOff': 'Alto contraste desactivado',
+        'a11y.reducedMotionOn': 'Movimiento reducido activado',
+        'a11y.reducedMotionOff': 'Movimiento reducido desactivado',
+        'a11y.nightfall': 'Ha caído la noche.',
+        'a11y.sunrise': 'Ha salido el sol.',
+        'a11y.nothingLimiting': 'Ahora nada limita el crecimiento.',
+        'a11y.nowLimiting': 'Ahora el factor limitante es: {factor}.',
+        'a11y.plantNumber': 'Planta {number} ({name})',
+        'a11y.thePlant': 'La planta ({name})',
+        'a11y.flowered': '{plant} ha florecido.',
+        'a11y.recovered': '{plant} se ha recuperado.',
+        'a11y.wilting': '{plant} se está marchitando.',
+        'a11y.died': '{plant} ha muerto.',
+        'a11y.plant': '{name}, {status}, biomasa {biomass}',
+        'a11y.plants': '{count} plantas; seleccionada: {plant}',
+        'a11y.scene': 'Día {day}, {time}, {daylight}, {weather}. {plants}. Tasa de crecimiento {rate}%{limited}.',
+        'a11y.night': 'de noche',
+        'a11y.daytime': 'de día',
+        'a11y.limitedBy': ', limitada por: {factor}',
+        'a11y.growthRate': 'Tasa de crecimiento',
+        'a11y.percent': '{value} por ciento',
+        'unit.spoken.ppfd': '{value} micromoles de fotones por metro cuadrado y segundo',
+        'unit.spoken.lux': '{value} lux',
+        'unit.spoken.ppm': '{value} partes por millón',
+        'unit.spoken.c': '{value} grados Celsius',
+        'unit.spoken.f': '{value} grados Fahrenheit',
+
+        // Language packs
+        'language.loaded': 'Idioma «{name}» añadido',
+
+        // Built-in species
+        'species.wheat': 'Trigo',
+        'species.maize': 'Maíz',
+        'species.cactus': 'Cactus',
+        'species.fern': 'Helecho de bosque',
+        'species.wheat.description': 'Cultivo C3 de clima templado. La fotorrespiración lo hace ávido de CO₂ y le sienta mal el calor.',
+        'species.maize.description': 'Gramínea C4 tropical. Concentra el CO₂ alrededor de la Rubisco, así que soporta el calor, el sol intenso y el poco CO₂.',
+        'species.cactus.description': 'Planta CAM del desierto. Abre los estomas de noche para ahorrar agua: muy resistente a la sequía, pero de crecimiento lento.',
+        'species.fern.description': 'Planta de sombra del suelo del bosque. Se satura con poca luz, y el sol pleno daña sus fotosistemas.',
+
+        // Built-in levels
+        'level.first-harvest.name': 'Primera cosecha',
+        'level.first-harvest.description': 'Una plántula de primavera con un par de riegos de sobra. Mantén el suelo húmedo y deja que el sol haga el resto.',
+        'level.dry-spell.name': 'Racha seca',
+        'level.dry-spell.description': 'Un julio caluroso y seco con solo tres riegos. Elige bien el momento: las raíces solo beben lo que el suelo retiene.',
+        'level.carbon-budget.name': 'Presupuesto de carbono',
+        'level.carbon-budget.description': 'Al aire del invernadero le falta CO₂ y la bombona es pequeña. Gástalo cuando haya luz suficiente para aprovecharlo.',
+        'level.desert-bloom.name': 'Flor del desierto',
+        'level.desert-bloom.description': 'Una ola de calor en el desierto y un solo riego. Un cactus lo aguanta: mantenlo vivo y creciendo.',
+        'level.crowded-bed.name': 'Bancal abarrotado',
+        'level.crowded-bed.description': 'Tres plantas de maíz comparten un bancal. Mantenlas a todas vivas y creciendo pese a la sombra y a las raíces sedientas.',
+
+        // Built-in lessons ({co2:5} is a value shown in the chosen units)
+        'lesson.limiting-factors.name': 'Factores limitantes',
+        'lesson.limiting-factors.description': 'Descubre por qué más de un recurso solo ayuda hasta que otro empieza a escasear.',
+        'lesson.limiting-factors.step1.text': 'El reloj está en pausa a mediodía. El crecimiento lo marca el recurso más escaso: el factor limitante. Ahora mismo es la luz.',
+        'lesson.limiting-factors.step2.text': 'Baja el CO₂ hasta que se convierta en el factor limitante.',
+        'lesson.limiting-factors.step2.success': 'Ahora el cuello de botella es el CO₂. La planta no puede fijar carbono más deprisa de lo que le llega, por mucha luz que haya.',
+        'lesson.limiting-factors.step3.text': 'Mantén el CO₂ bajo y sube la luz al máximo. Observa la tasa de crecimiento.',
+        'lesson.limiting-factors.step3.success': 'Más luz no cambió nada: solo subir el factor limitante acelera el crecimiento. Es la ley del mínimo de Liebig.',
+        'lesson.limiting-factors.step4.text': 'Vuelve a subir el CO₂ y luego calienta el aire hasta que la temperatura sea el factor limitante.',
+        'lesson.limiting-factors.step4.success': 'Por encima de su óptimo, las enzimas de la planta se ralentizan, así que el calor puede frenar el crecimiento aunque sobren luz y CO₂.',
+        'lesson.limiting-factors.step5.text': 'Ahora busca un ajuste que lleve la tasa de crecimiento por encima del 80%.',
+        'lesson.limiting-factors.step5.success': 'Solo con todos los factores altos a la vez se acerca la tasa a su máximo.',
+        'lesson.limiting-factors.quiz1.question': 'El CO₂ es el factor limitante. ¿Qué pasa si duplicas la luz?',
+        'lesson.limiting-factors.quiz1.choice1': 'La tasa se duplica',
+        'lesson.limiting-factors.quiz1.choice2': 'La tasa apenas cambia',
+        'lesson.limiting-factors.quiz1.choice3': 'La planta deja de crecer',
+        'lesson.limiting-factors.quiz1.explanation': 'Solo el recurso más escaso marca la tasa, así que la luz extra se desperdicia.',
+        'lesson.limiting-factors.quiz2.question': '¿Qué cambio aceleraría una planta limitada por la luz?',
+        'lesson.limiting-factors.quiz2.choice1': 'Más CO₂',
+        'lesson.limiting-factors.quiz2.choice2': 'Regarla',
+        'lesson.limiting-factors.quiz2.choice3': 'Una lámpara más potente',
+        'lesson.limiting-factors.quiz2.explanation': 'Sube el factor limitante y la tasa sube, hasta que otro factor toma el relevo.',
+        'lesson.limiting-factors.quiz3.question': '¿Por qué un día muy caluroso puede frenar la fotosíntesis?',
+        'lesson.limiting-factors.quiz3.choice1': 'Las enzimas trabajan más despacio por encima de su óptimo',
+        'lesson.limiting-factors.quiz3.choice2': 'El calor destruye el CO₂',
+        'lesson.limiting-factors.quiz3.choice3': 'La luz del sol es más débil cuando hace calor',
+        'lesson.limiting-factors.quiz3.explanation': 'Cada especie tiene una temperatura óptima; por encima de ella la actividad de las enzimas cae.',
+        'lesson.day-and-night.name': 'Día y noche',
+        'lesson.day-and-night.description': 'Sigue a la planta durante el atardecer y el amanecer, y mira qué hace la respiración a oscuras.',
+        'lesson.day-and-night.step1.text': 'El reloj avanza desde última hora de la tarde. Vigila la barra de crecimiento y el balance neto mientras se pone el sol.',
+        'lesson.day-and-night.step2.text': 'Espera a que caiga la noche, cuando la fotosíntesis se detiene.',
+        'lesson.day-and-night.step2.success': 'Sin luz no hay fotosíntesis. El balance neto es negativo: la respiración sigue quemando azúcares toda la noche.',
+        'lesson.day-and-night.step3.text': 'Espera a que el sol de la mañana vuelva a poner en marcha la planta.',
+        'lesson.day-and-night.step3.success': 'Al amanecer el factor limitante es la luz; a medida que sube el sol, suele tomar el relevo otro factor.',
+        'lesson.day-and-night.quiz1.question': '¿Qué hace una planta de noche?',
+        'lesson.day-and-night.quiz1.choice1': 'Hace la fotosíntesis despacio',
+        'lesson.day-and-night.quiz1.choice2': 'Solo respira',
+        'lesson.day-and-night.quiz1.choice3': 'Detiene toda actividad',
+        'lesson.day-and-night.quiz1.explanation': 'La respiración nunca se detiene, así que la planta pierde un poco de biomasa cada noche.',
+        'lesson.day-and-night.quiz2.question': 'A primera hora de la mañana, ¿qué factor suele limitar la fotosíntesis?',
+        'lesson.day-and-night.quiz2.choice1': 'La luz',
+        'lesson.day-and-night.quiz2.choice2': 'El agua',
+        'lesson.day-and-night.quiz2.choice3': 'El CO₂',
+        'lesson.day-and-night.quiz2.explanation': 'El sol aún está bajo, así que hay muy poca luz para aprovechar del todo los demás recursos.',
+        'lesson.bell-jar.name': 'La campana de vidrio',
+        'lesson.bell-jar.description': 'Encierra la planta con su propio aire, como hizo Priestley, y mira cómo agota el CO₂.',
+        'lesson.bell-jar.step1.text': 'En 1771 Joseph Priestley descubrió que una ramita de menta bajo una campana de vidrio «restauraba» el aire que una vela había viciado. Aquí la planta está encerrada en un tarro de 100 L a mediodía, sin que entre aire fresco.',
+        'lesson.bell-jar.step2.text': 'Deja correr el reloj y observa el control del CO₂. Espera a que la planta haya bajado el CO₂ por debajo de {co2:2}.',
+        'lesson.bell-jar.step2.success': 'La planta fijó en azúcar el carbono del aire del tarro, y el nivel de O₂ subió un poco. Como no entra nada, el CO₂ se agota y el crecimiento se estanca en el punto de compensación.',
+        'lesson.bell-jar.step3.text': 'Apaga la luz y espera a que el CO₂ vuelva a subir por encima de {co2:3}.',
+        'lesson.bell-jar.step3.success': 'A oscuras solo sigue la respiración: consume O₂ y devuelve CO₂ al tarro.',
+        'lesson.bell-jar.step4.text': 'Vuelve a subir la luz e inyecta algo de CO₂ para llevar la tasa de crecimiento por encima del 30%.',
+        'lesson.bell-jar.step4.success': 'CO₂ fresco y luz juntos reactivan la fotosíntesis, hasta que el tarro vuelve a quedarse corto. Por eso los productores añaden CO₂ a los invernaderos cerrados.',
+        'lesson.bell-jar.quiz1.question': '¿Qué le pasa al CO₂ en un tarro cerrado y bien iluminado con una planta dentro?',
+        'lesson.bell-jar.quiz1.choice1': 'Sube',
+        'lesson.bell-jar.quiz1.choice2': 'Baja',
+        'lesson.bell-jar.quiz1.choice3': 'Se queda igual',
+        'lesson.bell-jar.quiz1.explanation': 'La fotosíntesis saca CO₂ del aire más deprisa de lo que la respiración lo devuelve.',
+        'lesson.bell-jar.quiz2.question': 'El ratón de Priestley vivió más bajo una campana con una planta. ¿Por qué?',
+        'lesson.bell-jar.quiz2.choice1': 'La planta desprendía O₂',
+        'lesson.bell-jar.quiz2.choice2': 'La planta absorbía el calor',
+        'lesson.bell-jar.quiz2.choice3': 'La planta desprendía CO₂',
+        'lesson.bell-jar.quiz2.explanation': 'La fotosíntesis libera O₂, que repone el que respiraba el ratón.',
+        'lesson.bell-jar.quiz3.question': 'El tarro pasa la noche a oscuras. ¿Qué le pasa a su CO₂?',
+        'lesson.bell-jar.quiz3.choice1': 'Baja a cero',
+        'lesson.bell-jar.quiz3.choice2': 'Se queda igual',
+        'lesson.bell-jar.quiz3.choice3': 'Sube',
+        'lesson.bell-jar.quiz3.explanation': 'Sin luz solo sigue la respiración, que libera CO₂.'
+    }
+});
@@ -0,0 +1,479 @@
+// --- Français ---
+
+registerLanguage('fr', {
+    name: 'Français',
+    strings: {
+        'app.title': 'Photosynthèse : simulateur d\'un milieu vivant',
+        'app.name': 'Photosynthèse',
+        'app.subtitle': 'Simulateur d\'un milieu vivant',
+
+        // Toolbar
+        'toolbar.pause': 'Mettre l\'horloge en pause (Espace)',
+        'toolbar.resume': 'Relancer l\'horloge (Espace)',
+        'toolbar.save': 'Enregistrer dans ce navigateur',
+        'toolbar.load': 'Charger la sauvegarde du navigateur',
+        'toolbar.export': 'Exporter le fichier de scénario',
+        'toolbar.import': 'Importer un fichier de scénario',
+        'toolbar.share': 'Copier le lien du scénario',
+        'toolbar.contrast': 'Contraste élevé (H)',
+        'toolbar.motion': 'Réduire les animations (R)',
+        'toolbar.shortcuts': 'Raccourcis clavier (?)',
+        'quality.title': 'Qualité graphique : cliquez pour auto, basse, moyenne ou haute',
+        'quality.indicator': '{fps} i/s · {quality}',
+        'quality.auto': 'Auto ({level})',
+        'quality.low': 'Basse',
+        'quality.medium': 'Moyenne',
+        'quality.high': 'Haute',
+        'toolbar.language': 'Langue',
+        'toolbar.loadLanguage': 'Charger un pack de langue…',
+
+        // Time controls
+        'time.speed': 'Vitesse de la simulation',
+        'time.speedDays': '{days} jour/s',
+        'time.step': 'Mettre en pause et avancer d\'une heure',
+        'time.sunrise': 'Passer au prochain lever du soleil',
+        'time.day': 'Jour',
+        'time.jumpTime': 'Heure à atteindre',
+        'time.go': 'Aller',
+        'time.goTitle': 'Faire avancer la simulation jusqu\'à ce jour et cette heure',
+        'time.timeline': 'Chronologie',
+        'time.live': 'En direct',
+        'time.replayAt': '⏪ Jour {day} {time}',
+        'time.replay': 'Rejouer à partir d\'ici',
+        'time.continue': 'Continuer d\'ici',
+        'time.continueTitle': 'Oublier la suite et repartir de ce moment',
+        'time.backToLive': 'Retour au direct',
+        'time.passed': 'Ce moment est passé : utilisez la chronologie pour revenir en arrière',
+        'time.tooFar': 'Les sauts sont limités à {days} jours',
+        'time.jumped': 'Saut au jour {day}, {time}',
+
+        // Clock
+        'clock.day': 'Jour {day}',
+        'season.spring': 'Printemps',
+        'season.summer': 'Été',
+        'season.autumn': 'Automne',
+        'season.winter': 'Hiver',
+
+        // Environment panel
+        'env.title': 'Environnement',
+        'env.light': 'Intensité lumineuse (Soleil)',
+        'env.co2': 'Concentration en CO₂',
+        'env.temp': 'Température',
+        'env.water': 'Humidité du sol',
+        'env.waterPlant': 'Arroser la plante',
+        'env.nutrients': 'Nutriments du sol',
+        'env.fertilizer': 'Engrais',
+        'env.fertilize': 'Fertiliser',
+        'env.fertilized': '{name} épandu',
+        'env.overFertilized': '{name} épandu. C\'est trop : les sels brûlent les racines',
+        'lightSource.title': 'Source lumineuse',
+        'lightSource.sunlight': 'Lumière du soleil',
+        'lightSource.red': 'LED rouge',
+        'lightSource.blue': 'LED bleue',
+        'lightSource.green': 'Filtre vert',
+        'lightSource.custom': 'Mélange personnalisé',
+        'lightSource.ledRed': 'Rouge',
+        'lightSource.ledGreen': 'Vert',
+        'lightSource.ledBlue': 'Bleu',
+        'lightSource.worth': 'Vaut {percent} % de la lumière du soleil',
+        'chamber.seal': 'Enfermer sous une cloche',
+        'chamber.volume': 'Taille de l\'enceinte',
+        'chamber.size25': 'Cloche en verre (25 L)',
+        'chamber.size100': 'Grand bocal (100 L)',
+        'chamber.size500': 'Armoire de culture (500 L)',
+        'chamber.size5000': 'Serre (5000 L)',
+        'chamber.litres': '{volume} L',
+        'chamber.inject': 'Injecter du CO₂',
+        'chamber.gases': 'O₂ {o2} % ({change} depuis la fermeture)',
+        'chamber.open': 'À l\'air libre : le CO₂ reste là où vous l\'avez réglé.',
+        'chamber.sealedToast': 'Enfermée avec {volume} L d\'air. Utilisez Injecter du CO₂ pour en ajouter.',
+        'chamber.co2Locked': 'Chambre fermée : les plantes fixent le CO₂. Utilisez Injecter du CO₂ pour en ajouter.',
+        'chamber.openedToast': 'Enceinte ouverte sur l\'air de la pièce',
+        'env.lightUnit': 'Unité de lumière',
+        'env.co2Unit': 'Unité de CO₂',
+        'env.tempUnit': 'Unité de température',
+        'env.weather': 'Météo',
+        'env.latitude': 'Latitude',
+        'env.equator': 'Équateur',
+        'env.month': 'Mois',
+        'env.seed': 'Graine',
+        'env.randomSeed': 'Nouvelle graine aléatoire',
+        'env.midnightSun': 'Soleil de minuit (24 h de jour)',
+        'env.polarNight': 'Nuit polaire (pas de lever du soleil)',
+
+        // Soil nutrients and fertilizers
+        'nutrient.n': 'Azote',
+        'nutrient.p': 'Phosphore',
+        'nutrient.k': 'Potassium',
+        'fertilizer.balanced': 'Complet (NPK)',
+        'fertilizer.nitrogen': 'Azote (N)',
+        'fertilizer.phosphorus': 'Phosphate (P)',
+        'fertilizer.potassium': 'Potasse (K)',
+
+        // Weather
+        'weather.auto': 'Prévisions (aléatoires)',
+        'weather.clear': 'Dégagé',
+        'weather.passing': 'Passages nuageux',
+        'weather.overcast': 'Couvert',
+        'weather.rain': 'Pluie',
+        'weather.heatwave': 'Canicule',
+        'weather.coldsnap': 'Vague de froid',
+        'weather.hoursLeft': 'encore {hours} h',
+        'weather.held': 'Fixé jusqu\'à ce que vous repreniez les prévisions',
+        'weather.next': 'Ensuite : {events}',
+        'weather.inHours': '{icon} dans {hours} h',
+
+        // Status panel
+        'stats.title': 'État de la plante',
+        'stats.plants': 'Plantes',
+        'stats.addPlant': 'Planter',
+        'stats.addPlantTitle': 'Puis cliquez sur le sol à l\'endroit où elle doit pousser',
+        'stats.removePlant': 'Retirer la plante sélectionnée',
+        'stats.species': 'Espèce',
+        'stats.loadSpecies': 'Charger un profil d\'espèce personnalisé (JSON)',
+        'stats.growthRate': 'Vitesse de croissance',
+        'stats.limiting': 'Facteur limitant : {factor}',
+        'stats.grossNet': 'Photosynthèse brute / nette',
+        'stats.biomass': 'Biomasse',
+        'stats.rootBiomass': 'Biomasse racinaire',
+        'stats.rootShoot': '{roots} (racines:tiges {ratio})',
+        'stats.allocation': '{share} % du carbone nouveau va aux racines · les racines couvrent {uptake} % des besoins en eau',
+        'stats.plantShare': '#{id} : {light} % de la lumière, {water} % de l\'eau du sol',
+        'stats.replant': 'Replanter',
+        'stats.analysis': 'Analyse et données',
+        'stats.experiment': 'Courbes de réponse',
+        'stats.challenges': 'Défis',
+        'stats.lessons': 'Leçons',
+        'stats.toggleEnv': 'Environnement',
+        'stats.toggleStats': 'État',
+
+        'status.healthy': 'En bonne santé',
+        'status.wilting': 'Flétrie',
+        'status.dead': 'Morte',
+
+        // Full factor names: the status panel and the experiment axes
+        'limit.none': 'Aucun',
+        'limit.light': 'Intensité lumineuse',
+        'limit.co2': 'Concentration en CO₂',
+        'limit.temp': 'Température',
+        'limit.water': 'Humidité du sol',
+        'limit.uptake': 'Absorption d\'eau (racines)',
+        'limit.n': 'Carence en azote',
+        'limit.p': 'Carence en phosphore',
+        'limit.k': 'Carence en potassium',
+        'limit.burn': 'Brûlure d\'engrais',
+
+        // Short factor names for charts, tables and announcements
+        'factor.light': 'Lumière',
+        'factor.co2': 'CO₂',
+        'factor.temp': 'Température',
+        'factor.water': 'Eau',
+        'factor.nutrients': 'Nutriments',
+
+        // Planting and species
+        'plant.planted': 'Plantation : {name}',
+        'plant.bedFull': 'La plate-bande contient au plus {max} plantes',
+        'plant.clickGround': 'Cliquez sur le sol (ou appuyez sur Entrée) pour planter : {name}',
+        'file.couldNotLoad': 'Impossible de charger {file} : {error}',
+
+        // Saves and links
+        'storage.saved': 'Simulation enregistrée',
+        'storage.couldNotSave': 'Enregistrement impossible : {error}',
+        'storage.loaded': 'Simulation chargée',
+        'storage.noSave': 'Aucune simulation enregistrée pour l\'instant',
+        'storage.couldNotLoad': 'Impossible de charger la sauvegarde : {error}',
+        'storage.loadedFile': '{file} chargé',
+        'storage.linkCopied': 'Lien du scénario copié',
+        'storage.linkInAddressBar': 'Le lien du scénario est dans la barre d\'adresse',
+        'storage.linkLoaded': 'Scénario chargé depuis le lien',
+
+        // Analysis overlay
+        'analysis.title': 'Analyse de la photosynthèse',
+        'analysis.liebig': 'Loi du minimum de Liebig : la croissance ne dépend pas de la quantité totale de ressources disponibles, mais de la ressource la plus rare (le facteur limitant).',
+        'analysis.balance': 'Le bilan net est la photosynthèse brute moins la respiration. La respiration ne s\'arrête jamais et s\'accélère avec la chaleur : au point de compensation, les deux s\'annulent et la plante cesse de gagner de la biomasse.',
+        'analysis.rateChart': 'Effets des facteurs et vitesse',
+        'analysis.rateChartHint': '(dernières 24 h, ombrage = facteur limitant)',
+        'analysis.currentRate': 'Vitesse actuelle',
+        'analysis.limitingFactor': 'Facteur limitant',
+        'analysis.gross': 'Photosynthèse brute',
+        'analysis.net': 'Bilan net',
+        'analysis.biomass': 'Biomasse',
+        'analysis.gasChart': 'Air de l\'enceinte',
+        'analysis.gasChartHint': '(3 derniers jours)',
+        'analysis.co2Level': 'CO₂',
+        'analysis.o2Level': 'O₂',
+        'analysis.spectrumChart': 'Lumière et feuilles',
+        'analysis.spectrumChartHint': '(pourquoi les feuilles sont vertes)',
+        'analysis.lightNow': 'Lumière actuelle : {source}',
+        'analysis.absorption': 'Absorption de la chlorophylle',
+        'analysis.actionSpectrum': 'Spectre d\'action',
+        'analysis.wavelength': 'Longueur d\'onde (nm)',
+        'analysis.relative': '% du maximum',
+        'analysis.dailySummary': 'Résumé quotidien',
+        'analysis.day': 'Jour',
+        'analysis.dayNumber': 'Jour {day}',
+        'analysis.soFar': '(en cours)',
+        'analysis.production': 'Production',
+        'analysis.netGain': 'Gain net',
+        'analysis.hoursLimited': 'Heures limitées par',
+        'analysis.temp': 'Temp.',
+        'analysis.nutrients': 'Sol',
+        'analysis.rate': 'Vitesse de photosynthèse (%)',
+        'analysis.effect': 'Effet : {factor}',
+        'recorder.title': 'Enregistrement de la session',
+        'recorder.sampleEvery': 'Mesure toutes les',
+        'recorder.minutes': '{minutes} min',
+        'recorder.hour': '1 heure',
+        'recorder.hours': '{hours} heures',
+        'recorder.samples': '{count} mesures',
+        'recorder.clear': 'Effacer',
+
+        // Experiment overlay
+        'experiment.title': 'Expérience de courbe de réponse',
+        'experiment.intro': 'Faites varier un facteur sur toute sa plage en gardant les autres constants, puis recommencez pour plusieurs niveaux d\'un second facteur ou pour chaque espèce. Les courbes utilisent l\'espèce plantée, sauf si l\'on compare les espèces. La simulation en direct continue sans être modifiée.',
+        'experiment.preset': 'Expérience classique',
+        'experiment.custom': 'Personnalisée…',
+        'experiment.sweep': 'Faire varier (axe x)',
+        'experiment.compare': 'Comparer des niveaux de',
+        'experiment.none': '(aucun)',
+        'experiment.allSpecies': 'Espèces (toutes)',
+        'experiment.levels': 'Niveaux',
+        'experiment.levelsHint': 'p. ex. 10, 20, 40, 80',
+        'experiment.run': 'Lancer',
+        'experiment.useCurrent': 'Utiliser les conditions actuelles',
+        'experiment.held.light': 'Lumière',
+        'experiment.held.co2': 'CO₂',
+        'experiment.held.temp': 'Temp.',
+        'experiment.held.water': 'Humidité',
+        'experiment.axis': '{factor} ({unit})',
+        'experiment.curve': '{factor} = {value}',
+        'preset.light-saturation': 'Courbe de saturation lumineuse',
+        'preset.temperature-optimum': 'Courbe de l\'optimum thermique',
+        'preset.co2-response': 'Courbe de réponse au CO₂',
+        'preset.drought-response': 'Courbe de réponse à la sécheresse',
+        'preset.species-heat': 'C3, C4 ou CAM : chaleur',
+        'preset.species-co2': 'C3, C4 ou CAM : peu de CO₂',
+        'preset.light-saturation.note': 'En faible lumière la vitesse monte vite, puis plafonne : le plateau marque l\'endroit où la lumière cesse d\'être le facteur limitant. Plus de CO₂ relève le plateau.',
+        'preset.temperature-optimum.note': 'Les enzymes travaillent le plus vite près de l\'optimum et ralentissent de part et d\'autre. En faible lumière, le pic est écrêté car la lumière limite d\'abord.',
+        'preset.co2-response.note': 'Le CO₂ supplémentaire aide jusqu\'à ce qu\'un autre facteur prenne le relais. Loin de l\'optimum thermique, la courbe s\'aplatit beaucoup plus tôt.',
+        'preset.species-heat.note': 'Le maïs (C4) culmine plusieurs degrés plus haut que le blé (C3) et continue là où le blé s\'est effondré.',
+        'preset.species-co2.note': 'Les plantes C4 concentrent le CO₂ autour de la Rubisco : le maïs est proche de son maximum à des teneurs en CO₂ où le blé est encore affamé.',
+        'preset.drought-response.note': 'En dessous du point de flétrissement rien ne se passe ; une fois le sol assez humide, l\'eau n\'est plus le facteur limitant.',
+
+        // Challenges
+        'challenge.title': 'Défis',
+        'challenge.intro': 'Chaque niveau démarre une nouvelle partie avec ses propres objectifs et limites. L\'horloge ne peut pas être mise en pause : anticipez. Finissez vite et dépensez peu pour gagner plus d\'étoiles ; chaque niveau débloque le suivant.',
+        'challenge.quit': 'Quitter',
+        'challenge.retry': 'Réessayer',
+        'challenge.next': 'Niveau suivant',
+        'challenge.load': 'Charger un niveau (JSON)',
+        'challenge.bestScore': 'Meilleur score : {score}',
+        'challenge.notCompleted': 'Pas encore réussi',
+        'challenge.couldNotSave': 'Impossible d\'enregistrer la progression : {error}',
+        'challenge.noWaterings': 'Plus d\'arrosage disponible dans ce niveau',
+        'challenge.abandoned': 'Défi abandonné',
+        'challenge.co2UsedUp': 'Budget de CO₂ épuisé',
+        'challenge.complete': '{name} réussi ! {stars}',
+        'challenge.failed': '{name} : échec',
+        'challenge.score': 'Score {score} (meilleur {best}).',
+        'challenge.tryAgain': '{reason}. Retentez votre chance !',
+        'challenge.alive': '{alive}/{total} en vie',
+        'challenge.co2Left': 'Budget de CO₂ restant : {left} / {budget}',
+        'challenge.wateringsLeft': 'Arrosages restants : {left} / {max}',
+        'challenge.sandbox': 'Retour au mode libre',
+        'challenge.added': 'Niveau « {name} » ajouté',
+        'objective.biomass': 'Faire atteindre {target} de biomasse à une plante avant la fin du jour {day}',
+        'objective.bedBiomass': 'Obtenir {target} de biomasse sur la plate-bande avant la fin du jour {day}',
+        'objective.survive': 'Garder toutes les plantes en vie jusqu\'à la fin du jour {day}',
+        'failure.plantDied': 'Une plante est morte',
+        'failure.missedDay': 'Le jour {day} s\'est terminé avant que l\'objectif soit atteint',
+        'failure.allDead': 'Toutes les plantes sont mortes',
+
+        // Lessons
+        'lesson.title': 'Leçons',
+        'lesson.intro': 'Une leçon vous guide dans le simulateur, une tâche après l\'autre : modifiez les conditions jusqu\'à ce que la plante atteigne l\'objectif, et une explication apparaît à côté du panneau concerné. Un court quiz final vérifie ce que vous avez appris.',
+        'lesson.quit': 'Quitter',
+        'lesson.load': 'Charger une leçon (JSON)',
+        'lesson.summary': '{steps} étapes · {questions} questions',
+        'lesson.step': 'Étape {step} sur {total}',
+        'lesson.task': 'Tâche',
+        'lesson.done': 'Bravo !',
+        'lesson.next': 'Suivant ▶',
+        'lesson.startQuiz': 'Commencer le quiz ▶',
+        'lesson.finish': 'Terminer ✔',
+        'lesson.complete': 'Leçon terminée : {name}',
+        'lesson.added': 'Leçon « {name} » ajoutée',
+        'quiz.progress': '{name} · Question {number} sur {total}',
+        'quiz.correct': 'Correct !',
+        'quiz.wrong': 'Pas tout à fait.',
+        'quiz.next': 'Question suivante ▶',
+        'quiz.results': 'Voir les résultats ▶',
+        'quiz.score': '{name} : {score} / {total} bonnes réponses',
+        'quiz.answer': '(réponse : {answer})',
+        'quiz.student': 'Votre nom',
+
+        // Keyboard shortcuts
+        'shortcuts.title': 'Raccourcis clavier',
+        'shortcuts.intro': 'Les raccourcis fonctionnent tant que le focus n\'est pas dans une zone de texte. Tab passe d\'une commande à l\'autre ; quand un curseur a le focus, les flèches le modifient.',
+        'key.space': 'Espace',
+        'key.escape': 'Échap',
+        'key.delete': 'Suppr',
+        'shortcut.pause': 'Mettre en pause ou relancer l\'horloge',
+        'shortcut.step': 'Mettre en pause et avancer d\'une heure',
+        'shortcut.sunrise': 'Passer au prochain lever du soleil',
+        'shortcut.slower': 'Plus lent',
+        'shortcut.faster': 'Plus rapide',
+        'shortcut.light': 'Curseur de lumière',
+        'shortcut.co2': 'Curseur de CO₂',
+        'shortcut.temp': 'Curseur de température',
+        'shortcut.water': 'Curseur d\'humidité du sol',
+        'shortcut.lightSource': 'Choix de la source de lumière',
+        'shortcut.chamber': 'Case de la chambre (Espace la ferme ou l\'ouvre)',
+        'shortcut.weather': 'Choix de la météo',
+        'shortcut.latitude': 'Curseur de latitude',
+        'shortcut.month': 'Choix du mois',
+        'shortcut.waterPlant': 'Arroser la plante',
+        'shortcut.fertilize': 'Épandre l\'engrais choisi',
+        'shortcut.species': 'Choix de l\'espèce de la plante sélectionnée',
+        'shortcut.nextPlant': 'Sélectionner la plante suivante',
+        'shortcut.addPlant': 'Planter un semis (puis Entrée, ou cliquer sur le sol)',
+        'shortcut.removePlant': 'Retirer la plante sélectionnée',
+        'shortcut.save': 'Enregistrer dans ce navigateur',
+        'shortcut.load': 'Charger la sauvegarde du navigateur',
+        'shortcut.analysis': 'Analyse et données',
+        'shortcut.experiment': 'Expériences de courbes de réponse',
+        'shortcut.challenges': 'Défis',
+        'shortcut.lessons': 'Leçons',
+        'shortcut.contrast': 'Activer ou désactiver le contraste élevé',
+        'shortcut.motion': 'Activer ou désactiver les animations réduites',
+        'shortcut.help': 'Afficher ces raccourcis',
+        'shortcut.close': 'Fermer la fenêtre ouverte, ou arrêter de planter',
+
+        // Screen reader announcements
+        'a11y.close': 'Fermer',
+        'a11y.closePanel': 'Fermer le panneau',
+        'a11y.speed': 'Vitesse {speed}',
+        'a11y.plantSelected': 'Plante {number} sur {total} sélectionnée : {plant}',
+        'a11y.highContrastOn': 'Contraste élevé activé',
+        'a11y.highContrastOff': 'Contraste élevé désactivé',
+        'a11y.reducedMotionOn': 'Animations réduites activées',
+        'a11y.reducedMotionOff': 'Animations réduites désactivées',
+        'a11y.nightfall': 'La nuit est tombée.',
+        'a11y.sunrise': 'Le soleil s\'est levé.',
+        'a11y.nothingLimiting': 'Plus rien ne limite la croissance.',
+        'a11y.nowLimiting': 'Le facteur limitant est maintenant : {factor}.',
+        'a11y.plantNumber': 'La plante {number} ({name})',
+        'a11y.thePlant': 'La plante ({name})',
+        'a11y.flowered': '{plant} a fleuri.',
+        'a11y.recovered': '{plant} s\'est rétablie.',
+        'a11y.wilting': '{plant} flétrit.',
+        'a11y.died': '{plant} est morte.',
+        'a11y.plant': '{name}, {status}, biomasse {biomass}',
+        'a11y.plants': '{count} plantes ; sélectionnée : {plant}',
+        'a11y.scene': 'Jour {day}, {time}, {daylight}, {weather}. {plants}. Vitesse de croissance {rate} %{limited}.',
+        'a11y.night': 'nuit',
+        'a11y.daytime': 'jour',
+        'a11y.limitedBy': ', limitée par : {factor}',
+        'a11y.growthRate': 'Vitesse de croissance',
+        'a11y.percent': '{value} pour cent',
+        'unit.spoken.ppfd': '{value} micromoles de photons par mètre carré et par seconde',
+        'unit.spoken.lux': '{value} lux',
+        'unit.spoken.ppm': '{value} parties par million',
+        'unit.spoken.c': '{value} degrés Celsius',
+        'unit.spoken.f': '{value} degrés Fahrenheit',
+
+        // Language packs
+        'language.loaded': 'Langue « {name} » ajoutée',
+
+        // Built-in species
+        'species.wheat': 'Blé',
+        'species.maize': 'Maïs',
+        'species.cactus': 'Cactus',
+        'species.fern': 'Fougère des bois',
+        'species.wheat.description': 'Culture C3 des régions tempérées. La photorespiration la rend avide de CO₂ et sensible à la chaleur.',
+        'species.maize.description': 'Graminée C4 tropicale. Elle concentre le CO₂ autour de la Rubisco et supporte donc la chaleur, le plein soleil et le manque de CO₂.',
+        'species.cactus.description': 'Plante CAM du désert. Elle ouvre ses stomates la nuit pour économiser l\'eau : très résistante à la sécheresse, mais lente à pousser.',
+        'species.fern.description': 'Plante d\'ombre du sous-bois. Elle sature en faible lumière, et le plein soleil abîme ses photosystèmes.',
+
+        // Built-in levels
+        'level.first-harvest.name': 'Première récolte',
+        'level.first-harvest.description': 'Un semis de printemps avec quelques arrosages en réserve. Gardez le sol humide et laissez le soleil faire le reste.',
+        'level.dry-spell.name': 'Période sèche',
+        'level.dry-spell.description': 'Un mois de juillet chaud et sec avec seulement trois arrosages. Choisissez bien le moment : les racines ne boivent que ce que le sol retient.',
+        'level.carbon-budget.name': 'Budget carbone',
+        'level.carbon-budget.description': 'L\'air de la serre manque de CO₂ et la bouteille est petite. Dépensez-le quand la lumière suffit pour en profiter.',
+        'level.desert-bloom.name': 'Fleur du désert',
+        'level.desert-bloom.description': 'Une canicule dans le désert et un seul arrosage. Un cactus le supporte : gardez-le en vie et en croissance.',
+        'level.crowded-bed.name': 'Parterre bondé',
+        'level.crowded-bed.description': 'Trois plants de maïs partagent un parterre. Gardez-les tous en vie et en croissance malgré l\'ombre et les racines assoiffées.',
+
+        // Built-in lessons ({co2:5} is a value shown in the chosen units)
+        'lesson.limiting-factors.name': 'Facteurs limitants',
+        'lesson.limiting-factors.description': 'Découvrez pourquoi davantage d\'une ressource n\'aide que jusqu\'à ce qu\'une autre vienne à manquer.',
+        'lesson.limiting-factors.step1.text': 'L\'horloge est en pause à midi. La croissance est fixée par la ressource la plus rare : le facteur limitant. Pour l\'instant, c\'est la lumière.',
+        'lesson.limiting-factors.step2.text': 'Baissez le CO₂ jusqu\'à ce qu\'il devienne le facteur limitant.',
+        'lesson.limiting-factors.step2.success': 'Le goulot d\'étranglement est maintenant le CO₂. La plante ne peut pas fixer le carbone plus vite qu\'il n\'arrive, quelle que soit la lumière.',
+        'lesson.limiting-factors.step3.text': 'Gardez le CO₂ bas et poussez la lumière au maximum. Observez le taux de croissance.',
+        'lesson.limiting-factors.step3.success': 'Plus de lumière n\'a rien changé : seul le facteur limitant accélère la croissance. C\'est la loi du minimum de Liebig.',
+        'lesson.limiting-factors.step4.text': 'Remontez le CO₂, puis chauffez l\'air jusqu\'à ce que la température devienne le facteur limitant.',
+        'lesson.limiting-factors.step4.success': 'Au-delà de leur optimum, les enzymes de la plante ralentissent : la chaleur peut donc freiner la croissance même avec beaucoup de lumière et de CO₂.',
+        'lesson.limiting-factors.step5.text': 'Trouvez maintenant des réglages qui font passer le taux de croissance au-dessus de 80 %.',
+        'lesson.limiting-factors.step5.success': 'Ce n\'est qu\'avec tous les facteurs élevés à la fois que le taux approche de son maximum.',
+        'lesson.limiting-factors.quiz1.question': 'Le CO₂ est le facteur limitant. Que se passe-t-il si vous doublez la lumière ?',
+        'lesson.limiting-factors.quiz1.choice1': 'Le taux double',
+        'lesson.limiting-factors.quiz1.choice2': 'Le taux change à peine',
+        'lesson.limiting-factors.quiz1.choice3': 'La plante cesse de pousser',
+        'lesson.limiting-factors.quiz1.explanation': 'Seule la ressource la plus rare fixe le taux ; la lumière en plus est gaspillée.',
+        'lesson.limiting-factors.quiz2.question': 'Quel changement accélérerait une plante limitée par la lumière ?',
+        'lesson.limiting-factors.quiz2.choice1': 'Plus de CO₂',
+        'lesson.limiting-factors.quiz2.choice2': 'L\'arroser',
+        'lesson.limiting-factors.quiz2.choice3': 'Une lampe plus puissante',
+        'lesson.limiting-factors.quiz2.explanation': 'Augmentez le facteur limitant et le taux monte, jusqu\'à ce qu\'un autre facteur prenne le relais.',
+        'lesson.limiting-factors.quiz3.question': 'Pourquoi une journée très chaude peut-elle ralentir la photosynthèse ?',
+        'lesson.limiting-factors.quiz3.choice1': 'Les enzymes travaillent plus lentement au-delà de leur optimum',
+        'lesson.limiting-factors.quiz3.choice2': 'La chaleur détruit le CO₂',
+        'lesson.limiting-factors.quiz3.choice3': 'La lumière du soleil est plus faible quand il fait chaud',
+        'lesson.limiting-factors.quiz3.explanation': 'Chaque espèce a une température optimale ; au-delà, l\'activité des enzymes diminue.',
+        'lesson.day-and-night.name': 'Jour et nuit',
+        'lesson.day-and-night.description': 'Suivez la plante au coucher et au lever du soleil, et voyez ce que fait la respiration dans le noir.',
+        'lesson.day-and-night.step1.text': 'L\'horloge tourne depuis la fin d\'après-midi. Surveillez la barre de croissance et le bilan net pendant que le soleil se couche.',
+        'lesson.day-and-night.step2.text': 'Attendez la tombée de la nuit, quand la photosynthèse s\'arrête.',
+        'lesson.day-and-night.step2.success': 'Sans lumière, pas de photosynthèse. Le bilan net est négatif : la respiration continue de brûler des sucres toute la nuit.',
+        'lesson.day-and-night.step3.text': 'Attendez que le soleil du matin relance la croissance de la plante.',
+        'lesson.day-and-night.step3.success': 'À l\'aube, le facteur limitant est la lumière ; à mesure que le soleil monte, un autre facteur prend généralement le relais.',
+        'lesson.day-and-night.quiz1.question': 'Que fait une plante la nuit ?',
+        'lesson.day-and-night.quiz1.choice1': 'Elle fait lentement la photosynthèse',
+        'lesson.day-and-night.quiz1.choice2': 'Elle ne fait que respirer',
+        'lesson.day-and-night.quiz1.choice3': 'Elle arrête toute activité',
+        'lesson.day-and-night.quiz1.explanation': 'La respiration ne s\'arrête jamais : la plante perd donc un peu de biomasse chaque nuit.',
+        'lesson.day-and-night.quiz2.question': 'Tôt le matin, quel facteur limite généralement la photosynthèse ?',
+        'lesson.day-and-night.quiz2.choice1': 'La lumière',
+        'lesson.day-and-night.quiz2.choice2': 'L\'eau',
+        'lesson.day-and-night.quiz2.choice3': 'Le CO₂',
+        'lesson.day-and-night.quiz2.explanation': 'Le soleil est encore bas : il y a trop peu de lumière pour profiter pleinement des autres ressources.',
+        'lesson.bell-jar.name': 'La cloche de verre',
+        'lesson.bell-jar.description': 'Enfermez la plante avec son propre air, comme Priestley, et regardez-la épuiser le CO₂.',
+        'lesson.bell-jar.step1.text': 'En 1771, Joseph Priestley découvrit qu\'un brin de menthe sous une cloche de verre « restaurait » l\'air qu\'une bougie avait vicié. Ici, la plante est enfermée à midi dans un bocal de 100 L, sans air frais.',
+        'lesson.bell-jar.step2.text': 'Laissez tourner l\'horloge et observez le curseur du CO₂. Attendez que la plante ait fait descendre le CO₂ sous {co2:2}.',
+        'lesson.bell-jar.step2.success': 'La plante a fixé dans des sucres le carbone de l\'air du bocal, et le niveau d\'O₂ a légèrement monté. Comme rien n\'entre, le CO₂ s\'épuise et la croissance plafonne au point de compensation.',
+        'lesson.bell-jar.step3.text': 'Éteignez la lumière et attendez que le CO₂ remonte au-dessus de {co2:3}.',
+        'lesson.bell-jar.step3.success': 'Dans le noir, seule la respiration continue : elle consomme de l\'O₂ et rend du CO₂ au bocal.',
+        'lesson.bell-jar.step4.text': 'Rallumez la lumière et injectez un peu de CO₂ pour faire passer le taux de croissance au-dessus de 30 %.',
+        'lesson.bell-jar.step4.success': 'Du CO₂ frais et de la lumière relancent ensemble la photosynthèse, jusqu\'à ce que le bocal en manque à nouveau. C\'est pourquoi les maraîchers ajoutent du CO₂ dans les serres fermées.',
+        'lesson.bell-jar.quiz1.question': 'Qu\'arrive-t-il au CO₂ dans un bocal fermé et bien éclairé contenant une plante ?',
+        'lesson.bell-jar.quiz1.choice1': 'Il augmente',
+        'lesson.bell-jar.quiz1.choice2': 'Il diminue',
+        'lesson.bell-jar.quiz1.choice3': 'Il ne change pas',
+        'lesson.bell-jar.quiz1.explanation': 'La photosynthèse retire le CO₂ de l\'air plus vite que la respiration ne le rend.',
+        'lesson.bell-jar.quiz2.question': 'La souris de Priestley a vécu plus longtemps sous une cloche avec une plante. Pourquoi ?',
+        'lesson.bell-jar.quiz2.choice1': 'La plante dégageait de l\'O₂',
+        'lesson.bell-jar.quiz2.choice2': 'La plante absorbait la chaleur',
+        'lesson.bell-jar.quiz2.choice3': 'La plante dégageait du CO₂',
+        'lesson.bell-jar.quiz2.explanation': 'La photosynthèse libère de l\'O₂, qui remplace celui que la souris respirait.',
+        'lesson.bell-jar.quiz3.question': 'Le bocal passe la nuit dans le noir. Qu\'arrive-t-il à son CO₂ ?',
+        'lesson.bell-jar.quiz3.choice1': 'Il tombe à zéro',
+        'lesson.bell-jar.quiz3.choice2': 'Il ne change pas',
+        'lesson.bell-jar.quiz3.choice3': 'Il augmente',
+        'lesson.bell-jar.quiz3.explanation': 'Sans lumière, seule la respiration continue, et elle libère du CO₂.'
+    }
+});
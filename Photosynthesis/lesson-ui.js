@@ -0,0 +1,266 @@
+// --- Lesson UI ---
+// The step card that sits next to the panel a step is about, the lesson
+// list and the end-of-lesson quiz. The lesson engine is in lesson.js.
+
+let currentLesson = null; // Normalized lesson being taken
+let lessonRun = null;
+let customLessons = [];
+let anchoredElement = null;
+
+// In the chosen language and units; rebuilt when either changes
+function allLessons() {
+    return LESSONS.map(lesson => Object.assign(normalizeLesson(lesson), { builtIn: true }))
+        .concat(customLessons)
+        .map(localizeLesson);
+}
+
+function localizeLesson(lesson) {
+    const text = (key, fallback) => formatValues(builtInText('lesson', lesson, key, fallback));
+    return Object.assign({}, lesson, {
+        name: text('name', lesson.name),
+        description: text('description', lesson.description),
+        steps: lesson.steps.map((step, i) => Object.assign({}, step, {
+            text: text(`step${i + 1}.text`, step.text),
+            success: step.success && text(`step${i + 1}.success`, step.success)
+        })),
+        quiz: lesson.quiz.map((item, i) => Object.assign({}, item, {
+            question: text(`quiz${i + 1}.question`, item.question),
+            choices: item.choices.map((choice, j) => text(`quiz${i + 1}.choice${j + 1}`, choice)),
+            explanation: item.explanation && text(`quiz${i + 1}.explanation`, item.explanation)
+        }))
+    });
+}
+
+function renderLessonList() {
+    // Lessons can come from files, so their text never goes in as HTML
+    document.getElementById('lesson-list').replaceChildren(...allLessons().map((l, i) => {
+        const card = textElement('button', '', 'level-card');
+        card.dataset.index = i;
+        card.append(
+            textElement('h3', l.name),
+            textElement('p', l.description),
+            textElement('p', t('lesson.summary', { steps: l.steps.length, questions: l.quiz.length }))
+        );
+        return card;
+    }));
+}
+
+function showLessonSection(name) {
+    document.getElementById('lesson-select').classList.toggle('hidden', name !== 'select');
+    document.getElementById('lesson-quiz').classList.toggle('hidden', name !== 'quiz');
+    document.getElementById('lesson-results').classList.toggle('hidden', name !== 'results');
+}
+
+// --- Steps ---
+function startLesson(next) {
+    if (challengeRun) quitChallenge();
+    setupLesson(simulation, next);
+    if (next.setup) {
+        if (next.setup.seed !== undefined) setSimulationSeed(state.seed);
+        recorder.clear();
+        restoreChartHistory({});
+        resetTimeline();
+        syncControls();
+    }
+
+    currentLesson = next;
+    lessonRun = createLessonRun(currentLesson);
+    document.getElementById('lesson-overlay').classList.add('hidden');
+    document.getElementById('lesson-card').classList.remove('hidden');
+    renderLessonStep();
+}
+
+function quitLesson() {
+    currentLesson = lessonRun = null;
+    anchorLessonCard(null);
+    document.getElementById('lesson-card').classList.add('hidden');
+}
+
+function renderLessonStep() {
+    const step = currentLesson.steps[lessonRun.step];
+    document.getElementById('lesson-name').innerText = `🎓 ${currentLesson.name}`;
+    const progress = t('lesson.step', { step: lessonRun.step + 1, total: currentLesson.steps.length });
+    document.getElementById('lesson-progress').innerText = step.type === 'task' ? `${progress} · ${t('lesson.task')}` : progress;
+    document.getElementById('lesson-text').innerText = step.text;
+
+    const success = document.getElementById('lesson-success');
+    success.innerText = `✔ ${step.success || t('lesson.done')}`;
+    success.classList.toggle('hidden', step.type !== 'task' || !lessonRun.stepDone);
+
+    const nextBtn = document.getElementById('btn-next-step');
+    const last = lessonRun.step === currentLesson.steps.length - 1;
+    nextBtn.disabled = !lessonRun.stepDone;
+    nextBtn.innerText = t(!last ? 'lesson.next' : currentLesson.quiz.length ? 'lesson.startQuiz' : 'lesson.finish');
+
+    anchorLessonCard(step.anchor ? document.getElementById(step.anchor) : null);
+}
+
+// Highlight the anchor and put the card beside it, on the side facing the
+// middle of the screen. Anchors that are missing or hidden (e.g. a closed
+// mobile panel) leave the card centred at the top.
+function anchorLessonCard(element) {
+    if (anchoredElement) anchoredElement.classList.remove('lesson-anchor');
+    anchoredElement = element;
+    const card = document.getElementById('lesson-card');
+    card.classList.remove('anchored');
+    card.style.left = card.style.top = '';
+    if (!element) return;
+
+    element.classList.add('lesson-anchor');
+    const rect = element.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+
+    const gap = 16;
+    const cardWidth = card.offsetWidth || 300;
+    const cardHeight = card.offsetHeight || 160;
+    let left = rect.left + rect.width / 2 < window.innerWidth / 2
+        ? rect.right + gap
+        : rect.left - cardWidth - gap;
+    left = Math.min(Math.max(left, gap), window.innerWidth - cardWidth - gap);
+    const top = Math.min(Math.max(rect.top, gap), window.innerHeight - cardHeight - gap);
+
+    card.classList.add('anchored');
+    card.style.left = `${left}px`;
+    card.style.top = `${top}px`;
+}
+
+// Runs after every simulation step
+function updateLesson() {
+    if (!lessonRun || lessonRun.status !== 'steps') return;
+    if (updateLessonRun(lessonRun, currentLesson, state)) renderLessonStep();
+}
+
+function nextLessonStep() {
+    advanceLesson(lessonRun, currentLesson);
+    if (lessonRun.status === 'steps') {
+        renderLessonStep();
+        return;
+    }
+
+    document.getElementById('lesson-card').classList.add('hidden');
+    anchorLessonCard(null);
+    if (lessonRun.status === 'quiz') {
+        renderQuestion();
+        document.getElementById('lesson-overlay').classList.remove('hidden');
+    } else {
+        showToast(t('lesson.complete', { name: currentLesson.name }));
+        currentLesson = lessonRun = null;
+    }
+}
+
+// --- Quiz ---
+function renderQuestion() {
+    const index = lessonRun.answers.length;
+    const item = currentLesson.quiz[index];
+    showLessonSection('quiz');
+    document.getElementById('quiz-progress').innerText =
+        t('quiz.progress', { name: currentLesson.name, number: index + 1, total: currentLesson.quiz.length });
+    document.getElementById('quiz-question').innerText = item.question;
+    document.getElementById('quiz-choices').replaceChildren(...item.choices.map((choice, i) => {
+        const button = textElement('button', choice, 'mini-btn');
+        button.dataset.choice = i;
+        return button;
+    }));
+    document.getElementById('quiz-feedback').innerText = '';
+    document.getElementById('btn-next-question').classList.add('hidden');
+}
+
+function chooseAnswer(choice) {
+    const item = currentLesson.quiz[lessonRun.answers.length];
+    const answer = answerQuestion(lessonRun, currentLesson, choice);
+    if (!answer) return;
+
+    const buttons = document.querySelectorAll('#quiz-choices .mini-btn');
+    buttons.forEach((btn, i) => {
+        btn.disabled = true;
+        if (i === item.answer) btn.classList.add('correct');
+        else if (i === choice) btn.classList.add('wrong');
+    });
+    document.getElementById('quiz-feedback').innerText =
+        `${t(answer.correct ? 'quiz.correct' : 'quiz.wrong')} ${item.explanation || ''}`;
+
+    const nextBtn = document.getElementById('btn-next-question');
+    nextBtn.innerText = t(lessonRun.status === 'done' ? 'quiz.results' : 'quiz.next');
+    nextBtn.classList.remove('hidden');
+}
+
+function renderLessonResults() {
+    const results = lessonResults(lessonRun, currentLesson);
+    showLessonSection('results');
+    document.getElementById('lesson-score').innerText =
+        t('quiz.score', { name: currentLesson.name, score: results.score, total: results.total });
+    document.getElementById('lesson-answers').replaceChildren(...results.answers.map(a =>
+        textElement('li', `${a.correct ? '✔' : '✘'} ${a.question}${a.correct ? '' : ` ${t('quiz.answer', { answer: a.correctAnswer })}`}`)));
+}
+
+function exportLessonResults(format) {
+    const student = document.getElementById('input-student').value.trim();
+    const results = lessonResults(lessonRun, currentLesson, student);
+    const name = `lesson-${currentLesson.id}${student ? `-${student.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : ''}`;
+    if (format === 'csv') downloadFile(`${name}.csv`, lessonResultsToCSV(results), 'text/csv');
+    else downloadFile(`${name}.json`, JSON.stringify(results, null, 2), 'application/json');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const overlay = document.getElementById('lesson-overlay');
+
+    document.getElementById('btn-lessons').addEventListener('click', () => {
+        // Reopens a quiz in progress rather than the list
+        if (lessonRun && lessonRun.status === 'quiz') {
+            showLessonSection('quiz');
+        } else {
+            renderLessonList();
+            showLessonSection('select');
+        }
+        overlay.classList.remove('hidden');
+    });
+    document.getElementById('btn-close-lessons').addEventListener('click', () => {
+        overlay.classList.add('hidden');
+        if (lessonRun && lessonRun.status === 'done') currentLesson = lessonRun = null;
+    });
+
+    document.getElementById('lesson-list').addEventListener('click', (e) => {
+        const card = e.target.closest('.level-card');
+        if (card) startLesson(allLessons()[Number(card.dataset.index)]);
+    });
+    document.getElementById('btn-next-step').addEventListener('click', nextLessonStep);
+    document.getElementById('btn-quit-lesson').addEventListener('click', quitLesson);
+
+    document.getElementById('quiz-choices').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-choice]');
+        if (btn && !btn.disabled) chooseAnswer(Number(btn.dataset.choice));
+    });
+    document.getElementById('btn-next-question').addEventListener('click', () => {
+        if (lessonRun.status === 'done') renderLessonResults();
+        else renderQuestion();
+    });
+    document.getElementById('btn-export-quiz-csv').addEventListener('click', () => exportLessonResults('csv'));
+    document.getElementById('btn-export-quiz-json').addEventListener('click', () => exportLessonResults('json'));
+
+    const lessonFile = document.getElementById('input-lesson');
+    document.getElementById('btn-load-lesson').addEventListener('click', () => lessonFile.click());
+    lessonFile.addEventListener('change', () => {
+        const file = lessonFile.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const loaded = normalizeLesson(JSON.parse(text));
+                customLessons = customLessons.filter(l => l.id !== loaded.id).concat([loaded]);
+                renderLessonList();
+                showToast(t('lesson.added', { name: loaded.name }));
+            })
+            .catch(err => showToast(t('file.couldNotLoad', { file: file.name, error: err.message })))
+            .finally(() => { lessonFile.value = ''; });
+    });
+
+    window.addEventListener('resize', () => {
+        if (lessonRun && lessonRun.status === 'steps') renderLessonStep();
+    });
+    onLocaleChange(() => {
+        if (currentLesson) {
+            currentLesson = allLessons().find(l => l.id === currentLesson.id && l.builtIn === currentLesson.builtIn) || currentLesson;
+        }
+        renderLessonList();
+        if (lessonRun && lessonRun.status === 'steps') renderLessonStep();
+    });
+});
@@ -0,0 +1,327 @@
+// --- Guided Lessons ---
+// A lesson is plain JSON: an optional starting setup, a list of steps and a
+// closing quiz. "explain" steps just talk; "task" steps wait until the
+// simulation reaches a goal, judged from the same state the HUD shows
+// (limiting factor, growth rate, factor values). Like challenge.js this
+// only reads `state`, so lessons can be checked headless in Node.
+
+const LESSON_HOLD_STEPS = 20; // A goal must hold this many steps in a row (no flicker)
+const GOAL_KEYS = ['limitingFactor', 'minRate', 'maxRate', 'factors'];
+
+const LESSONS = [
+    {
+        id: 'limiting-factors',
+        name: 'Limiting Factors',
+        description: 'Find out why more of one resource only helps until something else runs short.',
+        setup: { time: 12, paused: true, light: 60, co2: 80, temp: 25, water: 80 },
+        steps: [
+            {
+                type: 'explain',
+                anchor: 'limiting-factor-label',
+                text: 'The clock is paused at noon. Growth is set by whichever resource is scarcest: the limiting factor. Right now it is light.'
+            },
+            {
+                type: 'task',
+                anchor: 'ctrl-co2',
+                text: 'Lower CO₂ until it becomes the limiting factor.',
+                goal: { limitingFactor: 'co2' },
+                success: 'CO₂ is now the bottleneck. The plant cannot fix carbon faster than it arrives, however bright it is.'
+            },
+            {
+                type: 'task',
+                anchor: 'ctrl-light',
+                text: 'Keep CO₂ low and turn the light all the way up. Watch the growth rate.',
+                goal: { limitingFactor: 'co2', factors: { light: { min: 95 } } },
+                success: 'More light made no difference: only raising the limiting factor speeds growth up. This is Liebig\'s law of the minimum.'
+            },
+            {
+                type: 'task',
+                anchor: 'ctrl-temp',
+                text: 'Raise CO₂ again, then heat the air until temperature is the limiting factor.',
+                goal: { limitingFactor: 'temp', factors: { temp: { min: 30 } } },
+                success: 'Past its optimum the plant\'s enzymes slow down, so heat can hold growth back even with plenty of light and CO₂.'
+            },
+            {
+                type: 'task',
+                anchor: 'bar-growth',
+                text: 'Now find settings that push the growth rate above 80%.',
+                goal: { minRate: 80 },
+                success: 'Only with every factor high at once does the rate approach its maximum.'
+            }
+        ],
+        quiz: [
+            {
+                question: 'CO₂ is the limiting factor. What happens if you double the light?',
+                choices: ['The rate doubles', 'The rate barely changes', 'The plant stops growing'],
+                answer: 1,
+                explanation: 'Only the scarcest resource sets the rate, so extra light is wasted.'
+            },
+            {
+                question: 'Which change would speed up a plant limited by light?',
+                choices: ['More CO₂', 'Watering', 'A brighter lamp'],
+                answer: 2,
+                explanation: 'Raise the limiting factor and the rate rises, until another factor takes over.'
+            },
+            {
+                question: 'Why can a very hot day slow photosynthesis?',
+                choices: ['Enzymes work slower beyond their optimum', 'Heat destroys CO₂', 'Sunlight is weaker when it is hot'],
+                answer: 0,
+                explanation: 'Each species has a temperature optimum; above it enzyme activity falls.'
+            }
+        ]
+    },
+    {
+        id: 'day-and-night',
+        name: 'Day & Night',
+        description: 'Follow the plant through sunset and sunrise, and see what respiration does in the dark.',
+        setup: { time: 17, paused: false, co2: 40, water: 80 },
+        steps: [
+            {
+                type: 'explain',
+                anchor: 'clock-container',
+                text: 'The clock is running from late afternoon. Keep an eye on the growth bar and the net balance as the sun goes down.'
+            },
+            {
+                type: 'task',
+                anchor: 'bar-growth',
+                text: 'Wait for nightfall, when photosynthesis stops.',
+                goal: { maxRate: 0.5 },
+                success: 'No light, no photosynthesis. The net balance is negative: respiration keeps burning sugars through the night.'
+            },
+            {
+                type: 'task',
+                anchor: 'limiting-factor-label',
+                text: 'Wait for the morning sun to get the plant growing again.',
+                goal: { minRate: 20, limitingFactor: 'light' },
+                success: 'At dawn light is the limiting factor; as the sun climbs, another factor usually takes over.'
+            }
+        ],
+        quiz: [
+            {
+                question: 'What does a plant do at night?',
+                choices: ['Photosynthesises slowly', 'Only respires', 'Stops all activity'],
+                answer: 1,
+                explanation: 'Respiration never stops, so the plant loses a little biomass every night.'
+            },
+            {
+                question: 'Early in the morning, which factor usually limits photosynthesis?',
+                choices: ['Light', 'Water', 'CO₂'],
+                answer: 0,
+                explanation: 'The sun is still low, so there is too little light to use the other resources fully.'
+            }
+        ]
+    },
+    {
+        id: 'bell-jar',
+        name: 'The Bell Jar',
+        description: 'Seal the plant in with its own air, as Priestley did, and watch it use up the CO₂.',
+        setup: { time: 12, paused: true, light: 80, co2: 40, temp: 25, water: 80, chamber: 100 },
+        steps: [
+            {
+                type: 'explain',
+                anchor: 'ctrl-chamber',
+                text: 'In 1771 Joseph Priestley found that a sprig of mint under a glass jar "restored" air that a candle had spoiled. The plant here is sealed in a 100 L jar at noon, with no fresh air getting in.'
+            },
+            {
+                type: 'task',
+                anchor: 'ctrl-co2',
+                text: 'Let the clock run and watch the CO₂ slider. Wait until the plant has drawn CO₂ down below {co2:2}.',
+                goal: { factors: { co2: { max: 2 } } }, // Near the compensation point, well below step 3's target
+                success: 'The plant fixed the carbon from the jar\'s air into sugar, and the O₂ level crept up. With nothing coming in, CO₂ runs out and growth stalls at the compensation point.'
+            },
+            {
+                type: 'task',
+                anchor: 'ctrl-light',
+                text: 'Turn the light off and wait for the CO₂ to climb back past {co2:3}.',
+                goal: { factors: { light: { max: 0 }, co2: { min: 3 } } },
+                success: 'In the dark only respiration goes on: it uses O₂ and gives CO₂ back to the jar.'
+            },
+            {
+                type: 'task',
+                anchor: 'btn-inject-co2',
+                text: 'Turn the light back up and inject some CO₂ to get the growth rate above 30%.',
+                goal: { minRate: 30, factors: { light: { min: 50 } } },
+                success: 'Fresh CO₂ and light together restart photosynthesis, until the jar runs short again. Growers add CO₂ to sealed greenhouses for the same reason.'
+            }
+        ],
+        quiz: [
+            {
+                question: 'What happens to the CO₂ in a sealed, brightly lit jar with a plant in it?',
+                choices: ['It rises', 'It falls', 'It stays the same'],
+                answer: 1,
+                explanation: 'Photosynthesis takes CO₂ out of the air faster than respiration puts it back.'
+            },
+            {
+                question: 'Priestley\'s mouse lived longer under a jar with a plant. Why?',
+                choices: ['The plant gave off O₂', 'The plant absorbed the heat', 'The plant gave off CO₂'],
+                answer: 0,
+                explanation: 'Photosynthesis releases O₂, replacing what the mouse breathed in.'
+            },
+            {
+                question: 'The jar is put in the dark overnight. What happens to its CO₂?',
+                choices: ['It falls to zero', 'It stays the same', 'It rises'],
+                answer: 2,
+                explanation: 'Without light only respiration goes on, and it releases CO₂.'
+            }
+        ]
+    }
+];
+
+// Fill in defaults and check a (possibly hand-written) lesson, so a typo
+// in a teacher's file fails loudly
+function normalizeLesson(lesson) {
+    if (!lesson || typeof lesson !== 'object' || Array.isArray(lesson)) {
+        throw new Error('Lesson must be a JSON object');
+    }
+    if (!lesson.name) throw new Error('Lesson needs a "name"');
+    if (!Array.isArray(lesson.steps) || !lesson.steps.length) {
+        throw new Error(`Lesson "${lesson.name}" needs at least one step`);
+    }
+
+    const normalized = Object.assign({ description: '', setup: null, quiz: [] }, lesson);
+    normalized.id = String(lesson.id || lesson.name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    normalized.steps = lesson.steps.map((step, i) => {
+        const where = `Lesson "${lesson.name}", step ${i + 1}`;
+        if (!step.text) throw new Error(`${where}: needs "text"`);
+        const type = step.type || (step.goal ? 'task' : 'explain');
+        if (type === 'task') {
+            const keys = Object.keys(step.goal || {});
+            if (!keys.length) throw new Error(`${where}: a task needs a "goal"`);
+            const unknown = keys.find(key => !GOAL_KEYS.includes(key));
+            if (unknown) throw new Error(`${where}: unknown goal "${unknown}"`);
+        } else if (type !== 'explain') {
+            throw new Error(`${where}: unknown step type "${type}"`);
+        }
+        return Object.assign({ anchor: null, success: '' }, step, { type });
+    });
+
+    if (!Array.isArray(normalized.quiz)) throw new Error(`Lesson "${lesson.name}": "quiz" must be a list`);
+    normalized.quiz.forEach((item, i) => {
+        const where = `Lesson "${lesson.name}", question ${i + 1}`;
+        if (!item.question) throw new Error(`${where}: needs "question"`);
+        if (!Array.isArray(item.choices) || item.choices.length < 2) {
+            throw new Error(`${where}: needs at least two "choices"`);
+        }
+        if (!(Number.isInteger(item.answer) && item.answer >= 0 && item.answer < item.choices.length)) {
+            throw new Error(`${where}: "answer" must be the index of a choice`);
+        }
+    });
+    return normalized;
+}
+
+// Put the simulation in the lesson's starting position. Lessons without a
+// setup carry on from the current run.
+function setupLesson(simulation, lesson) {
+    const setup = lesson.setup;
+    if (!setup) return;
+    const data = { autoPlay: !setup.paused };
+    for (const key of ['seed', 'latitude', 'time', 'light', 'co2', 'temp', 'water']) {
+        if (setup[key] !== undefined) data[key] = setup[key];
+    }
+    simulation.restore(data);
+    if (setup.month) simulation.setDate(Math.round((setup.month - 0.5) * 365 / 12));
+    if (setup.plants) simulation.plantBed(setup.plants);
+    if (setup.weather) simulation.setWeather(setup.weather);
+    if (setup.lightSource) simulation.setLightSource(setup.lightSource);
+    if (setup.chamber) simulation.setChamber(true, setup.chamber);
+}
+
+// Does the selected plant's current state meet a task's goal?
+function goalMet(goal, state) {
+    if (goal.limitingFactor) {
+        const wanted = [].concat(goal.limitingFactor);
+        if (!wanted.includes(state.limitingFactor)) return false;
+    }
+    if (goal.minRate !== undefined && !(state.growthRate >= goal.minRate)) return false;
+    if (goal.maxRate !== undefined && !(state.growthRate <= goal.maxRate)) return false;
+    for (const [name, range] of Object.entries(goal.factors || {})) {
+        if (range.min !== undefined && !(state[name] >= range.min)) return false;
+        if (range.max !== undefined && !(state[name] <= range.max)) return false;
+    }
+    return true;
+}
+
+function createLessonRun(lesson) {
+    return {
+        lessonId: lesson.id,
+        step: 0,
+        held: 0,
+        stepDone: lesson.steps[0].type !== 'task',
+        answers: [], // { question, choice, correct } per quiz item
+        status: 'steps' // 'steps' | 'quiz' | 'done'
+    };
+}
+
+// Check the current task against the state; returns true on the step
+// that completes it
+function updateLessonRun(run, lesson, state) {
+    if (run.status !== 'steps' || run.stepDone) return false;
+    const step = lesson.steps[run.step];
+    run.held = goalMet(step.goal, state) ? run.held + 1 : 0;
+    if (run.held < LESSON_HOLD_STEPS) return false;
+    run.stepDone = true;
+    return true;
+}
+
+function advanceLesson(run, lesson) {
+    if (run.status !== 'steps' || !run.stepDone) return run;
+    run.step++;
+    run.held = 0;
+    if (run.step < lesson.steps.length) {
+        run.stepDone = lesson.steps[run.step].type !== 'task';
+    } else {
+        run.status = lesson.quiz.length ? 'quiz' : 'done';
+    }
+    return run;
+}
+
+function answerQuestion(run, lesson, choice) {
+    if (run.status !== 'quiz') return null;
+    const item = lesson.quiz[run.answers.length];
+    const answer = { question: run.answers.length, choice, correct: choice === item.answer };
+    run.answers.push(answer);
+    if (run.answers.length === lesson.quiz.length) run.status = 'done';
+    return answer;
+}
+
+// Quiz results in a form a teacher can collect
+function lessonResults(run, lesson, student) {
+    return {
+        lesson: lesson.id,
+        student: student || '',
+        completedAt: new Date().toISOString(),
+        score: run.answers.filter(a => a.correct).length,
+        total: lesson.quiz.length,
+        answers: run.answers.map(a => ({
+            question: lesson.quiz[a.question].question,
+            chosen: lesson.quiz[a.question].choices[a.choice],
+            correctAnswer: lesson.quiz[a.question].choices[lesson.quiz[a.question].answer],
+            correct: a.correct
+        }))
+    };
+}
+
+function lessonResultsToCSV(results) {
+    const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+    const header = 'lesson,student,completed_at,question,chosen,correct_answer,correct';
+    const rows = results.answers.map(a => [
+        results.lesson, results.student, results.completedAt, a.question, a.chosen, a.correctAnswer, a.correct
+    ].map(quote).join(','));
+    return [header, ...rows].join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LESSONS,
+        LESSON_HOLD_STEPS,
+        normalizeLesson,
+        setupLesson,
+        goalMet,
+        createLessonRun,
+        updateLessonRun,
+        advanceLesson,
+        answerQuestion,
+        lessonResults,
+        lessonResultsToCSV
+    };
+}
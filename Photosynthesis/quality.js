@@ -0,0 +1,146 @@
+// --- Graphics Quality ---
+// Slow machines get a simpler scene rather than a stuttering one. The frame
+// time is measured as the sketch runs: when it stays too long the quality
+// steps down, and it steps back up once there is headroom again. Only the
+// drawing changes; the model runs in the same fixed steps at any frame rate
+// (see time-controls.js).
+
+const QUALITY_KEY = 'photosynthesis-quality';
+
+// particles: share of each particle pool drawn. liveGrass: sway every blade
+// each frame (otherwise the grass is painted once into the ground layer).
+// glow: soft halo sprites around the sun and moon. pixelDensity: null keeps
+// the screen's own.
+const QUALITY_LEVELS = {
+    low: { particles: 0.25, liveGrass: false, glow: false, pixelDensity: 1 },
+    medium: { particles: 0.6, liveGrass: true, glow: true, pixelDensity: 1 },
+    high: { particles: 1, liveGrass: true, glow: true, pixelDensity: null }
+};
+const QUALITY_ORDER = ['low', 'medium', 'high'];
+const QUALITY_MODES = ['auto', ...QUALITY_ORDER];
+
+const SLOW_FRAME_MS = 1000 / 40;  // Step down when frames average slower than 40 fps...
+const FAST_FRAME_MS = 1000 / 55;  // ...and try a step up above 55 fps
+const SLOW_HOLD_MS = 2000;        // How long it has to stay slow
+const FAST_HOLD_MS = 5000;        // How long it has to stay fast; doubles after each step down
+const MAX_FAST_HOLD_MS = 80000;
+const FRAME_SMOOTHING = 0.05;     // Weight of the newest frame in the average
+
+let qualityMode = 'auto';
+let qualityLevel = 'high';
+let frameMs = 1000 / 60;          // Smoothed frame time
+let slowFor = 0;                  // ms the average has been too slow
+let fastFor = 0;                  // ms it has had headroom
+let fastHold = FAST_HOLD_MS;
+
+function quality() {
+    return QUALITY_LEVELS[qualityLevel];
+}
+
+function setQualityLevel(level) {
+    slowFor = fastFor = 0;
+    if (level === qualityLevel) return;
+    qualityLevel = level;
+    applyPixelDensity();
+    resetLayers(); // Cached at the old detail and density
+}
+
+function applyPixelDensity() {
+    const density = quality().pixelDensity || displayDensity();
+    if (pixelDensity() !== density) pixelDensity(density);
+}
+
+// Called every frame with the real time since the last one
+function measureFrame(ms) {
+    if (ms <= 0 || ms > 1000) return; // A hidden tab, not a slow machine
+    frameMs += (ms - frameMs) * FRAME_SMOOTHING;
+    if (qualityMode !== 'auto') return;
+
+    const index = QUALITY_ORDER.indexOf(qualityLevel);
+    if (frameMs > SLOW_FRAME_MS) {
+        fastFor = 0;
+        slowFor += ms;
+        if (slowFor > SLOW_HOLD_MS && index > 0) {
+            // A level that had to be dropped is tried again less eagerly
+            fastHold = Math.min(fastHold * 2, MAX_FAST_HOLD_MS);
+            setQualityLevel(QUALITY_ORDER[index - 1]);
+        }
+    } else if (frameMs < FAST_FRAME_MS) {
+        slowFor = 0;
+        fastFor += ms;
+        if (fastFor > fastHold && index < QUALITY_ORDER.length - 1) setQualityLevel(QUALITY_ORDER[index + 1]);
+    } else {
+        slowFor = fastFor = 0;
+    }
+}
+
+function setQualityMode(mode) {
+    qualityMode = QUALITY_MODES.includes(mode) ? mode : 'auto';
+    fastHold = FAST_HOLD_MS;
+    if (qualityMode !== 'auto') setQualityLevel(qualityMode);
+    try {
+        localStorage.setItem(QUALITY_KEY, qualityMode);
+    } catch (err) {
+        // Still applies for this visit
+    }
+    renderQualityIndicator();
+}
+
+function renderQualityIndicator() {
+    const level = t(`quality.${qualityLevel}`);
+    setText(document.getElementById('btn-quality'), t('quality.indicator', {
+        fps: Math.round(1000 / frameMs),
+        quality: qualityMode === 'auto' ? t('quality.auto', { level }) : level
+    }));
+}
+
+// --- Cached Layers ---
+// An offscreen copy of something that changes slowly, covering `area()`
+// ([x, y, w, h] on screen). `render(g, ...args)` repaints it in the layer's
+// own coordinates, only when the key passed to draw() differs from last time.
+class CachedLayer {
+    constructor(area, render) {
+        this.area = area;
+        this.render = render;
+        this.graphics = null;
+        this.key = null;
+    }
+
+    draw(key, ...args) {
+        const [x, y, w, h] = this.area();
+        if (!this.graphics || this.graphics.width !== w || this.graphics.height !== h) {
+            this.reset();
+            this.graphics = createGraphics(w, h);
+        }
+        if (key !== this.key) {
+            this.graphics.clear();
+            this.render(this.graphics, ...args);
+            this.key = key;
+        }
+        image(this.graphics, x, y);
+    }
+
+    // Frees the canvas; the next draw() builds a new one
+    reset() {
+        if (this.graphics) this.graphics.remove();
+        this.graphics = null;
+        this.key = null;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(QUALITY_KEY);
+    } catch (err) {
+        // Private mode: start on auto
+    }
+    qualityMode = QUALITY_MODES.includes(saved) ? saved : 'auto';
+    if (qualityMode !== 'auto') qualityLevel = qualityMode;
+
+    document.getElementById('btn-quality').addEventListener('click', () => {
+        setQualityMode(QUALITY_MODES[(QUALITY_MODES.indexOf(qualityMode) + 1) % QUALITY_MODES.length]);
+    });
+    setInterval(renderQualityIndicator, 500);
+    onLocaleChange(renderQualityIndicator);
+});
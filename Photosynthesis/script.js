@@ -1,135 +1,192 @@
-// --- Simulation State ---
-const state = {
-    // Environment
-    time: 12.0,     // 0-24 Hours (Float)
-    day: 1,         // Day Counter
-    autoPlay: true, // Cycle runs automatically
-
-    // Factors (Driven by time or user)
-    light: 100,      // 0-100 (Derived)
-    co2: 40,        // 0-100 (Manual)
-    temp: 25,       // 0-50 (Derived/Manual)
-
-    // Plant
-    growthRate: 0,  // 0-100%
-    biomass: 15,    // Starting size
-    limitingFactor: 'None'
-};
-
-// --- Constants ---
-const OPTIMAL_TEMP = 25;
-const MAX_BIOMASS = 200;
-
-// --- Chart.js Setup ---
-let rateChart;
-const chartData = {
-    labels: Array(20).fill(''),
-    datasets: [{
-        label: 'Photosynthesis Rate (%)',
-        data: Array(20).fill(0),
-        borderColor: '#10b981',
-        backgroundColor: 'rgba(16, 185, 129, 0.1)',
-        tension: 0.4,
-        fill: true,
-        pointRadius: 0
-    }]
-};
-
-function initChart() {
-    const ctx = document.getElementById('rateChart').getContext('2d');
-    rateChart = new Chart(ctx, {
-        type: 'line',
-        data: chartData,
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    max: 100,
-                    grid: { display: false },
-                    ticks: { color: '#64748b' }
-                },
-                x: { display: false }
-            },
-            plugins: { legend: { display: false } },
-            animation: false
-        }
-    });
-}
+// --- Simulation ---
+// The model lives in simulation.js; the sketch and HUD only read `state`.
+// A short random seed unless a shared link sets one (see storage.js).
+const simulation = new Simulation({ state: { seed: Math.floor(Math.random() * 1000000) } });
+const state = simulation.state;
+const recorder = new DataRecorder();
 
 // --- Logic ---
-function calculateEnvironment() {
-    if (state.autoPlay) {
-        // Increment Time
-        state.time += 0.02; // Speed of day
-        if (state.time >= 24) {
-            state.time = 0;
-            state.day++;
-        }
+function updateSimulation() {
+    simulation.step(DEFAULT_TIME_STEP);
+    recorder.update(state);
+    updateAnalysis();
+    updateChallenge();
+    updateLesson();
+    updateApi();
+}
 
-        // Calculate Light (Daytime 6:00 - 18:00)
-        if (state.time >= 6 && state.time <= 18) {
-            // Map 6-18 to 0-PI for Sine wave
-            let t = map(state.time, 6, 18, 0, PI);
-            state.light = sin(t) * 100;
-        } else {
-            state.light = 0; // Night
-        }
+// --- Toast ---
+let toastTimer;
+function showToast(message) {
+    const toast = document.getElementById('toast');
+    toast.innerText = message;
+    toast.classList.add('visible');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('visible'), 2500);
+}
 
-        // Calculate Temp (Lagged, varies 15 - 35)
-        // Peak at 14:00 (14.0)
-        let tempOffset = cos(map(state.time, 0, 24, 0, TWO_PI) - 0.5); // Peak offset?
-        // Simple mapping: 
-        // Coldest at 4am, Hottest at 2pm (14)
-        // Map time shifted by -4 to 0-2PI? 
-        // Let's us simple sin approximation
-        let tempT = map(state.time, 0, 24, -PI / 2, 3 * PI / 2); // 0=midnight
-        // Shift peak to 14:00 (approx)
-        let dailyVar = sin(map(state.time - 8, 0, 24, 0, TWO_PI)) * 10;
-        state.temp = 20 + dailyVar; // Base 20, +/- 10 -> 10 to 30 range
+// --- HUD Writes ---
+// The HUD refreshes ten times a second but most of it rarely changes.
+// Writing the DOM only when a value differs saves the browser a layout for
+// every unchanged label.
+const hudWritten = new WeakMap();
+
+function changed(element, key, value) {
+    let written = hudWritten.get(element);
+    if (!written) hudWritten.set(element, written = {});
+    if (written[key] === value) return false;
+    written[key] = value;
+    return true;
+}
 
-        // Clamp
-        if (state.light < 0) state.light = 0;
-    }
+function setText(element, text) {
+    if (changed(element, 'text', text)) element.innerText = text;
 }
 
-function calculateRate() {
-    // Photosynthesis only happens if light > 0
+function setStyle(element, property, value) {
+    if (changed(element, `style.${property}`, value)) element.style[property] = value;
+}
 
-    const lightEffect = 100 * (state.light / (state.light + 20));
-    const co2Effect = 100 * (state.co2 / (state.co2 + 20)); // CO2 is manual
-    const tempDiff = Math.abs(state.temp - OPTIMAL_TEMP);
-    let tempEffect = 100 * Math.exp(-(Math.pow(tempDiff, 2) / 200));
-    if (tempEffect < 1) tempEffect = 0;
+function setAttr(element, name, value) {
+    if (changed(element, `attr.${name}`, String(value))) element.setAttribute(name, value);
+}
 
-    let rate = Math.min(lightEffect, co2Effect, tempEffect);
+function setClass(element, className) {
+    if (changed(element, 'class', className)) element.className = className;
+}
 
-    // Night Logic: Rate is 0
-    if (state.light < 1) rate = 0;
+// For anything that came from a file: its text can never become markup
+function textElement(tag, text, className = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+}
 
-    state.growthRate = rate;
+// Setting a range input's value is a write too, even when it's the same
+function syncSlider(slider, value) {
+    if (Number(slider.value) !== Math.round(value)) slider.value = Math.round(value);
+}
 
-    // Determine Limiting Factor
-    if (rate === lightEffect) state.limitingFactor = 'light';
-    else if (rate === co2Effect) state.limitingFactor = 'co2';
-    else state.limitingFactor = 'temp';
+// Icon-only button, so the label says what a press will do
+function renderPauseButton() {
+    const btn = document.getElementById('btn-pause');
+    btn.innerText = state.autoPlay ? "⏸" : "▶";
+    btn.title = t(state.autoPlay ? 'toolbar.pause' : 'toolbar.resume');
+    btn.setAttribute('aria-label', btn.title);
+}
 
-    return rate;
+// --- Formatting ---
+function formatLatitude(latitude) {
+    if (latitude === 0) return `0° (${t('env.equator')})`;
+    return `${Math.abs(latitude)}°${latitude > 0 ? 'N' : 'S'}`;
 }
 
-function updateSimulation() {
-    calculateEnvironment();
-    const rate = calculateRate();
-    if (rate > 0 && state.biomass < MAX_BIOMASS) {
-        state.biomass += rate * 0.0005;
-    }
+function monthIndex(doy) {
+    let month = MONTH_STARTS.length - 1;
+    while (MONTH_STARTS[month] > doy) month--;
+    return month;
+}
 
-    if (frameCount % 60 === 0 && rateChart) {
-        chartData.datasets[0].data.shift();
-        chartData.datasets[0].data.push(rate);
-        rateChart.update();
-    }
+// Like the engine's formatDate, but with the month in the chosen language
+function localDate(doy) {
+    const month = monthIndex(doy);
+    return `${doy - MONTH_STARTS[month] + 1} ${monthName(month, 'short')}`;
+}
+
+// --- Species Picker ---
+// Also called after loading a save, which may bring its own custom species.
+// Custom names come from files, so they are set as text, never as HTML.
+function renderSpeciesOptions() {
+    const select = document.getElementById('select-species');
+    if (!SPECIES_PROFILES[state.species.id]) SPECIES_PROFILES[state.species.id] = state.species;
+    select.replaceChildren(...Object.values(SPECIES_PROFILES)
+        .map(p => new Option(`${speciesName(p)} (${p.pathway})`, p.id)));
+    select.value = state.species.id;
+    document.getElementById('species-info').innerText =
+        translateOr(`species.${state.species.id}.description`, state.species.description || '');
+}
+
+// --- Plant Bed ---
+// Also called after loading a save or a shared bed layout
+function renderPlantList() {
+    const list = document.getElementById('plant-list');
+    list.replaceChildren(...state.plants.map(p => {
+        const chip = document.createElement('button');
+        chip.className = p.id === state.selectedPlant ? 'plant-chip selected' : 'plant-chip';
+        chip.dataset.id = p.id;
+        chip.textContent = `#${p.id} ${speciesName(p.species)}`;
+        return chip;
+    }));
+    document.getElementById('btn-remove-plant').disabled = state.plants.length < 2;
+}
+
+function selectPlant(id) {
+    simulation.selectPlant(id);
+    renderPlantList();
+    renderSpeciesOptions();
+}
+
+// --- Weather ---
+function renderWeatherOptions() {
+    const select = document.getElementById('select-weather');
+    select.replaceChildren(new Option(`🔮 ${t('weather.auto')}`, 'auto'),
+        ...Object.entries(WEATHER_TYPES).map(([id, type]) => new Option(`${type.icon} ${weatherName(id)}`, id)));
+    select.value = state.weather.mode;
+}
+
+function renderFertilizerOptions() {
+    const select = document.getElementById('select-fertilizer');
+    const chosen = select.value || 'balanced';
+    select.replaceChildren(...Object.keys(FERTILIZERS).map(id => new Option(t(`fertilizer.${id}`), id)));
+    select.value = chosen;
+}
+
+function renderLightSourceOptions() {
+    const select = document.getElementById('select-light-source');
+    select.replaceChildren(...Object.keys(LIGHT_SOURCES).map(id => new Option(t(`lightSource.${id}`), id)));
+    select.value = state.lightSource.type;
+}
+
+// Volumes not in the list (from a save or the API) get their own entry
+function renderChamberOptions() {
+    const select = document.getElementById('select-chamber-volume');
+    const volume = state.chamber.volume;
+    const volumes = CHAMBER_VOLUMES.includes(volume) ? CHAMBER_VOLUMES : CHAMBER_VOLUMES.concat(volume).sort((a, b) => a - b);
+    select.replaceChildren(...volumes.map(v =>
+        new Option(CHAMBER_VOLUMES.includes(v) ? t(`chamber.size${v}`) : t('chamber.litres', { volume: v }), v)));
+    select.value = volume;
+}
+
+// Which nutrient is short for this plant, or that the soil has too much
+function describeNutrientLimit(plant) {
+    const nutrient = lowestNutrient(nutrientEffects(state.soil, plant.rootShare));
+    return t(fertilizerBurn(state.soil[nutrient]) > 0 ? 'limit.burn' : `limit.${nutrient}`);
+}
+
+function describeForecast(weather) {
+    if (weather.mode !== 'auto') return t('weather.held');
+    let start = weather.hoursLeft;
+    const events = weather.forecast.map(event => {
+        const text = t('weather.inHours', { icon: WEATHER_TYPES[event.type].icon, hours: Math.round(start) });
+        start += event.hours;
+        return text;
+    });
+    return t('weather.next', { events: events.join(', ') });
+}
+
+// --- Localized Options ---
+function renderMonthOptions() {
+    document.querySelectorAll('#select-month option').forEach(option => {
+        option.textContent = monthName(Number(option.value));
+    });
+}
+
+function renderSampleIntervals() {
+    document.querySelectorAll('#select-sample-interval option').forEach(option => {
+        if (option.dataset.minutes) option.textContent = t('recorder.minutes', { minutes: option.dataset.minutes });
+        if (option.dataset.hours) option.textContent = t('recorder.hours', { hours: option.dataset.hours });
+    });
 }
 
 // --- UI Handling ---
@@ -139,35 +196,65 @@ document.addEventListener('DOMContentLoaded', () => {
     const sliders = {
         light: document.getElementById('slider-light'),
         co2: document.getElementById('slider-co2'),
-        temp: document.getElementById('slider-temp')
+        temp: document.getElementById('slider-temp'),
+        water: document.getElementById('slider-water'),
+        latitude: document.getElementById('slider-latitude')
     };
 
     const displays = {
         light: document.getElementById('val-light'),
         co2: document.getElementById('val-co2'),
         temp: document.getElementById('val-temp'),
+        water: document.getElementById('val-water'),
+        latitude: document.getElementById('val-latitude'),
+        sun: document.getElementById('sun-times'),
+        plantShare: document.getElementById('plant-share'),
+        roots: document.getElementById('stat-roots'),
+        allocation: document.getElementById('root-allocation'),
+        weatherNow: document.getElementById('weather-now'),
+        forecast: document.getElementById('weather-forecast'),
         biomass: document.getElementById('stat-biomass'),
+        gross: document.getElementById('stat-gross'),
+        net: document.getElementById('stat-net'),
+        health: document.getElementById('stat-health'),
+        overlayGross: document.getElementById('overlay-gross'),
+        overlayNet: document.getElementById('overlay-net'),
         limit: document.getElementById('limiting-factor-label'),
         overlayRate: document.getElementById('overlay-rate'),
         overlayLimit: document.getElementById('overlay-limit'),
+        lightWorth: document.getElementById('light-worth'),
+        gases: document.getElementById('chamber-gases'),
         clock: document.getElementById('clock-display'),
+        growthBar: document.getElementById('bar-growth'),
         pauseBtn: document.getElementById('btn-pause')
     };
 
     const groups = {
         light: document.getElementById('ctrl-light'),
         co2: document.getElementById('ctrl-co2'),
-        temp: document.getElementById('ctrl-temp')
+        temp: document.getElementById('ctrl-temp'),
+        water: document.getElementById('ctrl-water'),
+        nutrients: document.getElementById('ctrl-nutrients')
     };
 
+    const nutrientRows = Object.fromEntries(NUTRIENTS.map(n => {
+        const element = document.getElementById(`nutrient-${n}`);
+        return [n, {
+            element,
+            fill: element.querySelector('.nutrient-fill'),
+            track: element.querySelector('.nutrient-track'),
+            value: element.querySelector('.nutrient-value')
+        }];
+    }));
+
     // Manual Input Handling
     function handleManualInput(e) {
-        state.autoPlay = false; // Pause natural cycle
-        displays.pauseBtn.innerText = "▶"; // Show Play icon
+        simulation.setAutoPlay(false); // Pause natural cycle
+        renderPauseButton();
 
-        state.light = parseInt(sliders.light.value);
-        state.co2 = parseInt(sliders.co2.value);
-        state.temp = parseInt(sliders.temp.value);
+        simulation.setFactor('light', parseInt(sliders.light.value));
+        if (!state.chamber.sealed) simulation.setFactor('co2', parseInt(sliders.co2.value)); // Sealed, the plants set it
+        simulation.setFactor('temp', parseInt(sliders.temp.value));
     }
 
     // CO2 always manual, doesn't pause time? 
@@ -176,57 +263,311 @@ document.addEventListener('DOMContentLoaded', () => {
     sliders.temp.addEventListener('input', handleManualInput);
 
     sliders.co2.addEventListener('input', (e) => {
-        state.co2 = parseInt(e.target.value);
+        simulation.setFactor('co2', parseInt(e.target.value));
+    });
+
+    // Soil moisture keeps evolving on its own; the slider just resets it
+    sliders.water.addEventListener('input', (e) => {
+        simulation.setFactor('water', parseInt(e.target.value));
+    });
+
+    document.getElementById('btn-water').addEventListener('click', () => {
+        if (useChallengeWatering()) simulation.waterPlant();
+    });
+
+    // Fertilizer
+    renderFertilizerOptions();
+    document.getElementById('btn-fertilize').addEventListener('click', () => {
+        const type = document.getElementById('select-fertilizer').value;
+        const soil = simulation.fertilize(type);
+        const burning = NUTRIENTS.some(n => fertilizerBurn(soil[n]) > 0);
+        showToast(t(burning ? 'env.overFertilized' : 'env.fertilized', { name: t(`fertilizer.${type}`) }));
+    });
+
+    // Light source
+    const sourceSelect = document.getElementById('select-light-source');
+    const lightMix = document.getElementById('light-mix');
+    const mixSliders = Object.fromEntries(Object.keys(LED_SPECTRA)
+        .map(led => [led, document.getElementById(`slider-mix-${led}`)]));
+    renderLightSourceOptions();
+    sourceSelect.addEventListener('change', () => simulation.setLightSource(sourceSelect.value));
+    for (const [led, slider] of Object.entries(mixSliders)) {
+        slider.addEventListener('input', () => simulation.setLightSource('custom', { [led]: Number(slider.value) / 100 }));
+    }
+
+    // Closed chamber
+    const chamberCheck = document.getElementById('check-chamber');
+    const chamberVolume = document.getElementById('select-chamber-volume');
+    const injectBtn = document.getElementById('btn-inject-co2');
+    let co2SealedIn = false; // The CO₂ slider is locked while sealed
+    renderChamberOptions();
+    chamberCheck.addEventListener('change', () => {
+        simulation.setChamber(chamberCheck.checked, Number(chamberVolume.value));
+        showToast(chamberCheck.checked ? t('chamber.sealedToast', { volume: state.chamber.volume }) : t('chamber.openedToast'));
+    });
+    chamberVolume.addEventListener('change', () => {
+        simulation.setChamber(state.chamber.sealed, Number(chamberVolume.value));
+    });
+    injectBtn.addEventListener('click', () => simulation.injectCO2());
+
+    // Weather
+    const weatherSelect = document.getElementById('select-weather');
+    renderWeatherOptions();
+    weatherSelect.addEventListener('change', () => simulation.setWeather(weatherSelect.value));
+
+    // Location & Season
+    const monthSelect = document.getElementById('select-month');
+    sliders.latitude.addEventListener('input', (e) => {
+        simulation.setLatitude(parseInt(e.target.value));
+    });
+    monthSelect.addEventListener('change', () => {
+        // Jump to the middle of the chosen month
+        simulation.setDate(MONTH_STARTS[parseInt(monthSelect.value)] + 14);
+    });
+
+    // Seed
+    const seedInput = document.getElementById('input-seed');
+    seedInput.value = state.seed;
+    seedInput.addEventListener('change', () => {
+        if (seedInput.value.trim() === '') return;
+        setSimulationSeed(seedInput.value);
+        seedInput.value = state.seed;
+    });
+    document.getElementById('btn-random-seed').addEventListener('click', () => {
+        setSimulationSeed(Math.floor(Math.random() * 1000000));
+        seedInput.value = state.seed;
+    });
+
+    // Species
+    const speciesSelect = document.getElementById('select-species');
+    const speciesFile = document.getElementById('input-species');
+    renderSpeciesOptions();
+
+    speciesSelect.addEventListener('change', () => {
+        simulation.setSpecies(speciesSelect.value);
+        forgetPlantScene(state.selectedPlant);
+        renderSpeciesOptions();
+        renderPlantList();
+    });
+
+    document.getElementById('btn-load-species').addEventListener('click', () => speciesFile.click());
+    speciesFile.addEventListener('change', () => {
+        const file = speciesFile.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const profile = normalizeSpecies(JSON.parse(text));
+                SPECIES_PROFILES[profile.id] = profile;
+                simulation.setSpecies(profile);
+                forgetPlantScene(state.selectedPlant);
+                renderSpeciesOptions();
+                renderPlantList();
+                showToast(t('plant.planted', { name: speciesName(profile) }));
+            })
+            .catch(err => showToast(t('file.couldNotLoad', { file: file.name, error: err.message })))
+            .finally(() => { speciesFile.value = ''; });
+    });
+
+    const replantBtn = document.getElementById('btn-replant');
+    replantBtn.addEventListener('click', () => {
+        simulation.replant();
+        forgetPlantScene(state.selectedPlant);
+    });
+
+    // Plant Bed
+    renderPlantList();
+    document.getElementById('plant-list').addEventListener('click', (e) => {
+        const chip = e.target.closest('.plant-chip');
+        if (chip) selectPlant(Number(chip.dataset.id));
+    });
+    document.getElementById('btn-add-plant').addEventListener('click', () => {
+        if (state.plants.length >= MAX_PLANTS) {
+            showToast(t('plant.bedFull', { max: MAX_PLANTS }));
+            return;
+        }
+        setPlantingMode(!plantingMode);
+        if (plantingMode) showToast(t('plant.clickGround', { name: speciesName(state.species) }));
+    });
+    document.getElementById('btn-remove-plant').addEventListener('click', () => {
+        const id = state.selectedPlant;
+        simulation.removePlant(id);
+        forgetPlantScene(id);
+        selectPlant(state.selectedPlant);
+    });
+
+    // Text built here follows the language; the HUD below picks it up on
+    // its next refresh
+    renderMonthOptions();
+    renderSampleIntervals();
+    onLocaleChange(() => {
+        renderPauseButton();
+        renderWeatherOptions();
+        renderFertilizerOptions();
+        renderChamberOptions();
+        renderLightSourceOptions();
+        renderMonthOptions();
+        renderSampleIntervals();
+        renderSpeciesOptions();
+        renderPlantList();
     });
 
     // Pause Button
     displays.pauseBtn.addEventListener('click', () => {
-        state.autoPlay = !state.autoPlay;
-        displays.pauseBtn.innerText = state.autoPlay ? "⏸" : "▶";
+        simulation.setAutoPlay(!state.autoPlay);
+        renderPauseButton();
     });
 
     setInterval(() => {
+        // Nothing to see in a background tab
+        if (document.hidden) return;
+
         // UI Updates
-        // Sync Sliders to State (if AutoPlay)
+        // Sync Sliders to State (if AutoPlay), only when the shown value moves
         if (state.autoPlay) {
-            sliders.light.value = state.light;
-            sliders.temp.value = state.temp;
+            syncSlider(sliders.light, state.light);
+            syncSlider(sliders.temp, state.temp);
+        }
+        if (document.activeElement !== sliders.water) {
+            syncSlider(sliders.water, state.water);
+        }
+
+        // Light source; the LED sliders only matter for a custom mix
+        const source = state.lightSource;
+        if (document.activeElement !== sourceSelect && sourceSelect.value !== source.type) sourceSelect.value = source.type;
+        if (lightMix.hidden !== (source.type !== 'custom')) lightMix.hidden = source.type !== 'custom';
+        for (const [led, slider] of Object.entries(mixSliders)) {
+            if (document.activeElement !== slider) syncSlider(slider, source.mix[led] * 100);
+        }
+        setText(displays.lightWorth, t('lightSource.worth', { percent: Math.round(lightEfficiency(source) * 100) }));
+
+        // Sealed in, the plants move the CO₂ slider themselves; Inject CO₂
+        // is the only way to add more
+        const chamber = state.chamber;
+        if (chamber.sealed !== co2SealedIn) {
+            co2SealedIn = chamber.sealed;
+            sliders.co2.disabled = chamber.sealed || isChallengeLocked('slider-co2');
         }
+        setAttr(sliders.co2, 'title', chamber.sealed ? t('chamber.co2Locked') : '');
+        if (chamber.sealed) syncSlider(sliders.co2, state.co2);
+        chamberCheck.checked = chamber.sealed;
+        if (document.activeElement !== chamberVolume && Number(chamberVolume.value) !== chamber.volume) renderChamberOptions();
+        injectBtn.disabled = !chamber.sealed || chamberCheck.disabled;
+        const o2Change = chamber.o2 - AMBIENT_O2;
+        setText(displays.gases, chamber.sealed
+            ? t('chamber.gases', { o2: chamber.o2.toFixed(3), change: `${o2Change >= 0 ? '+' : ''}${o2Change.toFixed(3)}` })
+            : t('chamber.open'));
 
         // Sync Displays
-        displays.light.innerText = Math.floor(state.light);
-        displays.co2.innerText = state.co2;
-        displays.temp.innerText = Math.floor(state.temp);
+        // The unit pickers beside them show the units
+        setText(displays.light, toChosenUnit('light', state.light));
+        setText(displays.co2, toChosenUnit('co2', state.co2));
+        setText(displays.temp, toChosenUnit('temp', state.temp));
+        setText(displays.water, String(Math.floor(state.water)));
+
+        // Soil nutrients, on a track that runs past a good supply into burn
+        const nutrientLevels = nutrientEffects(state.soil, simulation.plant.rootShare);
+        for (const nutrient of NUTRIENTS) {
+            const row = nutrientRows[nutrient];
+            const level = state.soil[nutrient];
+            setStyle(row.fill, 'width', `${(level / MAX_NUTRIENT * 100).toFixed(1)}%`);
+            setAttr(row.track, 'aria-valuenow', Math.round(level));
+            setText(row.value, String(Math.round(level)));
+            row.element.classList.toggle('excess', level > NUTRIENT_EXCESS);
+            row.element.classList.toggle('low', level <= NUTRIENT_EXCESS && nutrientLevels[nutrient] < SATURATION_RATE);
+        }
 
         // Update Clock
-        let h = Math.floor(state.time);
-        let m = Math.floor((state.time - h) * 60);
-        let mStr = m < 10 ? `0${m}` : m;
-        displays.clock.innerHTML = `Day ${state.day} <span class="time-divider">|</span> ${h}:${mStr}`;
-
-        // Growth Bar
-        const bar = document.getElementById('bar-growth');
-        bar.style.width = `${state.growthRate}%`;
-        displays.biomass.innerText = Math.floor(state.biomass);
+        const cal = simulation.calendar();
+        const season = t(`season.${cal.season.toLowerCase()}`);
+        const clockParts = [t('clock.day', { day: state.day }), `${localDate(cal.dayOfYear)} · ${season}`, formatClock(state.time)];
+        if (changed(displays.clock, 'parts', clockParts.join('|'))) {
+            displays.clock.replaceChildren(...clockParts.flatMap((part, i) =>
+                i ? [' ', textElement('span', '|', 'time-divider'), ` ${part}`] : [part]));
+        }
 
-        Object.values(groups).forEach(g => g.classList.remove('limiting-factor'));
+        // Weather
+        const weather = state.weather;
+        const weatherType = WEATHER_TYPES[weather.type];
+        setText(displays.weatherNow, weather.mode === 'auto'
+            ? `${weatherType.icon} ${weatherName(weather.type)} · ${t('weather.hoursLeft', { hours: Math.ceil(weather.hoursLeft) })}`
+            : `${weatherType.icon} ${weatherName(weather.type)}`);
+        setText(displays.forecast, describeForecast(weather));
+        if (document.activeElement !== weatherSelect && weatherSelect.value !== weather.mode) weatherSelect.value = weather.mode;
+
+        // Location & Season
+        setText(displays.latitude, formatLatitude(state.latitude));
+        setText(displays.sun, cal.dayLength >= 24 ? t('env.midnightSun')
+            : cal.dayLength <= 0 ? t('env.polarNight')
+                : `☀ ${formatClock(cal.sunrise)} – ${formatClock(cal.sunset)} (${cal.dayLength.toFixed(1)} h)`);
+        if (document.activeElement !== sliders.latitude) syncSlider(sliders.latitude, state.latitude);
+        if (document.activeElement !== monthSelect && Number(monthSelect.value) !== monthIndex(cal.dayOfYear)) {
+            monthSelect.value = monthIndex(cal.dayOfYear);
+        }
 
-        let limitText = 'None';
-        if (state.growthRate < 95) {
+        // Growth Bar
+        setStyle(displays.growthBar, 'width', `${state.growthRate.toFixed(1)}%`);
+        setAttr(displays.growthBar, 'aria-valuenow', Math.round(state.growthRate));
+        setText(displays.biomass, String(Math.floor(state.biomass)));
+
+        // Carbon Balance
+        const grossText = `${state.grossRate.toFixed(2)}/h`;
+        const netText = `${state.netRate >= 0 ? '+' : ''}${state.netRate.toFixed(2)}/h`;
+        setText(displays.gross, grossText);
+        setText(displays.net, netText);
+        displays.net.classList.toggle('negative', state.netRate < 0);
+        setText(displays.overlayGross, grossText);
+        setText(displays.overlayNet, netText);
+
+        setText(displays.health, `${t(`status.${state.plantStatus}`)} (${Math.floor(state.health)}%)`);
+        setClass(displays.health, `plant-health ${state.plantStatus}`);
+        replantBtn.classList.toggle('hidden', state.plantStatus !== 'dead');
+
+        // Roots
+        setText(displays.roots, t('stats.rootShoot', {
+            roots: state.rootBiomass.toFixed(1),
+            ratio: (state.rootBiomass / Math.max(state.biomass, 0.01)).toFixed(2)
+        }));
+        setText(displays.allocation, t('stats.allocation', {
+            share: Math.round(state.rootAllocation * 100),
+            uptake: Math.floor(state.uptake)
+        }));
+
+        // Competition only matters once there are neighbours
+        const plant = simulation.plant;
+        setText(displays.plantShare, state.plants.length > 1
+            ? t('stats.plantShare', {
+                id: plant.id,
+                light: Math.round(plant.lightShare * 100),
+                water: Math.round(plant.rootShare * 100)
+            })
+            : '');
+
+        let limitText = t('limit.none');
+        let limitGroup = null;
+        if (state.growthRate < SATURATION_RATE) {
             if (state.limitingFactor === 'light') {
-                groups.light.classList.add('limiting-factor');
-                limitText = 'Light Intensity';
+                limitGroup = 'light';
+                limitText = t('limit.light');
             } else if (state.limitingFactor === 'co2') {
-                groups.co2.classList.add('limiting-factor');
-                limitText = 'CO₂ Concentration';
+                limitGroup = 'co2';
+                limitText = t('limit.co2');
+            } else if (state.limitingFactor === 'temp') {
+                limitGroup = 'temp';
+                limitText = t('limit.temp');
+            } else if (state.limitingFactor === 'nutrients') {
+                limitGroup = 'nutrients';
+                limitText = describeNutrientLimit(simulation.plant);
             } else {
-                groups.temp.classList.add('limiting-factor');
-                limitText = 'Temperature';
+                limitGroup = 'water';
+                // Wet soil is no help if the roots can't keep up with the leaves
+                limitText = state.uptake < waterResponse(state.water * simulation.plant.rootShare, state.species)
+                    ? t('limit.uptake') : t('limit.water');
             }
         }
-        displays.limit.innerText = `Limiting Factor: ${limitText}`;
-        displays.overlayRate.innerText = `${Math.floor(state.growthRate)}%`;
-        displays.overlayLimit.innerText = limitText;
+        Object.entries(groups).forEach(([name, g]) => g.classList.toggle('limiting-factor', name === limitGroup));
+        setText(displays.limit, t('stats.limiting', { factor: limitText }));
+        setText(displays.overlayRate, `${Math.floor(state.growthRate)}%`);
+        setText(displays.overlayLimit, limitText);
 
     }, 100);
 
@@ -238,6 +579,25 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('analysis-overlay').classList.add('hidden');
     });
 
+    // Recorder
+    const recorderCount = document.getElementById('recorder-count');
+    document.getElementById('select-sample-interval').addEventListener('change', (e) => {
+        recorder.setInterval(parseFloat(e.target.value));
+    });
+    document.getElementById('btn-export-csv').addEventListener('click', () => {
+        downloadFile(`photosynthesis-seed${state.seed}.csv`, recorder.toCSV(), 'text/csv');
+    });
+    document.getElementById('btn-export-json').addEventListener('click', () => {
+        const data = Object.assign({ seed: state.seed }, recorder.toJSON());
+        downloadFile(`photosynthesis-seed${state.seed}.json`, JSON.stringify(data, null, 2), 'application/json');
+    });
+    document.getElementById('btn-clear-recording').addEventListener('click', () => {
+        recorder.clear();
+    });
+    setInterval(() => {
+        recorderCount.innerText = t('recorder.samples', { count: recorder.samples.length });
+    }, 1000);
+
     // --- Mobile Toggles ---
     const btnToggleEnv = document.getElementById('btn-toggle-env');
     const btnToggleStats = document.getElementById('btn-toggle-stats');
@@ -278,46 +638,174 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
 // --- p5.js Visuals ---
+const GRASS_OPTIMAL_TEMP = 25;
 let particles = [];
 let bubbles = [];
 let clouds = [];
 let fireflies = [];
 let grassBlades = [];
 let waterParticles = [];
-let rootSystem;
+let rainDrops = [];
+let puddles = [];
+let rootSystems = null; // RootSystem per plant id
+let shootSystems = {};  // ShootSystem per plant id
+let plantingMode = false;
 
 function setup() {
     const canvas = createCanvas(windowWidth, windowHeight);
     canvas.parent('canvas-container');
+    canvas.elt.addEventListener('click', handleSceneClick);
+    canvas.elt.setAttribute('role', 'img'); // Described in accessibility.js
+    applyPixelDensity();
+
+    generateScene();
+}
+
+// Every procedural element is drawn from the simulation seed, so the same
+// seed (and window size) always produces the same roots and scenery.
+function generateScene() {
+    randomSeed(state.seed);
+    noiseSeed(state.seed);
+
+    // Roots and shoots regrow from each plant's own stream (see rootsFor)
+    rootSystems = {};
+    shootSystems = {};
 
     // Init CO2 particles
+    particles = [];
     for (let i = 0; i < 30; i++) {
         particles.push(new Particle());
     }
 
     // Init Clouds
+    clouds = [];
     for (let i = 0; i < 5; i++) {
         clouds.push(new Cloud());
     }
 
     // Init Fireflies
+    fireflies = [];
     for (let i = 0; i < 40; i++) {
         fireflies.push(new Firefly());
     }
 
     // Init Water
+    waterParticles = [];
     for (let i = 0; i < 20; i++) {
         waterParticles.push(new WaterParticle());
     }
 
+    bubbles = [];
+
+    // Weather (drawn last, so older seeds keep the rest of their scenery)
+    for (let i = 0; i < 9; i++) {
+        clouds.push(new Cloud());
+    }
+    rainDrops = [];
+    for (let i = 0; i < 150; i++) {
+        rainDrops.push(new RainDrop());
+    }
+    puddles = [];
+    for (let i = 0; i < 6; i++) {
+        puddles.push({ x: random(width), w: random(40, 140) });
+    }
+
     // Init Grass
     initGrass();
+    resetLayers();
+}
+
+function setSimulationSeed(seed) {
+    simulation.setSeed(seed);
+    if (rootSystems) generateScene(); // Otherwise setup() will
+}
+
+// Each plant's roots have their own stream, so planting or removing
+// neighbours never reshapes them
+function rootsFor(plant) {
+    if (!rootSystems[plant.id]) {
+        rootSystems[plant.id] = new RootSystem(state.seed + (plant.id - 1) * 7919);
+    }
+    return rootSystems[plant.id];
+}
+
+// A plant that was removed or started over grows new roots and shoots
+function forgetPlantScene(id) {
+    delete rootSystems[id];
+    delete shootSystems[id];
+}
+
+// A new species, or a seedling where a plant died, starts a new shoot
+function shootsFor(plant) {
+    let shoot = shootSystems[plant.id];
+    if (!shoot || shoot.species !== plant.species.id || (shoot.died && plant.plantStatus !== 'dead')) {
+        shoot = shootSystems[plant.id] = new ShootSystem(state.seed + (plant.id - 1) * 7919 + 104729, plant.species);
+    }
+    return shoot;
+}
+
+// --- Scene Layout ---
+// Plant positions are cm from the centre; 1 cm is 1 px at full scale
+function sceneScale() {
+    return width < 600 ? 0.6 : 1;
+}
+
+function plantScreenX(plant) {
+    return width / 2 + plant.x * sceneScale();
+}
 
-    // Init Fractal Roots
-    rootSystem = new RootBranch(0, 0, 90, 6, 40);
+// Growth on a 0-200 scale, whatever the species' ceiling
+function plantGrowth(plant) {
+    return plant.biomass / plant.species.maxBiomass * 200;
+}
+
+function setPlantingMode(enabled) {
+    plantingMode = enabled;
+    document.body.classList.toggle('planting', enabled);
+    document.getElementById('btn-add-plant').classList.toggle('active', enabled);
+}
+
+function plantAt(x) {
+    setPlantingMode(false);
+    try {
+        selectPlant(simulation.addPlant({ x }).id);
+    } catch (err) {
+        showToast(err.message);
+    }
+}
+
+// The spot furthest from every other plant, for planting by keyboard
+function widestGap() {
+    let xs = state.plants.map(p => p.x).sort((a, b) => a - b);
+    let spots = [-BED_HALF_WIDTH, BED_HALF_WIDTH];
+    for (let i = 1; i < xs.length; i++) spots.push((xs[i - 1] + xs[i]) / 2);
+    let room = x => Math.min(...xs.map(px => Math.abs(px - x)));
+    return spots.reduce((best, x) => room(x) > room(best) ? x : best);
+}
+
+// Plants a seedling in planting mode, otherwise selects the plant clicked
+function handleSceneClick(e) {
+    let x = (e.offsetX - width / 2) / sceneScale();
+    if (plantingMode) {
+        plantAt(x);
+        return;
+    }
+
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (let plant of state.plants) {
+        let dist = Math.abs(plant.x - x);
+        if (dist < plantGeometry(plant).canopy + 20 && dist < nearestDist) {
+            nearest = plant;
+            nearestDist = dist;
+        }
+    }
+    if (nearest && nearest.id !== state.selectedPlant) selectPlant(nearest.id);
 }
 
 function initGrass() {
+    // Own stream, so resizing the window doesn't reshuffle the rest
+    randomSeed(state.seed + 1);
     grassBlades = [];
     let count = width / 6;
     for (let i = 0; i < count; i++) {
@@ -328,54 +816,103 @@ function initGrass() {
 function windowResized() {
     resizeCanvas(windowWidth, windowHeight);
     initGrass();
+    resetLayers();
+}
+
+// --- Scene Layers ---
+// The sky, soil, roots and (when it isn't swaying) the grass change far
+// more slowly than the frame rate, so each is painted offscreen and only
+// repainted when what it shows has changed (see CachedLayer in quality.js).
+const GRASS_ROOM = 32; // Above the soil line, for the tallest blade
+
+const skyLayer = new CachedLayer(() => [0, 0, width, height], renderSky);
+const groundLayer = new CachedLayer(() => [0, height - 120, width, 120], renderGround);
+const rootLayer = new CachedLayer(() => [0, height - 120, width, 120], renderRoots);
+const grassLayer = new CachedLayer(() => [0, height - 120 - GRASS_ROOM, width, GRASS_ROOM], renderGrass);
+let glowSprites = {};
+
+// After a resize, a new seed or a change of pixel density
+function resetLayers() {
+    for (let layer of [skyLayer, groundLayer, rootLayer, grassLayer]) layer.reset();
+    for (let sprite of Object.values(glowSprites)) sprite.remove();
+    glowSprites = {};
+}
+
+function staticGrass() {
+    return reducedMotion || !quality().liveGrass;
 }
 
 function draw() {
-    updateSimulation();
+    measureFrame(deltaTime);
+    advanceSimulation(deltaTime / 1000);
     drawSky();
     drawGround();
 
-    // Clouds
-    for (let c of clouds) {
-        c.update();
-        c.display();
+    // Clouds: more of them, and darker, as the cover thickens
+    let weather = state.weather;
+    let activeClouds = ceil(weather.cloudCover * clouds.length);
+    let cloudShade = map(weather.rain, 0, WEATHER_TYPES.rain.rain, 255, 150, true) - weather.cloudCover * 40;
+    for (let i = 0; i < activeClouds; i++) {
+        if (!reducedMotion) clouds[i].update();
+        clouds[i].display(cloudShade);
     }
 
     // Roots & Water (Underground)
-    push();
-    translate(width / 2, height - 120);
-    let mobileScale = width < 600 ? 0.6 : 1;
-    scale(mobileScale);
+    // Redrawn when a plant's roots have grown (or died back) a few px
+    let mobileScale = sceneScale();
+    let rootKey = [mobileScale];
+    for (let plant of state.plants) {
+        let rootLength = plant.rootBiomass * ROOT_LENGTH_PER_BIOMASS;
+        rootsFor(plant).grow(rootLength);
+        rootKey.push(`${plant.id}@${Math.round(plantScreenX(plant))}:${Math.floor(rootLength / ROOT_REDRAW_PX)}`);
+    }
+    rootLayer.draw(rootKey.join('|'));
+
+    // Water flow to the stem thins out as the soil dries
+    let detail = quality().particles;
+    let activeWater = reducedMotion ? 0 : map(state.water, 0, 100, 0, waterParticles.length) * detail;
+    for (let i = 0; i < activeWater; i++) {
+        waterParticles[i].update();
+        waterParticles[i].display();
+    }
 
-    // Max energy proportional to biomass
-    let rootEnergy = map(state.biomass, 0, 200, 0, 800);
-    drawFractalRoots(rootSystem, rootEnergy);
+    // Draw Plants, tallest first so smaller neighbours stay visible
+    let byHeight = state.plants.slice().sort((a, b) => b.biomass / b.species.maxBiomass - a.biomass / a.species.maxBiomass);
+    for (let plant of byHeight) {
+        push();
+        translate(plantScreenX(plant), height - 120);
+        scale(mobileScale);
+        drawOrganicPlant(plant, plantGrowth(plant));
+        pop();
+    }
 
-    pop();
+    if (state.chamber.sealed) drawChamber();
 
-    for (let w of waterParticles) {
-        w.update();
-        w.display();
+    // Mark the plant the HUD is showing
+    if (state.plants.length > 1) {
+        noFill();
+        stroke(255, 255, 255, 200);
+        strokeWeight(2);
+        ellipse(plantScreenX(simulation.plant), height - 118, 60 * mobileScale, 12 * mobileScale);
+        noStroke();
     }
 
-    // Draw Plant 
-    push();
-    translate(width / 2, height - 120);
-    scale(mobileScale);
-    drawOrganicPlant(state.biomass);
-    pop();
-
-    for (let g of grassBlades) {
-        g.display();
+    if (staticGrass()) {
+        grassLayer.draw(`${grassBlades.length}|${grassShade(state.temp).join()}`, state.temp);
+    } else {
+        for (let g of grassBlades) {
+            g.display(window, height - 120, sin(frameCount * 0.05 + g.angleOffset) * 5);
+        }
     }
 
     // Oxygen
-    if (random(100) < state.growthRate * 0.4) {
-        let plantHeight = state.biomass * 1.5;
+    for (let plant of state.plants) {
+        if (reducedMotion || random(100) >= plant.growthRate * 0.4 * detail) continue;
+        let plantHeight = plantGrowth(plant) * 1.5;
         if (plantHeight < 20) plantHeight = 20;
 
         let xVar = 10 + (plantHeight * 0.5);
-        let spawnX = width / 2 + random(-xVar, xVar);
+        let spawnX = plantScreenX(plant) + random(-xVar, xVar);
         let spawnY = height - 120 - random(10, plantHeight);
 
         bubbles.push(new Bubble(spawnX, spawnY));
@@ -388,192 +925,672 @@ function draw() {
     }
 
     // CO2
-    let activeParticles = map(state.co2, 0, 100, 0, particles.length);
+    let activeParticles = reducedMotion ? 0 : map(state.co2, 0, 100, 0, particles.length) * detail;
     for (let i = 0; i < activeParticles; i++) {
         particles[i].update();
         particles[i].display();
     }
 
     // Fireflies (Night) - Use Light State
-    if (state.light < 30) {
+    if (state.light < 30 && !reducedMotion) {
         let opacityMult = map(state.light, 30, 0, 0, 1);
-        for (let f of fireflies) {
-            f.update();
-            f.display(opacityMult);
+        for (let i = 0; i < fireflies.length * detail; i++) {
+            fireflies[i].update();
+            fireflies[i].display(opacityMult);
         }
     }
+
+    // Rain
+    let activeDrops = map(weather.rain, 0, WEATHER_TYPES.rain.rain, 0, rainDrops.length, true) * detail;
+    for (let i = 0; i < activeDrops; i++) {
+        if (!reducedMotion) rainDrops[i].update(); // Still streaks show it's raining
+        rainDrops[i].display();
+    }
+
+    drawLightTint();
+}
+
+// --- Light Colour ---
+const SKY_LIGHT_TINT = 0.4;  // How far the sky takes on a coloured source
+const SCENE_LIGHT_TINT = 120; // Alpha of the multiply wash over the scene
+
+// Rough visible colour of one wavelength (nm)
+function wavelengthRGB(nm) {
+    let r = 0, g = 0, b = 0;
+    if (nm < 440) { r = (440 - nm) / 60; b = 1; }
+    else if (nm < 490) { g = (nm - 440) / 50; b = 1; }
+    else if (nm < 510) { g = 1; b = (510 - nm) / 20; }
+    else if (nm < 580) { r = (nm - 510) / 70; g = 1; }
+    else if (nm < 645) { r = 1; g = (645 - nm) / 65; }
+    else r = 1;
+    return [r, g, b].map(v => Math.round(v * 255));
+}
+
+// The colour the current source looks, brightest channel at 255
+function lightColor() {
+    const spectrum = lightSpectrum(state.lightSource);
+    const rgb = [0, 1, 2].map(c => WAVELENGTHS.reduce((sum, nm, i) => sum + wavelengthRGB(nm)[c] * spectrum[i], 0));
+    const peak = Math.max(...rgb);
+    return peak ? rgb.map(v => Math.round(v * 255 / peak)) : [0, 0, 0];
+}
+
+// Multiplied over the scene, so a leaf goes dark under light it can't reflect
+function drawLightTint() {
+    if (state.lightSource.type === 'sunlight') return;
+    blendMode(MULTIPLY);
+    noStroke();
+    fill(...lightColor(), SCENE_LIGHT_TINT);
+    rect(0, 0, width, height);
+    blendMode(BLEND);
 }
 
 function drawSky() {
-    // Map TIME to sky color (0-24)
-    // Night: 0-5, Day: 7-17, Twilight in between
+    // Sky colour follows the sun's elevation, so twilight stretches out in
+    // high-latitude summers and polar nights stay dark
     let t = state.time;
+    let cal = simulation.calendar();
+    let elevation = sunElevation(t, cal.dayOfYear, state.latitude);
     let cNight = color(20, 24, 82);
     let cDawn = color(253, 184, 19);
     let cDay = color(135, 206, 235);
 
     let skyColor;
-    if (t < 5) skyColor = cNight;
-    else if (t < 7) skyColor = lerpColor(cNight, cDawn, map(t, 5, 7, 0, 1));
-    else if (t < 10) skyColor = lerpColor(cDawn, cDay, map(t, 7, 10, 0, 1));
-    else if (t < 16) skyColor = cDay;
-    else if (t < 19) skyColor = lerpColor(cDay, cDawn, map(t, 16, 19, 0, 1));
-    else if (t < 21) skyColor = lerpColor(cDawn, cNight, map(t, 19, 21, 0, 1));
-    else skyColor = cNight;
+    if (elevation < -12) skyColor = cNight;
+    else if (elevation < 4) skyColor = lerpColor(cNight, cDawn, map(elevation, -12, 4, 0, 1));
+    else if (elevation < 25) skyColor = lerpColor(cDawn, cDay, map(elevation, 4, 25, 0, 1));
+    else skyColor = cDay;
+
+    // Cloud cover washes the colour out to grey; heatwaves add a warm haze
+    let weather = state.weather;
+    let grey = 0.3 * red(skyColor) + 0.59 * green(skyColor) + 0.11 * blue(skyColor);
+    skyColor = lerpColor(skyColor, color(grey * 0.85), weather.cloudCover * 0.8);
+    if (weather.tempShift > 0) {
+        skyColor = lerpColor(skyColor, color(240, 200, 140), map(weather.tempShift, 0, 10, 0, 0.35, true));
+    }
 
-    background(skyColor);
+    if (state.lightSource.type !== 'sunlight') skyColor = lerpColor(skyColor, color(...lightColor()), SKY_LIGHT_TINT);
 
-    let cx = width / 2;
-    // Map time to angle: 6am = PI, 18pm = 0 (Sun Arc)
-    // 6 = 180deg (left), 12 = 270deg (top), 18 = 360/0 (right)
+    // Keyed on the colour a little coarser than it's drawn, so dusk isn't
+    // repainted every frame
+    skyLayer.draw(skyColor.levels.map(v => v >> 2).join(), skyColor);
 
-    // Cycle: 0 to 24 map to 0 to TWO_PI + Offset?
-    // Let's align: 6am is Rise (PI), 12 is Top (1.5 PI), 18 is Set (2 PI)
-    // Map time 6..18 to PI..2PI
+    let cx = width / 2;
+    // Sun rises on the left (PI) and sets on the right (2 PI); its height
+    // is the real elevation, so winter arcs are low and summer ones high
 
     let radiusX = width * 0.45;
     let radiusY = height * 0.75;
 
-    if (t > 5 && t < 19) {
+    if (elevation > -5 && cal.dayLength > 0) {
         // Sun
-        let sunAngle = map(t, 6, 18, PI, 2 * PI);
+        let sunAngle = map(t, cal.sunrise, cal.sunset, PI, 2 * PI);
         let sunX = cx + cos(sunAngle) * radiusX;
-        let sunY = height * 0.9 + sin(sunAngle) * radiusY;
+        let sunY = height * 0.9 - sin(radians(elevation)) * radiusY;
 
+        // Fades behind thick cloud
+        let attenuation = cloudAttenuation(weather.cloudCover);
+        drawGlow('sun', sunX, sunY, 140, '255, 220, 0', attenuation);
         noStroke();
-        fill(255, 220, 100);
-        drawingContext.shadowBlur = 100;
-        drawingContext.shadowColor = "rgba(255, 220, 0, 0.6)";
+        fill(255, 220, 100, 255 * attenuation);
         circle(sunX, sunY, 90);
-        drawingContext.shadowBlur = 0;
     }
 
     // Moon (Opposite cycle)
-    // Visible 18..6
-    if (t >= 18 || t <= 6) {
+    // Visible from sunset to the next sunrise
+    let nightLength = 24 - cal.dayLength;
+    if (nightLength > 0 && (t >= cal.sunset || t <= cal.sunrise)) {
         let moonTime = t;
-        if (t <= 6) moonTime += 24; // 18..30
-        let moonAngle = map(moonTime, 18, 30, PI, 2 * PI);
+        if (t <= cal.sunrise) moonTime += 24;
+        let moonAngle = map(moonTime, cal.sunset, cal.sunrise + 24, PI, 2 * PI);
         let moonX = cx + cos(moonAngle) * radiusX;
         let moonY = height * 0.9 + sin(moonAngle) * radiusY;
 
+        drawGlow('moon', moonX, moonY, 50, '255, 255, 255', cloudAttenuation(weather.cloudCover));
         noStroke();
-        fill(240);
-        drawingContext.shadowBlur = 30;
-        drawingContext.shadowColor = "white";
+        fill(240, 255 * cloudAttenuation(weather.cloudCover));
         circle(moonX, moonY, 50);
-        drawingContext.shadowBlur = 0;
     }
 }
 
-function drawGround() {
-    fill(101, 67, 33);
+// A glass jar over the bed, taller the more air it holds
+function drawChamber() {
+    let xs = state.plants.map(plantScreenX);
+    let margin = 90 * sceneScale();
+    let left = Math.min(...xs) - margin;
+    let right = Math.max(...xs) + margin;
+    let jarHeight = map(Math.log(state.chamber.volume), Math.log(25), Math.log(5000), 220, height * 0.7, true) * sceneScale();
+    let top = height - 120 - jarHeight;
+    let radius = Math.min(80, (right - left) / 2);
+    fill(220, 240, 255, 30);
+    stroke(255, 255, 255, 140);
+    strokeWeight(3);
+    rect(left, top, right - left, jarHeight + 4, radius, radius, 0, 0);
+    // Highlight down one side
+    noFill();
+    stroke(255, 255, 255, 90);
+    strokeWeight(6);
+    line(left + 18, top + radius, left + 18, height - 140);
     noStroke();
-    rect(0, height - 120, width, 120);
-}
-
-// --- Fractal Root System ---
-class RootBranch {
-    constructor(x, y, angle, weight, len) {
-        this.x = x;
-        this.y = y;
-        this.angle = angle;
-        this.weight = weight;
-        this.len = len;
-        this.children = [];
-        this.endX = this.x + cos(radians(this.angle)) * this.len;
-        this.endY = this.y + sin(radians(this.angle)) * this.len;
-
-        if (this.weight > 0.5) {
-            let numChildren = floor(random(1, 4));
-            for (let i = 0; i < numChildren; i++) {
-                let newWeight = this.weight * 0.7;
-                let newLen = this.len * random(0.7, 0.9);
-                let angleOffset = random(-35, 35);
-                if (this.weight < 2) angleOffset = random(-50, 50);
-                this.children.push(new RootBranch(
-                    this.endX, this.endY, this.angle + angleOffset, newWeight, newLen
-                ));
-            }
+}
+
+// Paler towards the horizon
+function renderSky(g, skyColor) {
+    let ctx = g.drawingContext;
+    let gradient = ctx.createLinearGradient(0, 0, 0, g.height);
+    gradient.addColorStop(0, skyColor.toString());
+    gradient.addColorStop(1, lerpColor(skyColor, color(255), 0.2).toString());
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, g.width, g.height);
+}
+
+// A soft halo, painted once per body and stamped behind it. Canvas
+// shadowBlur looks the same but blurs afresh on every frame.
+function drawGlow(name, x, y, radius, rgb, alpha) {
+    if (!quality().glow || alpha <= 0) return;
+    if (!glowSprites[name]) {
+        let sprite = createGraphics(radius * 2, radius * 2);
+        let ctx = sprite.drawingContext;
+        let gradient = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+        gradient.addColorStop(0, `rgba(${rgb}, 0.6)`);
+        gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, radius * 2, radius * 2);
+        glowSprites[name] = sprite;
+    }
+    drawingContext.globalAlpha = alpha;
+    image(glowSprites[name], x - radius, y - radius);
+    drawingContext.globalAlpha = 1;
+}
+
+function drawGround() {
+    let water = Math.round(state.water);
+    let burn = Math.round(Math.max(...NUTRIENTS.map(n => fertilizerBurn(state.soil[n]))) * 50) / 50;
+    let wetness = Math.round(state.weather.wetness * 50) / 50;
+    groundLayer.draw(`${water}|${burn}|${wetness}`, water, burn, wetness);
+}
+
+// Drawn with the soil line at the top of `g`
+function renderGround(g, water, burn, wetness) {
+    // Soil darkens as it gets wetter
+    let cDry = color(150, 110, 70);
+    let cWet = color(80, 50, 25);
+    g.fill(lerpColor(cDry, cWet, map(water, 0, 100, 0, 1, true)));
+    g.noStroke();
+    g.rect(0, 0, g.width, g.height);
+
+    // Over-fertilized soil grows a pale crust of salts
+    if (burn > 0) {
+        g.fill(245, 240, 225, burn * 200);
+        for (let i = 0; i < 60; i++) {
+            let crustX = (i * 0.618034 % 1) * g.width;
+            g.ellipse(crustX, 3 + (i % 3) * 2, 6 + (i % 5) * 3, 3);
+        }
+    }
+
+    // Puddles after rain
+    if (wetness > 0) {
+        g.fill(120, 150, 180, wetness * 140);
+        for (let p of puddles) {
+            g.ellipse(p.x, 2, p.w * wetness, 8 * wetness);
         }
     }
 }
 
-function drawFractalRoots(node, energy) {
-    if (energy <= 0) return;
-    stroke(210, 180, 140);
-    strokeWeight(node.weight);
-    strokeCap(ROUND);
-    noFill();
-    line(node.x, node.y, node.endX, node.endY);
-    let cost = node.len;
-    let remainingEnergy = energy - cost;
-    if (remainingEnergy > 0 && node.children.length > 0) {
-        for (let child of node.children) {
-            drawFractalRoots(child, remainingEnergy);
+function renderRoots(g) {
+    let mobileScale = sceneScale();
+    for (let plant of state.plants) {
+        let rootLength = plant.rootBiomass * ROOT_LENGTH_PER_BIOMASS;
+        g.push();
+        g.translate(plantScreenX(plant), 0);
+        g.scale(mobileScale);
+        rootsFor(plant).display(g, Math.floor(rootLength / ROOT_REDRAW_PX) * ROOT_REDRAW_PX);
+        g.pop();
+    }
+}
+
+function renderGrass(g, temp) {
+    for (let blade of grassBlades) blade.display(g, g.height, 0, temp);
+}
+
+// --- Root System ---
+// Roots grow a segment at a time as the plant invests carbon in them, so
+// the drawing always follows the engine's root biomass. Segments are kept
+// in the order they grew; when roots die back the newest go first.
+const ROOT_LENGTH_PER_BIOMASS = 40; // px of root per unit of root biomass
+const MAX_ROOT_SEGMENTS = 500;
+const SOIL_DEPTH = 110;              // Roots stay above the bottom of the screen
+const ROOT_REDRAW_PX = 5;            // Growth shown in steps this long
+
+class RootSystem {
+    constructor(seed) {
+        this.rng = seed >>> 0; // Own mulberry32 stream, saved with the scene
+        this.segments = [];    // { x, y, angle, len, weight }, oldest first
+        this.tips = [];        // Indices of segments that can still grow
+        this.length = 0;       // Total length of all segments
+    }
+
+    random(min, max) {
+        const [value, next] = mulberry32(this.rng);
+        this.rng = next;
+        return min + value * (max - min);
+    }
+
+    // Add segments until the system is `targetLength` long (or can't grow)
+    grow(targetLength) {
+        while (this.length < targetLength && this.segments.length < MAX_ROOT_SEGMENTS) {
+            if (!this.addSegment()) break;
+        }
+    }
+
+    addSegment() {
+        let segment;
+        if (!this.segments.length) {
+            segment = { x: 0, y: 0, angle: 90, len: 40, weight: 6 }; // Tap root
+        } else {
+            if (!this.tips.length) return false;
+            let tipIndex = Math.floor(this.random(0, this.tips.length));
+            let parent = this.segments[this.tips[tipIndex]];
+
+            // Most tips just extend; some fork and keep growing too
+            if (this.random(0, 1) > 0.35) this.tips.splice(tipIndex, 1);
+
+            let spread = parent.weight < 2 ? 50 : 35;
+            let end = RootSystem.end(parent);
+            let angle = Math.max(5, Math.min(175, parent.angle + this.random(-spread, spread)));
+            // Turn sideways near the bottom of the soil
+            if (end.y > SOIL_DEPTH * 0.8) angle = angle < 90 ? Math.min(angle, 10) : Math.max(angle, 170);
+            if (end.y >= SOIL_DEPTH) angle = angle < 90 ? 0 : 180;
+            segment = {
+                x: end.x,
+                y: end.y,
+                angle,
+                len: Math.max(10, parent.len * this.random(0.8, 0.95)),
+                weight: parent.weight * 0.8
+            };
         }
+        this.segments.push(segment);
+        if (segment.weight > 0.5) this.tips.push(this.segments.length - 1);
+        this.length += segment.len;
+        return true;
+    }
+
+    static end(segment) {
+        return {
+            x: segment.x + Math.cos(segment.angle * Math.PI / 180) * segment.len,
+            y: segment.y + Math.sin(segment.angle * Math.PI / 180) * segment.len
+        };
+    }
+
+    // Draw as much of the system as `visibleLength` allows onto `g`,
+    // oldest first
+    display(g, visibleLength) {
+        g.stroke(210, 180, 140);
+        g.strokeCap(ROUND);
+        g.noFill();
+        let drawn = 0;
+        for (let segment of this.segments) {
+            drawn += segment.len;
+            if (drawn > visibleLength) break;
+            let end = RootSystem.end(segment);
+            g.strokeWeight(segment.weight);
+            g.line(segment.x, segment.y, end.x, end.y);
+        }
+    }
+
+    toJSON() {
+        const r = (v) => Math.round(v * 100) / 100;
+        return {
+            rng: this.rng,
+            tips: this.tips,
+            segments: this.segments.map(s => [r(s.x), r(s.y), r(s.angle), r(s.len), r(s.weight)])
+        };
+    }
+
+    // Returns null for saves from before roots grew (the scene regrows them)
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.segments)) return null;
+        const roots = new RootSystem(data.rng);
+        roots.tips = data.tips.slice();
+        roots.segments = data.segments.map(([x, y, angle, len, weight]) => ({ x, y, angle, len, weight }));
+        roots.length = roots.segments.reduce((sum, s) => sum + s.len, 0);
+        return roots;
     }
 }
 
-// --- Tree & Other Visuals ---
-function drawOrganicPlant(growth) {
-    let scaleFactor = map(growth, 0, 200, 0.2, 1.5);
-    scale(scaleFactor);
-    let sway = sin(frameCount * 0.02) * 5;
+// --- Shoot System ---
+// The shoot is built from metamers, the unit a plant body repeats: an
+// internode (a length of stem), the leaf at its top and a bud in that
+// leaf's axil. It grows by a small parametric L-system, one rewrite for
+// each share of biomass the plant gains:
+//   A(order) → I L [B(order + 1)] A(order)   an apex lays down a metamer
+//   B(order) → A(order)                      a bud breaks into a branch
+// Every metamer keeps the conditions it grew in: a seedling raised in dim
+// light stays long, thin and pale at the bottom after the light returns,
+// and drought leaves a stretch of short internodes and small leaves. Like
+// the roots, the structure is only drawn up to the current biomass.
+const METAMERS_AT_MATURITY = 28;   // Metamers made by the time a plant reaches maxBiomass
+const MAX_METAMERS = 60;
+const EXPANSION_METAMERS = 2;      // A new metamer reaches full size this many rewrites later
+const INTERNODE_LENGTH = 11;       // px, in good conditions
+const AXIS_METAMERS = [18, 6, 3];  // Longest main stem, branch and side shoot
+const APICAL_DOMINANCE = 0.5;      // Share of the rewrites the main stem takes while it grows
+const ETIOLATION_LIGHT = 40;       // Daylight below this stretches the stems
+const CONDITION_HOURS = 12;        // How long the shoot takes to notice a change
+
+class ShootSystem {
+    constructor(seed, species) {
+        this.rng = seed >>> 0;     // Own mulberry32 stream, saved with the scene
+        this.species = species.id;
+        this.metamers = [];        // See addMetamer(), oldest first
+        this.apices = [];          // { metamer, order, count }: growing tips
+        this.buds = [];            // { metamer, order, side }: dormant, lowest first
+        this.mass = 0;             // Biomass the structure has been built up to
+        this.turn = 0;             // Which apex grows next
+        this.died = false;         // So a seedling in its place starts afresh
+        this.conditions = null;    // { light, water, nitrogen, at }, slow averages
+    }
+
+    random(min, max) {
+        const [value, next] = mulberry32(this.rng);
+        this.rng = next;
+        return min + value * (max - min);
+    }
+
+    // Follow the plant's conditions as the model runs. Light only counts
+    // while the sun is up, so nights don't look like deep shade.
+    sense(plant) {
+        let now = {
+            light: state.light * plant.lightShare,
+            water: Math.min(1, plant.effects.water / 100),
+            nitrogen: Math.min(1, nutrientEffects(state.soil, plant.rootShare).n / 100)
+        };
+        let c = this.conditions;
+        if (!c) {
+            this.conditions = Object.assign(now, { light: state.light > 5 ? now.light : 100, at: state.elapsed });
+            return;
+        }
+        let hours = state.elapsed - c.at;
+        c.at = state.elapsed;
+        if (hours <= 0) return; // Paused, or the timeline went back
+        let weight = 1 - Math.exp(-hours / CONDITION_HOURS);
+        if (state.light > 5) c.light += (now.light - c.light) * weight;
+        c.water += (now.water - c.water) * weight;
+        c.nitrogen += (now.nitrogen - c.nitrogen) * weight;
+    }
+
+    // 0 in good light, 1 in the dark
+    etiolation() {
+        return Math.max(0, Math.min(1, (ETIOLATION_LIGHT - this.conditions.light) / ETIOLATION_LIGHT));
+    }
+
+    // Rewrite until the structure has caught up with the plant's biomass
+    grow(plant) {
+        if (plant.plantStatus === 'dead') this.died = true;
+        this.sense(plant);
+        let cost = plant.species.maxBiomass / METAMERS_AT_MATURITY;
+        if (!this.metamers.length) {
+            this.apices.push({ metamer: -1, order: 0, count: 0 });
+            this.rewrite(plant);
+        }
+        while (this.mass + cost <= plant.biomass && this.metamers.length < MAX_METAMERS) {
+            this.mass += cost;
+            if (!this.rewrite(plant)) break;
+        }
+    }
+
+    rewrite(plant) {
+        let c = this.conditions;
+        // Buds break more readily in good light and with plenty of water and
+        // nitrogen; a shaded plant puts everything into its main stem
+        let vigor = (1 - this.etiolation()) * c.water * c.nitrogen;
+        if (this.buds.length && (!this.apices.length || this.random(0, 1) < plant.species.visual.branching * vigor)) {
+            let bud = this.buds.shift();
+            this.apices.push({ metamer: bud.metamer, order: bud.order, count: 0, side: bud.side });
+        }
+        if (!this.apices.length) return false;
+
+        // The main stem's tip keeps the lion's share; branches take turns
+        // with the rest
+        let index = this.apices.findIndex(a => a.order === 0);
+        if (index < 0 || this.apices.length > 1 && this.random(0, 1) >= APICAL_DOMINANCE) {
+            let others = this.apices.filter(a => a.order > 0);
+            index = this.apices.indexOf(others[this.turn++ % others.length]);
+        }
+        let apex = this.apices[index];
+        this.addMetamer(apex, plant);
+        apex.count++;
+        if (apex.count >= AXIS_METAMERS[apex.order]) this.apices.splice(index, 1);
+        return true;
+    }
+
+    addMetamer(apex, plant) {
+        let c = this.conditions;
+        let e = this.etiolation();
+        let maturity = Math.min(1, this.mass / plant.species.maxBiomass);
+        let parent = this.metamers[apex.metamer];
+
+        // Heading from vertical in degrees (right is positive). Branches
+        // leave at an angle, then bend back towards the light.
+        let angle;
+        if (!parent) angle = this.random(-4, 4);
+        else if (apex.count === 0) angle = parent.angle + apex.side * this.random(30, 50) * (1 - e * 0.5);
+        else angle = parent.angle * 0.8 + this.random(-6, 6);
+
+        // Leaves spiral round the stem by the phyllotaxis angle; seen from
+        // the side that puts them left or right, some foreshortened. Leaves
+        // in two ranks (180°) face left and right.
+        let phase = radians(90 + apex.count * plant.species.visual.phyllotaxis + this.random(-10, 10));
+        let side = Math.sin(phase) >= 0 ? 1 : -1;
+
+        let metamer = {
+            parent: apex.metamer,
+            order: apex.order,
+            born: this.mass,
+            // Etiolated internodes stretch for the light; dry ones stay short
+            len: INTERNODE_LENGTH * (0.8 + 0.8 * maturity) * (1 + e) * (0.6 + 0.4 * c.water) * (apex.order ? 0.8 : 1),
+            width: [7, 4.5, 3][apex.order] * (1 - 0.45 * e),
+            angle,
+            leafSide: side,
+            // Small in the dark, in drought or short of nitrogen, and held
+            // more upright in shade
+            leafSize: (0.4 + 1.1 * maturity) * (1 - 0.45 * e) * (0.6 + 0.4 * c.water) * (0.6 + 0.4 * c.nitrogen),
+            leafTilt: 55 - 30 * e,
+            leafView: 0.5 + 0.5 * Math.abs(Math.sin(phase)),
+            leafFront: Math.cos(phase) > 0,
+            pale: e * 0.7
+        };
+        this.metamers.push(metamer);
+        let index = this.metamers.length - 1;
+        apex.metamer = index;
+        if (apex.order < AXIS_METAMERS.length - 1) this.buds.push({ metamer: index, order: apex.order + 1, side });
+    }
 
-    stroke(85, 139, 47); strokeCap(ROUND); strokeWeight(15); noFill();
-    beginShape(); vertex(0, 0); bezierVertex(0, -50, sway / 2, -100, sway, -150); endShape();
+    // Where each metamer is drawn (null if the plant is too small for it
+    // now). `bend(metamer)` adds degrees at each node, for wilting and sway.
+    place(plant, bend) {
+        let cost = plant.species.maxBiomass / METAMERS_AT_MATURITY;
+        let placed = [];
+        for (let m of this.metamers) {
+            let base = m.parent < 0 ? { x: 0, y: 0, offset: 0 } : placed[m.parent];
+            if (!base || m.born > plant.biomass) {
+                placed.push(null);
+                continue;
+            }
+            let expansion = Math.min(1, (plant.biomass - m.born) / (cost * EXPANSION_METAMERS) + 0.15);
+            let offset = base.offset + bend(m);
+            let heading = radians(m.angle + offset);
+            let len = m.len * expansion;
+            // Stems thicken as the plant above them grows
+            let thickening = (plant.biomass - m.born) / plant.species.maxBiomass * (m.order ? 3 : 8);
+            placed.push({
+                metamer: m,
+                x0: base.x,
+                y0: base.y,
+                x: base.x + Math.sin(heading) * len,
+                y: base.y - Math.cos(heading) * len,
+                angle: m.angle + offset,
+                offset,
+                expansion,
+                width: m.width * (0.5 + 0.5 * expansion) + thickening
+            });
+        }
+        return placed;
+    }
 
-    if (growth > 20) drawLeaf(0, -40, -45 + sway * 0.2, 1.0);
-    if (growth > 30) drawLeaf(0, -80, 45 + sway * 0.2, 1.2);
-    if (growth > 50) drawLeaf(sway / 2, -110, -30 + sway * 0.3, 1.4);
-    if (growth > 80) drawLeaf(sway, -150, 0 + sway * 0.5, 1.5);
+    toJSON() {
+        const r = (v) => Math.round(v * 100) / 100;
+        return {
+            rng: this.rng,
+            species: this.species,
+            mass: r(this.mass),
+            turn: this.turn,
+            died: this.died,
+            conditions: this.conditions,
+            apices: this.apices,
+            buds: this.buds,
+            metamers: this.metamers.map(m => [m.parent, m.order, r(m.born), r(m.len), r(m.width), r(m.angle),
+                m.leafSide, r(m.leafSize), r(m.leafTilt), r(m.leafView), m.leafFront ? 1 : 0, r(m.pale)])
+        };
+    }
+
+    // Returns null for saves from before shoots grew (the scene regrows them)
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.metamers)) return null;
+        const shoot = new ShootSystem(data.rng, { id: data.species });
+        Object.assign(shoot, {
+            mass: data.mass,
+            turn: data.turn,
+            died: data.died,
+            conditions: data.conditions,
+            apices: data.apices.map(a => Object.assign({}, a)),
+            buds: data.buds.map(b => Object.assign({}, b))
+        });
+        shoot.metamers = data.metamers.map(([parent, order, born, len, width, angle, leafSide, leafSize, leafTilt, leafView, leafFront, pale]) =>
+            ({ parent, order, born, len, width, angle, leafSide, leafSize, leafTilt, leafView, leafFront: leafFront === 1, pale }));
+        return shoot;
+    }
+}
+
+// --- Tree & Other Visuals ---
+function drawOrganicPlant(plant, growth) {
+    let shoot = shootsFor(plant);
+    shoot.grow(plant);
+
+    let dead = plant.plantStatus === 'dead';
+    let wilt = dead ? 1 : map(plant.health, 100, 0, 0, 1, true);
+    let swaying = !dead && !reducedMotion;
+    // Each node sags outwards as the plant runs out of carbon, and sways a
+    // little more than the one below it
+    let placed = shoot.place(plant, (m) => {
+        let sag = wilt * 5 * (m.angle < 0 ? -1 : 1);
+        let sway = swaying ? sin(frameCount * 0.02 + m.born * 0.05) * 0.6 * (1 - wilt) : 0;
+        return sag + sway;
+    });
+    let droop = (angle) => angle + (angle < 0 ? -1 : 1) * wilt * 70;
 
-    if (growth > 100) {
-        push(); translate(0, -60); rotate(PI / 4); strokeWeight(10); line(0, 0, 0, -40); translate(0, -40); drawLeaf(0, 0, 0, 1.0);
-        if (growth > 120) drawFlower(0, 0, growth); pop();
+    let visual = plant.species.visual;
+    let stemColor = lerpColor(color(...visual.stemColor), color(120, 90, 50), wilt);
+    let leafAt = (p) => {
+        let m = p.metamer;
+        drawLeaf(plant, p.x, p.y, droop(p.angle + m.leafSide * m.leafTilt), m.leafSize * p.expansion, m.pale, m.leafView);
+    };
 
-        push(); translate(0, -90); rotate(-PI / 3); strokeWeight(8); line(0, 0, 0, -30); translate(0, -30); drawLeaf(0, 0, 10, 0.9);
-        if (growth > 140) drawFlower(0, 0, growth); pop();
+    // Leaves on the far side of the stem first, then the stems, then the
+    // near leaves
+    for (let p of placed) if (p && !p.metamer.leafFront) leafAt(p);
+    strokeCap(ROUND); noFill();
+    for (let p of placed) {
+        if (!p) continue;
+        stroke(lerpColor(stemColor, color(225, 220, 150), p.metamer.pale * 0.6));
+        strokeWeight(p.width);
+        line(p.x0, p.y0, p.x, p.y);
+    }
+    for (let p of placed) if (p && p.metamer.leafFront) leafAt(p);
+
+    // Flowers open at the tip of every shoot
+    if (!dead && isFlowering(plant)) {
+        placed.forEach((p, i) => {
+            if (!p) return;
+            let continues = placed.some(q => q && q.metamer.parent === i && q.metamer.order === p.metamer.order);
+            if (!continues) drawFlower(plant, p.x, p.y, growth);
+        });
+    }
+}
 
-        if (growth > 160) { push(); translate(sway, -150); drawFlower(0, -10, growth); pop(); }
+// 0-1 strength of each nutrient symptom on a plant's leaves. Deficiency
+// shows once the supply it reaches drops below about 85% effect.
+function nutrientSymptoms(plant) {
+    const symptoms = { burn: 0 };
+    for (const nutrient of NUTRIENTS) {
+        const supply = state.soil[nutrient] * plant.rootShare;
+        symptoms[nutrient] = map(supply, NUTRIENT_SCALE * 2, NUTRIENT_SCALE / 4, 0, 1, true);
+        symptoms.burn = Math.max(symptoms.burn, fertilizerBurn(state.soil[nutrient]));
     }
+    return symptoms;
 }
 
-function drawLeaf(x, y, angleDeg, sizeScale) {
-    push(); translate(x, y); rotate(radians(angleDeg)); scale(sizeScale);
-    let c1 = color(100, 200, 100);
-    if (state.limitingFactor !== 'None' && state.growthRate < 50) c1 = color(200, 180, 50);
+// `pale` (0-1) is the yellowing of a leaf grown in the dark; `view`
+// shortens one seen end-on
+function drawLeaf(plant, x, y, angleDeg, sizeScale, pale = 0, view = 1) {
+    push(); translate(x, y); rotate(radians(angleDeg)); scale(sizeScale, sizeScale * view);
+    let visual = plant.species.visual;
+    let w = visual.leafWidth; let len = visual.leafLength;
+    let c1 = lerpColor(color(...visual.leafColor), color(225, 220, 150), pale);
+    // Nitrogen-starved leaves turn pale yellow, phosphorus-starved ones purple
+    let symptoms = nutrientSymptoms(plant);
+    c1 = lerpColor(c1, color(215, 205, 90), symptoms.n * 0.85);
+    c1 = lerpColor(c1, color(110, 60, 120), symptoms.p * 0.6);
+    // Wilting leaves brown off; a dead plant is fully brown
+    if (plant.plantStatus === 'dead') c1 = color(130, 95, 55);
+    else if (plant.plantStatus === 'wilting') c1 = lerpColor(c1, color(150, 110, 60), map(plant.health, 60, 0, 0.2, 0.9, true));
+    // Leaves in a neighbour's shade look darker
+    c1 = lerpColor(c1, color(20, 50, 25), (1 - plant.lightShare) * 0.5);
     noStroke(); fill(c1);
-    beginShape(); vertex(0, 0); bezierVertex(15, -10, 15, -40, 0, -60); bezierVertex(-15, -40, -15, -10, 0, 0); endShape();
-    stroke(0, 50, 0, 50); strokeWeight(1); line(0, 0, 0, -55);
+    beginShape(); vertex(0, 0); bezierVertex(w, -len / 6, w, -len * 2 / 3, 0, -len); bezierVertex(-w, -len * 2 / 3, -w, -len / 6, 0, 0); endShape();
+    stroke(0, 50, 0, 50); strokeWeight(1); line(0, 0, 0, -len * 0.92);
+    // Potassium shortage scorches the margins; too much fertilizer burns the tips
+    if (symptoms.k > 0) {
+        noFill(); stroke(140, 90, 40, symptoms.k * 255); strokeWeight(3);
+        beginShape(); vertex(0, 0); bezierVertex(w, -len / 6, w, -len * 2 / 3, 0, -len); bezierVertex(-w, -len * 2 / 3, -w, -len / 6, 0, 0); endShape();
+    }
+    if (symptoms.burn > 0) {
+        noStroke(); fill(120, 80, 40, 80 + symptoms.burn * 175);
+        ellipse(0, -len * 0.88, w * 0.5, len * 0.25 * (0.5 + symptoms.burn));
+    }
+    // Cactus pads carry little spine tufts instead of veins
+    if (visual.spines) {
+        stroke(250, 245, 220); strokeWeight(1.5);
+        for (let i = 1; i < 5; i++) { let sy = -len * i / 5; let sx = w * 0.45; line(sx, sy, sx + 4, sy - 3); line(-sx, sy, -sx - 4, sy - 3); }
+    }
     pop();
 }
 
-function drawFlower(x, y, growth) {
+function drawFlower(plant, x, y, growth) {
     let bloomSize = map(growth, 120, 200, 0, 1, true);
     if (bloomSize <= 0) return;
     push(); translate(x, y); scale(bloomSize);
-    fill(255, 105, 180); noStroke();
+    fill(...plant.species.visual.flowerColor); noStroke();
     for (let i = 0; i < 6; i++) { rotate(PI / 3); ellipse(0, -10, 10, 20); }
     fill(255, 215, 0); circle(0, 0, 10); pop();
 }
 
+// Green, browning as the temperature strays from the grass's comfort zone
+function grassShade(temp) {
+    let hc = { r: 88, g: 180, b: 71 }; let dc = { r: 210, g: 180, b: 60 };
+    let amt = map(Math.abs(temp - GRASS_OPTIMAL_TEMP), 10, 25, 0, 1, true);
+    return [Math.round(lerp(hc.r, dc.r, amt)), Math.round(lerp(hc.g, dc.g, amt)), Math.round(lerp(hc.b, dc.b, amt))];
+}
+
 class GrassBlade {
     constructor(x) { this.x = x; this.h = random(15, 30); this.angleOffset = random(0, 100); }
-    display() {
-        let tempDiff = Math.abs(state.temp - OPTIMAL_TEMP);
-        let r, g, b;
-        let hc = { r: 88, g: 180, b: 71 }; let dc = { r: 210, g: 180, b: 60 };
-        if (tempDiff < 10) { fill(hc.r, hc.g, hc.b); } else {
-            let amt = map(tempDiff, 10, 25, 0, 1, true);
-            r = lerp(hc.r, dc.r, amt); g = lerp(hc.g, dc.g, amt); b = lerp(hc.b, dc.b, amt);
-            fill(r, g, b);
-        }
-        noStroke();
-        let tipX = this.x + sin(frameCount * 0.05 + this.angleOffset) * 5;
-        let baseY = height - 120;
-        beginShape(); vertex(this.x - 2, baseY); vertex(this.x + 2, baseY); vertex(tipX, baseY - this.h); endShape();
+    toJSON() { return [Math.round(this.x * 10) / 10, Math.round(this.h * 10) / 10, Math.round(this.angleOffset * 10) / 10]; }
+    static fromJSON(data) { const blade = new GrassBlade(data[0]); blade.h = data[1]; blade.angleOffset = data[2]; return blade; }
+    // Onto `g` (the sketch itself, or the grass layer) with its base at `baseY`
+    display(g, baseY, sway, temp = state.temp) {
+        g.fill(...grassShade(temp));
+        g.noStroke();
+        let tipX = this.x + sway;
+        g.beginShape(); g.vertex(this.x - 2, baseY); g.vertex(this.x + 2, baseY); g.vertex(tipX, baseY - this.h); g.endShape();
     }
 }
 
@@ -586,9 +1603,9 @@ class Bubble {
 
 class WaterParticle {
     constructor() { this.reset(); }
-    reset() { this.x = random(width / 2 - 60, width / 2 + 60); this.y = random(height - 20, height - 120); this.speed = random(0.5, 1.5); this.active = true; }
+    reset() { let cx = plantScreenX(simulation.plant); this.x = random(cx - 60, cx + 60); this.y = random(height - 20, height - 120); this.speed = random(0.5, 1.5); this.active = true; }
     update() {
-        let targetX = width / 2; let targetY = height - 120;
+        let targetX = plantScreenX(simulation.plant); let targetY = height - 120;
         let dx = targetX - this.x; let dy = targetY - this.y;
         let dist = sqrt(dx * dx + dy * dy);
         this.x += (dx / dist) * this.speed; this.y += (dy / dist) * this.speed;
@@ -617,5 +1634,12 @@ class Particle {
 class Cloud {
     constructor() { this.x = random(width); this.y = random(height * 0.1, height * 0.3); this.speed = random(0.2, 0.5); }
     update() { this.x += this.speed; if (this.x > width + 100) this.x = -100; }
-    display() { fill(255, 255, 255, 200); noStroke(); circle(this.x, this.y, 60); circle(this.x + 40, this.y + 10, 70); circle(this.x - 30, this.y + 15, 50); }
+    display(shade = 255) { fill(shade, shade, shade, 200); noStroke(); circle(this.x, this.y, 60); circle(this.x + 40, this.y + 10, 70); circle(this.x - 30, this.y + 15, 50); }
+}
+
+class RainDrop {
+    constructor() { this.reset(); this.y = random(height); }
+    reset() { this.x = random(width); this.y = random(-100, 0); this.speed = random(12, 18); this.len = random(10, 20); }
+    update() { this.y += this.speed; this.x -= this.speed * 0.1; if (this.y > height - 120) this.reset(); }
+    display() { stroke(180, 200, 230, 160); strokeWeight(1.5); line(this.x, this.y, this.x + this.len * 0.1, this.y - this.len); noStroke(); }
 }
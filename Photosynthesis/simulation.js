@@ -0,0 +1,1260 @@
+// --- Simulation Engine ---
+// The photosynthesis model on its own: no DOM, no p5 globals. The browser
+// sketch drives it one frame at a time; Node scripts can require() it and
+// step through as many simulated days as they like.
+
+// --- Constants ---
+const DEFAULT_TIME_STEP = 0.02; // Hours per model step (one frame at 1× speed and 60 fps)
+const SATURATION_RATE = 95;     // At or above this no factor counts as limiting
+
+// Default location: mid-latitudes in mid-May (~14 h days, ~20°C)
+const DEFAULT_LATITUDE = 35;
+const DEFAULT_START_DAY = 135;
+
+// Full range of each input factor
+const FACTOR_RANGES = {
+    light: [0, 100],
+    co2: [0, 100],
+    temp: [0, 50],
+    water: [0, 100]
+};
+
+// Soil water (% of field capacity)
+const WATERING_AMOUNT = 30;     // Added by one watering
+const BASE_EVAPORATION = 0.2;   // %/hour lost from the soil surface at 0°C
+const EVAPORATION_PER_DEGREE = 0.03;
+
+// Soil nutrients (% of a good supply; more than 100 is more than a plant
+// can use). Growth takes them out in proportion to the tissue it builds.
+const NUTRIENTS = ['n', 'p', 'k'];
+const NUTRIENT_SCALE = 20;           // Supply giving 63% effect; 70+ hardly limits
+const NUTRIENT_DEMAND = { n: 0.12, p: 0.04, k: 0.08 }; // Taken up per unit of biomass grown
+const SOIL_FERTILITY = 40;           // Organic matter tops nutrients back up to this...
+const MINERALIZATION_PER_HOUR = 0.05; // ...slowly
+const NITRATE_LEACHING = 0.002;      // Share of N washed out per hour per %/h of rain
+const NUTRIENT_EXCESS = 150;         // Salts start to burn the roots above this...
+const NUTRIENT_BURN_RANGE = 100;     // ...and stop growth this far above it
+const MAX_NUTRIENT = 250;
+const FERTILIZER_BURN_PER_HOUR = 4;  // Health lost at full burn
+
+// One application of each fertilizer
+const FERTILIZERS = {
+    balanced: { name: 'Balanced (NPK)', dose: { n: 30, p: 30, k: 30 } },
+    nitrogen: { name: 'Nitrogen (N)', dose: { n: 40, p: 0, k: 0 } },
+    phosphorus: { name: 'Phosphate (P)', dose: { n: 0, p: 40, k: 0 } },
+    potassium: { name: 'Potash (K)', dose: { n: 0, p: 0, k: 40 } }
+};
+
+// Closed chamber (bell jar). Sealed in, the plants change their own air:
+// photosynthesis takes CO₂ out and puts as much O₂ back, respiration does
+// the reverse. CO₂ stays on the model's 0-100 scale (40 ≈ 400 ppm); O₂ is
+// % of the air.
+const AMBIENT_O2 = 20.9;
+const CHAMBER_VOLUMES = [25, 100, 500, 5000]; // Litres, bell jar to small greenhouse
+const DEFAULT_CHAMBER_VOLUME = 100;
+const CO2_PER_BIOMASS = 1200; // CO₂ units × litres exchanged per unit of biomass
+const O2_PER_CO2 = 0.001;     // O₂ % per CO₂ unit (10 ppm = 0.001%)
+const CO2_INJECTION = 20;     // One injection (≈ 200 ppm)
+
+// Light quality. Spectra give the relative power in each 25 nm band across
+// the visible range. Chlorophyll absorbs blue and red and reflects most of
+// the green, which is why leaves look green; the action spectrum is how well
+// each band drives photosynthesis. The light slider sets how much light
+// arrives and the source sets its colour, with sunlight as the yardstick.
+const WAVELENGTHS = [400, 425, 450, 475, 500, 525, 550, 575, 600, 625, 650, 675, 700]; // nm
+const CHLOROPHYLL_ABSORPTION = [0.55, 0.85, 0.9, 0.6, 0.2, 0.08, 0.06, 0.08, 0.15, 0.25, 0.55, 0.8, 0.15];
+const ACTION_SPECTRUM = [0.75, 0.8, 0.8, 0.79, 0.68, 0.54, 0.52, 0.66, 0.82, 0.84, 0.84, 0.83, 0.74];
+const SUNLIGHT_SPECTRUM = [0.78, 0.86, 0.96, 1, 1, 0.98, 0.97, 0.95, 0.93, 0.91, 0.88, 0.86, 0.83];
+const GREEN_FILTER = [0.02, 0.03, 0.05, 0.2, 0.6, 0.95, 1, 0.7, 0.2, 0.05, 0.02, 0.02, 0.03]; // Share let through
+// The three LEDs a custom mix blends
+const LED_SPECTRA = {
+    red: [0, 0, 0, 0, 0, 0, 0, 0, 0.05, 0.3, 1, 0.45, 0.05],
+    green: [0, 0, 0, 0.05, 0.35, 1, 0.6, 0.1, 0, 0, 0, 0, 0],
+    blue: [0.1, 0.55, 1, 0.45, 0.08, 0, 0, 0, 0, 0, 0, 0, 0]
+};
+const LIGHT_SOURCES = {
+    sunlight: { name: 'Sunlight', spectrum: SUNLIGHT_SPECTRUM },
+    red: { name: 'Red LED', spectrum: LED_SPECTRA.red },
+    blue: { name: 'Blue LED', spectrum: LED_SPECTRA.blue },
+    green: { name: 'Green Filter', spectrum: SUNLIGHT_SPECTRUM.map((power, i) => power * GREEN_FILTER[i]) },
+    custom: { name: 'Custom Mix', spectrum: null } // Built from the source's { red, green, blue } mix
+};
+
+// Respiration & plant health
+const RESPIRATION_Q10 = 2;        // Respiration doubles every 10°C
+const BALANCE_WINDOW = 24;        // Hours the net balance is averaged over
+const HEALTH_LOSS_PER_HOUR = 2;   // While the averaged balance is negative
+const HEALTH_GAIN_PER_HOUR = 1;
+const WILTING_HEALTH = 60;        // Below this the plant droops
+const MIN_BIOMASS = 5;            // Starved below this
+const FLOWERING_SHARE = 0.6;      // Flowers open at this share of maxBiomass
+
+// Root:shoot allocation. New carbon is split to hold the species' ratio,
+// shifted towards the roots under water or nutrient stress and towards the
+// shoot in shade.
+const ROOT_ALLOCATION_DROUGHT = 0.4;
+const ROOT_ALLOCATION_SHADE = 0.1;
+const ROOT_ALLOCATION_HUNGER = 0.2; // Poor soil: more roots to forage with
+const MIN_ROOT_ALLOCATION = 0.05;
+const MAX_ROOT_ALLOCATION = 0.8;
+
+// Planting bed: positions are cm either side of the centre of the scene,
+// sizes match how the plants are drawn at full scale
+const BED_HALF_WIDTH = 300;
+const MAX_PLANTS = 6;
+const PLANT_HEIGHT = 150;   // Stem height at scale 1
+const CANOPY_RADIUS = 60;   // Half-width of the leaves at scale 1
+const ROOT_RADIUS = 120;    // Reach of a full root system
+const MAX_SHADE = 0.7;      // Light blocked by a canopy directly overhead
+
+// Per-plant fields; the selected plant's are mirrored onto the top-level
+// state for the HUD, charts and recorder
+const PLANT_FIELDS = ['species', 'biomass', 'rootBiomass', 'rootAllocation', 'uptake', 'growthRate',
+    'limitingFactor', 'effects', 'grossRate', 'respiration', 'netRate', 'netAverage', 'health', 'plantStatus'];
+
+// --- Weather ---
+// Each type sets a target cloud cover (0-1), rainfall (soil moisture
+// %/hour) and temperature offset (°C). The live values ease towards the
+// target, so a storm rolls in over an hour or so rather than switching on.
+const WEATHER_TYPES = {
+    clear: { name: 'Clear', icon: '☀️', cloudCover: 0.05, rain: 0, tempShift: 0, hours: [6, 18] },
+    passing: { name: 'Passing Clouds', icon: '⛅', cloudCover: 0.45, rain: 0, tempShift: -1, hours: [4, 12] },
+    overcast: { name: 'Overcast', icon: '☁️', cloudCover: 0.85, rain: 0, tempShift: -2, hours: [4, 16] },
+    rain: { name: 'Rain', icon: '🌧️', cloudCover: 0.95, rain: 3, tempShift: -5, hours: [2, 8] },
+    heatwave: { name: 'Heatwave', icon: '🔥', cloudCover: 0, rain: 0, tempShift: 9, hours: [24, 72] },
+    coldsnap: { name: 'Cold Snap', icon: '❄️', cloudCover: 0.2, rain: 0, tempShift: -10, hours: [24, 72] }
+};
+
+const CLOUD_LIGHT_LOSS = 0.75;      // Share of sunlight a full overcast blocks
+const WEATHER_EASE_PER_HOUR = 2;    // How quickly live values chase the target
+const PASSING_CLOUD_PERIOD = 1.5;   // Hours between gaps in passing cloud
+const FORECAST_LENGTH = 3;          // Upcoming events kept in the forecast
+const PUDDLE_DRYING_PER_HOUR = 0.15;
+
+// --- Species Profiles ---
+// Everything that differs between plants lives here. Wheat keeps the
+// original single-plant numbers. Custom profiles (JSON) only need the
+// fields they change; the rest fall back to wheat.
+const DEFAULT_SPECIES = 'wheat';
+
+const SPECIES_PROFILES = {
+    wheat: {
+        id: 'wheat',
+        name: 'Wheat',
+        pathway: 'C3',
+        description: 'Temperate C3 crop. Photorespiration makes it hungry for CO₂ and unhappy in the heat.',
+        optimalTemp: 25,       // °C
+        tempTolerance: 10,     // Spread of the temperature bell curve (°C)
+        lightHalfSat: 20,      // Light level giving 50% effect
+        co2HalfSat: 20,        // CO₂ level giving 50% effect
+        photoinhibition: null, // { start, loss }: bright light above `start` costs up to `loss` of the effect
+        wiltingPoint: 10,      // Soil moisture below which roots get nothing
+        waterUse: 1.0,         // %/hour drawn by a full root system at 100% rate
+        rootShootRatio: 0.3,   // Root biomass needed per unit of shoot to keep up with its water demand
+        growthPerHour: 0.025,  // Biomass gained per hour at 100% rate
+        respiration: 0.0015,   // Biomass burned per unit biomass per hour at 20°C
+        maxBiomass: 200,
+        visual: {
+            stemColor: [85, 139, 47],
+            leafColor: [100, 200, 100],
+            flowerColor: [255, 105, 180],
+            leafWidth: 15,
+            leafLength: 60,
+            spines: false,
+            phyllotaxis: 180,  // Degrees round the stem from one leaf to the next
+            branching: 0.35    // Chance a bud breaks into a branch at each step, in good conditions
+        }
+    },
+    maize: {
+        id: 'maize',
+        name: 'Maize',
+        pathway: 'C4',
+        description: 'Tropical C4 grass. Concentrates CO₂ around Rubisco, so it copes with heat, bright sun and low CO₂.',
+        optimalTemp: 33,
+        tempTolerance: 9,
+        lightHalfSat: 35,
+        co2HalfSat: 6,
+        wiltingPoint: 8,
+        waterUse: 0.7,
+        rootShootRatio: 0.25,
+        growthPerHour: 0.03,
+        respiration: 0.0015,
+        maxBiomass: 260,
+        visual: {
+            stemColor: [110, 150, 60],
+            leafColor: [70, 170, 80],
+            flowerColor: [235, 200, 90],
+            leafWidth: 8,
+            leafLength: 90,
+            spines: false,
+            phyllotaxis: 180,
+            branching: 0.05
+        }
+    },
+    cactus: {
+        id: 'cactus',
+        name: 'Cactus',
+        pathway: 'CAM',
+        description: 'Desert CAM plant. Opens its stomata at night to save water: very drought tolerant, but slow growing.',
+        optimalTemp: 32,
+        tempTolerance: 13,
+        lightHalfSat: 30,
+        co2HalfSat: 15,
+        wiltingPoint: 2,
+        waterUse: 0.15,
+        rootShootRatio: 0.5,
+        growthPerHour: 0.01,
+        respiration: 0.0006,
+        maxBiomass: 120,
+        visual: {
+            stemColor: [60, 120, 70],
+            leafColor: [80, 150, 90],
+            flowerColor: [250, 80, 60],
+            leafWidth: 22,
+            leafLength: 45,
+            spines: true,
+            phyllotaxis: 137.5,
+            branching: 0.15
+        }
+    },
+    fern: {
+        id: 'fern',
+        name: 'Forest Fern',
+        pathway: 'C3 shade',
+        description: 'Shade plant from the forest floor. Saturates in dim light, and full sun damages its photosystems.',
+        optimalTemp: 20,
+        tempTolerance: 7,
+        lightHalfSat: 5,
+        co2HalfSat: 20,
+        photoinhibition: { start: 50, loss: 0.4 },
+        wiltingPoint: 20,
+        waterUse: 1.2,
+        rootShootRatio: 0.35,
+        growthPerHour: 0.02,
+        respiration: 0.0012,
+        maxBiomass: 150,
+        visual: {
+            stemColor: [70, 110, 50],
+            leafColor: [40, 140, 70],
+            flowerColor: [120, 160, 90],
+            leafWidth: 24,
+            leafLength: 55,
+            spines: false,
+            phyllotaxis: 137.5,
+            branching: 0.25
+        }
+    }
+};
+
+// Fill in a (possibly partial) profile from the wheat defaults and check
+// the numbers, so a typo in a custom JSON file fails loudly.
+function normalizeSpecies(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error('Species profile must be a JSON object');
+    }
+    if (!profile.name) throw new Error('Species profile needs a "name"');
+
+    const base = SPECIES_PROFILES[DEFAULT_SPECIES];
+    const species = Object.assign({}, base, { photoinhibition: null }, profile);
+    species.id = String(profile.id || profile.name).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    species.visual = Object.assign({}, base.visual, profile.visual);
+
+    const numbers = ['optimalTemp', 'tempTolerance', 'lightHalfSat', 'co2HalfSat', 'wiltingPoint',
+        'waterUse', 'rootShootRatio', 'growthPerHour', 'respiration', 'maxBiomass'];
+    for (const key of numbers) {
+        if (typeof species[key] !== 'number' || !isFinite(species[key]) || species[key] < 0) {
+            throw new Error(`Species "${species.name}": "${key}" must be a non-negative number`);
+        }
+    }
+    if (species.tempTolerance === 0 || species.maxBiomass === 0 || species.rootShootRatio === 0) {
+        throw new Error(`Species "${species.name}": "tempTolerance", "rootShootRatio" and "maxBiomass" must be above zero`);
+    }
+    return species;
+}
+
+function getSpecies(id) {
+    return SPECIES_PROFILES[id] || SPECIES_PROFILES[DEFAULT_SPECIES];
+}
+
+function mapRange(value, start1, stop1, start2, stop2) {
+    return start2 + (value - start1) * (stop2 - start2) / (stop1 - start1);
+}
+
+// Seeds are unsigned 32-bit integers. Anything else typed into the seed
+// box (e.g. "class-7b") is hashed so it still gives a stable seed.
+function parseSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let hash = 2166136261; // FNV-1a
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+// One step of the mulberry32 generator: [0-1 value, next state]. The state
+// is a plain number, so random streams can live in saved state.
+function mulberry32(seedState) {
+    const next = (seedState + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(next ^ (next >>> 15), next | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return [((t ^ (t >>> 14)) >>> 0) / 4294967296, next];
+}
+
+function createDaySummary(day) {
+    return {
+        day,
+        gross: 0,        // Biomass produced
+        respiration: 0,  // Biomass burned
+        limitedHours: { light: 0, co2: 0, temp: 0, water: 0, nutrients: 0, none: 0 }
+    };
+}
+
+function createPlant(overrides = {}) {
+    const plant = Object.assign({
+        id: 1,
+        x: 0,              // cm from the centre of the bed
+        species: getSpecies(DEFAULT_SPECIES),
+        biomass: 15,       // Shoot
+        rootBiomass: null, // Starts in balance with the shoot when null
+        rootAllocation: 0, // Share of new carbon going to the roots
+        uptake: 100,       // Share of the shoot's water demand the roots can meet
+        growthRate: 0,
+        limitingFactor: 'None',
+        effects: { light: 0, co2: 0, temp: 0, water: 0, nutrients: 0 },
+        grossRate: 0,
+        respiration: 0,
+        netRate: 0,
+        netAverage: 0,
+        health: 100,
+        plantStatus: 'healthy',
+        lightShare: 1,     // Sunlight left after neighbours' shade
+        rootShare: 1       // Soil water left after neighbours' roots
+    }, overrides);
+
+    // Profiles saved before roots were modelled lack the newer fields
+    if (plant.species.rootShootRatio === undefined) plant.species = normalizeSpecies(plant.species);
+    if (plant.rootBiomass === null || plant.rootBiomass === undefined) {
+        plant.rootBiomass = plant.biomass * plant.species.rootShootRatio;
+    }
+    return plant;
+}
+
+// Older saves and callers set up a single plant through the top-level
+// fields; those seed the first plant when no `plants` are given.
+function createInitialState(overrides = {}) {
+    const state = Object.assign({
+        // Randomness (mulberry32 stream, kept in state so saves resume exactly)
+        seed: 1,
+        rngState: null, // Derived from seed when null
+
+        // Environment
+        time: 12.0,     // 0-24 Hours (Float)
+        day: 1,         // Day Counter
+        elapsed: 0,     // Model hours stepped, paused or not
+        latitude: DEFAULT_LATITUDE,         // Degrees, negative = southern hemisphere
+        startDayOfYear: DEFAULT_START_DAY,  // Calendar date of simulation day 1
+        autoPlay: true, // Cycle runs automatically
+
+        // Factors (Driven by time or user)
+        light: 100,     // 0-100 (Derived)
+        co2: 40,        // 0-100 (Manual)
+        temp: 25,       // 0-50 (Derived/Manual)
+        water: 60,      // 0-100 Soil moisture (Dynamic/Manual)
+        soil: { n: 70, p: 80, k: 80 }, // Nutrients, shared by the bed (see NUTRIENTS)
+        lightSource: {
+            type: 'sunlight',                   // A LIGHT_SOURCES id
+            mix: { red: 1, green: 0, blue: 1 }  // LED levels (0-1) for 'custom'
+        },
+        chamber: {
+            sealed: false,                  // Open air: CO₂ is whatever it's set to
+            volume: DEFAULT_CHAMBER_VOLUME, // Litres of air around the bed
+            o2: AMBIENT_O2                  // % of the air
+        },
+
+        // Weather
+        weather: {
+            mode: 'auto',     // 'auto' follows the forecast; a type id holds that weather
+            type: 'clear',
+            duration: 12,     // Hours the current event lasts
+            hoursLeft: 12,
+            forecast: [],     // [{ type, hours }], next event first
+            cloudCover: WEATHER_TYPES.clear.cloudCover,
+            rain: 0,          // Moisture %/hour currently falling
+            tempShift: 0,
+            wetness: 0        // 0-1 standing water on the surface (drawing only)
+        },
+
+        // Plant
+        species: getSpecies(DEFAULT_SPECIES), // Full profile, so custom species survive saves
+        growthRate: 0,  // 0-100%
+        biomass: 15,    // Starting size (shoot)
+        rootBiomass: null,
+        rootAllocation: 0,
+        uptake: 100,
+        limitingFactor: 'None',
+        effects: { light: 0, co2: 0, temp: 0, water: 0, nutrients: 0 },
+
+        // Carbon balance (biomass / hour)
+        grossRate: 0,     // Photosynthesis
+        respiration: 0,   // Runs day and night
+        netRate: 0,       // gross - respiration
+        netAverage: 0,    // Smoothed over BALANCE_WINDOW
+        health: 100,      // 0-100
+        plantStatus: 'healthy', // 'healthy' | 'wilting' | 'dead'
+
+        // Planting bed
+        plants: null,         // Built from the fields above when null
+        selectedPlant: 1,     // id of the plant shown in the HUD
+        nextPlantId: 2,
+
+        // Per-day summaries (selected plant)
+        today: createDaySummary(1),
+        dayHistory: []    // Completed days, oldest first
+    }, overrides);
+
+    if (!Array.isArray(state.plants) || !state.plants.length) {
+        const fields = { id: 1 };
+        for (const key of PLANT_FIELDS) fields[key] = state[key];
+        state.plants = [fields];
+        state.selectedPlant = 1;
+        state.nextPlantId = 2;
+    }
+    state.plants = state.plants.map(plant => createPlant(plant));
+    return state;
+}
+
+// Saves and scenario files can be edited by hand; throws before a bad one
+// reaches the model. Missing fields are fine (they take their defaults).
+const SAVED_NUMBERS = ['time', 'day', 'elapsed', 'latitude', 'startDayOfYear', 'light', 'co2', 'temp', 'water'];
+const SAVED_WEATHER_NUMBERS = ['duration', 'hoursLeft', 'cloudCover', 'rain', 'tempShift', 'wetness'];
+const SAVED_PLANT_NUMBERS = ['x', 'biomass', 'health', 'netAverage'];
+
+function checkSavedState(data) {
+    const isObject = value => typeof value === 'object' && value !== null;
+    const checkNumbers = (object, keys, where) => {
+        for (const key of keys) {
+            const value = object[key];
+            if (value !== undefined && !(typeof value === 'number' && isFinite(value))) {
+                throw new Error(`"${where}${key}" must be a number`);
+            }
+        }
+    };
+    const checkObject = (value, where) => {
+        if (value !== undefined && !isObject(value)) throw new Error(`"${where}" must be an object`);
+        return isObject(value);
+    };
+
+    if (!isObject(data)) throw new Error('The saved state must be an object');
+    checkNumbers(data, SAVED_NUMBERS, '');
+    if (checkObject(data.soil, 'soil')) checkNumbers(data.soil, NUTRIENTS, 'soil.');
+
+    if (checkObject(data.lightSource, 'lightSource')) {
+        if (!Object.keys(LIGHT_SOURCES).includes(data.lightSource.type)) {
+            throw new Error(`Unknown light source "${data.lightSource.type}"`);
+        }
+        if (!isObject(data.lightSource.mix)) throw new Error('"lightSource.mix" must be an object');
+        checkNumbers(data.lightSource.mix, Object.keys(LED_SPECTRA), 'lightSource.mix.');
+    }
+
+    if (checkObject(data.weather, 'weather')) {
+        const types = Object.keys(WEATHER_TYPES);
+        const weather = data.weather;
+        if (!types.includes(weather.type)) throw new Error(`Unknown weather "${weather.type}"`);
+        if (weather.mode !== undefined && weather.mode !== 'auto' && !types.includes(weather.mode)) throw new Error(`Unknown weather "${weather.mode}"`);
+        checkNumbers(weather, SAVED_WEATHER_NUMBERS, 'weather.');
+        if (weather.forecast !== undefined && !Array.isArray(weather.forecast)) throw new Error('"weather.forecast" must be a list');
+        (weather.forecast || []).forEach((event, i) => {
+            if (!isObject(event) || !types.includes(event.type)) throw new Error(`Unknown weather in forecast entry ${i + 1}`);
+            checkNumbers(event, ['hours'], `weather.forecast[${i}].`);
+        });
+    }
+
+    const chamber = data.chamber;
+    if (chamber !== undefined && !(isObject(chamber) && typeof chamber.volume === 'number' && isFinite(chamber.volume) && chamber.volume > 0)) {
+        throw new Error('Chamber volume must be a number of litres above zero');
+    }
+    if (chamber) checkNumbers(chamber, ['o2'], 'chamber.');
+
+    if (data.species !== undefined) normalizeSpecies(data.species);
+    if (data.plants !== undefined && data.plants !== null) {
+        if (!Array.isArray(data.plants)) throw new Error('"plants" must be a list');
+        data.plants.forEach((plant, i) => {
+            if (!isObject(plant)) throw new Error(`Plant ${i + 1} must be an object`);
+            checkNumbers(plant, SAVED_PLANT_NUMBERS, `plants[${i}].`);
+            if (plant.rootBiomass !== null) checkNumbers(plant, ['rootBiomass'], `plants[${i}].`);
+            if (plant.species !== undefined) normalizeSpecies(plant.species);
+        });
+    }
+}
+
+// --- Calendar & Sun ---
+const DAYS_PER_YEAR = 365;
+const AXIAL_TILT = 23.44;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MONTH_STARTS = [1, 32, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335]; // Day of year
+
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+// Day of year (1-365) for simulation day `day`
+function dayOfYear(day, startDayOfYear) {
+    return ((startDayOfYear - 1 + day - 1) % DAYS_PER_YEAR + DAYS_PER_YEAR) % DAYS_PER_YEAR + 1;
+}
+
+function formatDate(doy) {
+    let month = MONTH_STARTS.length - 1;
+    while (MONTH_STARTS[month] > doy) month--;
+    return `${doy - MONTH_STARTS[month] + 1} ${MONTHS[month]}`;
+}
+
+// Astronomical seasons, flipped for the southern hemisphere
+function seasonName(doy, latitude) {
+    const northern = doy < 79 ? 'Winter' : doy < 172 ? 'Spring' : doy < 265 ? 'Summer' : doy < 355 ? 'Autumn' : 'Winter';
+    if (latitude >= 0) return northern;
+    return { Winter: 'Summer', Spring: 'Autumn', Summer: 'Winter', Autumn: 'Spring' }[northern];
+}
+
+// Where the sun is on a given day at a given latitude. Times are local
+// solar time (noon = 12:00); elevation in degrees.
+function sunInfo(doy, latitude) {
+    const declination = AXIAL_TILT * Math.sin(2 * Math.PI * (284 + doy) / DAYS_PER_YEAR);
+    const phi = toRadians(latitude);
+    const delta = toRadians(declination);
+
+    // Hour angle of sunset; clamped for polar day / polar night
+    const cosOmega = Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta)));
+    const halfDay = toDegrees(Math.acos(cosOmega)) / 15;
+
+    return {
+        declination,
+        sunrise: 12 - halfDay,
+        sunset: 12 + halfDay,
+        dayLength: 2 * halfDay,
+        noonElevation: Math.max(0, 90 - Math.abs(latitude - declination))
+    };
+}
+
+function sunElevation(time, doy, latitude) {
+    const phi = toRadians(latitude);
+    const delta = toRadians(AXIAL_TILT * Math.sin(2 * Math.PI * (284 + doy) / DAYS_PER_YEAR));
+    const hourAngle = toRadians(15 * (time - 12));
+    const sinH = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle);
+    return toDegrees(Math.asin(Math.max(-1, Math.min(1, sinH))));
+}
+
+// Daily mean and half-range of temperature. Warmer towards the equator,
+// bigger seasonal swings towards the poles, the warmest part of the year
+// lagging the solstice by about a month. Sunnier days swing further.
+function dailyClimate(doy, latitude) {
+    const absLat = Math.abs(latitude);
+    const seasonal = Math.sin(2 * Math.PI * (doy - 105) / DAYS_PER_YEAR) * (latitude >= 0 ? 1 : -1);
+    const sun = sunInfo(doy, latitude);
+    return {
+        meanTemp: 27 - 0.3 * absLat + 0.2 * absLat * seasonal,
+        tempRange: 3 + 4 * Math.sin(toRadians(sun.noonElevation))
+    };
+}
+
+// Default environment: light from the real sun elevation for the state's
+// latitude and date, temperature following the daily climate and peaking
+// mid-afternoon. Any function with this signature can be passed to the
+// engine as `environment` to script other conditions.
+function dayCycle(time, day, location = {}) {
+    const latitude = location.latitude !== undefined ? location.latitude : DEFAULT_LATITUDE;
+    const doy = dayOfYear(day, location.startDayOfYear !== undefined ? location.startDayOfYear : DEFAULT_START_DAY);
+
+    const light = 100 * Math.max(0, Math.sin(toRadians(sunElevation(time, doy, latitude))));
+
+    // Shift peak to 14:00 (approx)
+    const climate = dailyClimate(doy, latitude);
+    const dailyVar = Math.sin(mapRange(time - 8, 0, 24, 0, Math.PI * 2)) * climate.tempRange;
+
+    return {
+        light,
+        temp: climate.meanTemp + dailyVar
+    };
+}
+
+function isFlowering(plant) {
+    return plant.plantStatus !== 'dead' && plant.biomass >= plant.species.maxBiomass * FLOWERING_SHARE;
+}
+
+// Size of a plant on screen and in the soil (cm)
+function plantGeometry(plant) {
+    const scale = 0.2 + 1.3 * Math.min(plant.biomass / plant.species.maxBiomass, 1);
+    return {
+        height: PLANT_HEIGHT * scale,
+        canopy: CANOPY_RADIUS * scale,
+        roots: ROOT_RADIUS * rootCapacity(plant.rootBiomass, plant.species)
+    };
+}
+
+// Length of the overlap between two zones centred on a and b
+function zoneOverlap(a, radiusA, b, radiusB) {
+    return Math.max(0, Math.min(a + radiusA, b + radiusB) - Math.max(a - radiusA, b - radiusB));
+}
+
+// Competition between neighbours. A taller canopy shades whatever part of
+// a shorter one lies under it; where root zones overlap, the soil water is
+// split in proportion to each plant's roots. Returns [{ light, water }]
+// shares (0-1) in the same order as `plants`.
+function competition(plants) {
+    const geometry = plants.map(plantGeometry);
+    return plants.map((plant, i) => {
+        const own = geometry[i];
+        let light = 1;
+        let water = 1;
+        plants.forEach((other, j) => {
+            if (j === i) return;
+            const theirs = geometry[j];
+            if (theirs.height > own.height) {
+                const covered = zoneOverlap(plant.x, own.canopy, other.x, theirs.canopy) / (2 * own.canopy);
+                light *= 1 - MAX_SHADE * covered;
+            }
+            if (other.plantStatus !== 'dead') {
+                const shared = zoneOverlap(plant.x, own.roots, other.x, theirs.roots) / (2 * own.roots);
+                water -= shared * theirs.roots / (own.roots + theirs.roots);
+            }
+        });
+        return { light, water: Math.max(0, water) };
+    });
+}
+
+// Sunlight left after passing through the cloud layer
+function cloudAttenuation(cloudCover) {
+    return 1 - CLOUD_LIGHT_LOSS * cloudCover;
+}
+
+// Relative odds of each weather type: heatwaves belong to summer and cold
+// snaps to winter, whichever hemisphere the plant is in.
+function weatherOdds(doy, latitude) {
+    const summer = Math.sin(2 * Math.PI * (doy - 105) / DAYS_PER_YEAR) * (latitude >= 0 ? 1 : -1);
+    return {
+        clear: 4,
+        passing: 3,
+        overcast: 2,
+        rain: 2,
+        heatwave: 0.2 + Math.max(0, summer),
+        coldsnap: 0.2 + Math.max(0, -summer)
+    };
+}
+
+// Liebig's Law of the Minimum: each factor is turned into a 0-100 effect
+// and the scarcest one sets the rate.
+function computeRate(factors, species = getSpecies(DEFAULT_SPECIES)) {
+    const lightEffect = lightResponse(factors.light, species);
+    const co2Effect = 100 * (factors.co2 / (factors.co2 + species.co2HalfSat));
+    const tempDiff = Math.abs(factors.temp - species.optimalTemp);
+    let tempEffect = 100 * Math.exp(-(Math.pow(tempDiff, 2) / (2 * Math.pow(species.tempTolerance, 2))));
+    if (tempEffect < 1) tempEffect = 0;
+    // Roots too small for the shoot cap the water supply however wet the soil
+    const uptake = factors.uptake === undefined ? 100 : factors.uptake;
+    const waterEffect = Math.min(waterResponse(factors.water, species), uptake);
+    // Without soil levels (e.g. the response curves) nutrients never limit
+    const nutrientEffect = factors.soil
+        ? Math.min(...Object.values(nutrientEffects(factors.soil, factors.rootShare)))
+        : 100;
+
+    let rate = Math.min(lightEffect, co2Effect, tempEffect, waterEffect, nutrientEffect);
+
+    // Night Logic: Rate is 0
+    if (factors.light < 1) rate = 0;
+
+    // Determine Limiting Factor
+    let limitingFactor;
+    if (rate === lightEffect) limitingFactor = 'light';
+    else if (rate === co2Effect) limitingFactor = 'co2';
+    else if (rate === tempEffect) limitingFactor = 'temp';
+    else if (rate === nutrientEffect) limitingFactor = 'nutrients';
+    else limitingFactor = 'water';
+
+    return {
+        rate,
+        limitingFactor,
+        effects: { light: lightEffect, co2: co2Effect, temp: tempEffect, water: waterEffect, nutrients: nutrientEffect }
+    };
+}
+
+// Runs the rate model across the whole range of `factor` with everything
+// else held at `fixed`. Returns [{ x, y, limitingFactor }] points.
+function responseCurve(factor, fixed, steps = 50, species = getSpecies(DEFAULT_SPECIES)) {
+    const [min, max] = FACTOR_RANGES[factor];
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const x = min + (max - min) * i / steps;
+        const result = computeRate(Object.assign({}, fixed, { [factor]: x }), species);
+        points.push({ x, y: result.rate, limitingFactor: result.limitingFactor });
+    }
+    return points;
+}
+
+// Relative power in each of the WAVELENGTHS bands for a state.lightSource
+function lightSpectrum(source) {
+    if (source.type !== 'custom') return LIGHT_SOURCES[source.type].spectrum;
+    return WAVELENGTHS.map((_, i) => Object.keys(LED_SPECTRA)
+        .reduce((sum, led) => sum + LED_SPECTRA[led][i] * source.mix[led], 0));
+}
+
+// Photosynthesis driven per unit of light, weighted by the action spectrum
+function spectrumValue(spectrum) {
+    const total = spectrum.reduce((sum, power) => sum + power, 0);
+    if (!total) return 0;
+    return spectrum.reduce((sum, power, i) => sum + power * ACTION_SPECTRUM[i], 0) / total;
+}
+
+// How much a source's light is worth to the plant, sunlight = 1. Red light
+// does a little better (about 1.13), blue about as well (1.08) and light
+// through a green filter worse (0.84).
+function lightEfficiency(source) {
+    return spectrumValue(lightSpectrum(source)) / spectrumValue(SUNLIGHT_SPECTRUM);
+}
+
+// Saturating light curve; shade plants lose some of it again in full sun.
+function lightResponse(light, species) {
+    let effect = 100 * (light / (light + species.lightHalfSat));
+    const inhibition = species.photoinhibition;
+    if (inhibition && light > inhibition.start) {
+        effect *= 1 - inhibition.loss * (light - inhibition.start) / (100 - inhibition.start);
+    }
+    return effect;
+}
+
+// Drought stress: nothing below the wilting point, then stomata open up
+// quickly and the plant is unstressed from about half field capacity.
+function waterResponse(moisture, species = getSpecies(DEFAULT_SPECIES)) {
+    if (moisture <= species.wiltingPoint) return 0;
+    return 100 * (1 - Math.exp(-(moisture - species.wiltingPoint) / 12));
+}
+
+// Law of the Minimum within the soil: effect (0-100) of each nutrient for a
+// plant with `share` of the roots. Short supply limits growth like any other
+// factor; too much burns the roots, however little of the soil they reach.
+function nutrientEffects(soil, share = 1) {
+    const effects = {};
+    for (const nutrient of NUTRIENTS) {
+        const level = soil[nutrient];
+        effects[nutrient] = 100 * (1 - Math.exp(-level * share / NUTRIENT_SCALE)) * (1 - fertilizerBurn(level));
+    }
+    return effects;
+}
+
+// 0-1 damage from over-fertilized soil at this nutrient level
+function fertilizerBurn(level) {
+    return Math.max(0, Math.min(1, (level - NUTRIENT_EXCESS) / NUTRIENT_BURN_RANGE));
+}
+
+// The nutrient holding growth back most, from nutrientEffects()
+function lowestNutrient(effects) {
+    return NUTRIENTS.reduce((lowest, nutrient) => effects[nutrient] < effects[lowest] ? nutrient : lowest);
+}
+
+// Dark respiration: proportional to living biomass, Q10 temperature scaling.
+function respirationRate(biomass, temp, species = getSpecies(DEFAULT_SPECIES)) {
+    return species.respiration * biomass * Math.pow(RESPIRATION_Q10, (temp - 20) / 10);
+}
+
+// Share of the full root system currently in place (0.2 - 1).
+// A seedling's roots reach and drink far less than a mature plant's.
+function rootCapacity(rootBiomass, species = getSpecies(DEFAULT_SPECIES)) {
+    return 0.2 + 0.8 * Math.min(rootBiomass / (species.rootShootRatio * species.maxBiomass), 1);
+}
+
+// Share (0-100) of the shoot's water demand its roots can supply
+function uptakeCapacity(rootBiomass, shootBiomass, species = getSpecies(DEFAULT_SPECIES)) {
+    if (shootBiomass <= 0) return 100;
+    return 100 * Math.min(rootBiomass / (species.rootShootRatio * shootBiomass), 1);
+}
+
+// Functional balance: carbon goes where the plant is short
+function rootAllocation(effects, limitingFactor, species = getSpecies(DEFAULT_SPECIES)) {
+    let share = species.rootShootRatio / (1 + species.rootShootRatio);
+    share += ROOT_ALLOCATION_DROUGHT * (1 - effects.water / 100);
+    share += ROOT_ALLOCATION_HUNGER * (1 - effects.nutrients / 100);
+    if (limitingFactor === 'light') share -= ROOT_ALLOCATION_SHADE;
+    return Math.max(MIN_ROOT_ALLOCATION, Math.min(MAX_ROOT_ALLOCATION, share));
+}
+
+class Simulation {
+    constructor(options = {}) {
+        this.state = createInitialState(options.state);
+        this.environment = options.environment || dayCycle;
+        if (this.state.rngState === null) this.state.rngState = this.state.seed;
+    }
+
+    setSeed(seed) {
+        this.state.seed = parseSeed(seed);
+        this.state.rngState = this.state.seed;
+    }
+
+    // Deterministic 0-1 random number for anything stochastic in the model
+    random() {
+        const [value, next] = mulberry32(this.state.rngState);
+        this.state.rngState = next;
+        return value;
+    }
+
+    // Manual override of a factor (light, co2, temp)
+    setFactor(name, value) {
+        this.state[name] = value;
+    }
+
+    setLatitude(latitude) {
+        this.state.latitude = Math.max(-66, Math.min(66, latitude));
+    }
+
+    // Move the calendar so that today falls on `doy`
+    setDate(doy) {
+        this.state.startDayOfYear = dayOfYear(2 - this.state.day, doy);
+    }
+
+    // Calendar and sun for the current day
+    calendar() {
+        const state = this.state;
+        const doy = dayOfYear(state.day, state.startDayOfYear);
+        return Object.assign({
+            dayOfYear: doy,
+            date: formatDate(doy),
+            season: seasonName(doy, state.latitude)
+        }, sunInfo(doy, state.latitude), dailyClimate(doy, state.latitude));
+    }
+
+    // 'auto' resumes the forecast; a weather type is held until changed
+    setWeather(mode) {
+        const weather = this.state.weather;
+        if (mode === 'auto') {
+            if (weather.mode !== 'auto') weather.hoursLeft = 0; // Forecast takes over
+            weather.mode = 'auto';
+            return;
+        }
+        if (!WEATHER_TYPES[mode]) throw new Error(`Unknown weather "${mode}"`);
+        weather.mode = mode;
+        weather.type = mode;
+    }
+
+    // Random event for the forecast, weighted by the time of year
+    drawWeatherEvent() {
+        const odds = weatherOdds(dayOfYear(this.state.day, this.state.startDayOfYear), this.state.latitude);
+        const total = Object.values(odds).reduce((sum, weight) => sum + weight, 0);
+        let pick = this.random() * total;
+        let type = 'clear';
+        for (const [id, weight] of Object.entries(odds)) {
+            type = id;
+            pick -= weight;
+            if (pick < 0) break;
+        }
+        const [min, max] = WEATHER_TYPES[type].hours;
+        return { type, hours: Math.round(min + this.random() * (max - min)) };
+    }
+
+    updateWeather(dt) {
+        const state = this.state;
+        const weather = state.weather;
+
+        while (weather.forecast.length < FORECAST_LENGTH) {
+            weather.forecast.push(this.drawWeatherEvent());
+        }
+
+        if (weather.mode === 'auto') {
+            weather.hoursLeft -= dt;
+            while (weather.hoursLeft <= 0) {
+                const next = weather.forecast.shift();
+                weather.forecast.push(this.drawWeatherEvent());
+                weather.type = next.type;
+                weather.duration = next.hours;
+                weather.hoursLeft += next.hours;
+            }
+        }
+
+        const target = WEATHER_TYPES[weather.type];
+        let cover = target.cloudCover;
+        if (weather.type === 'passing') {
+            // Sun keeps breaking through between clouds
+            const hours = weather.mode === 'auto' ? weather.duration - weather.hoursLeft : state.elapsed;
+            cover += 0.4 * Math.sin(2 * Math.PI * hours / PASSING_CLOUD_PERIOD);
+        }
+
+        const ease = Math.min(dt * WEATHER_EASE_PER_HOUR, 1);
+        weather.cloudCover += (cover - weather.cloudCover) * ease;
+        weather.rain += (target.rain - weather.rain) * ease;
+        weather.tempShift += (target.tempShift - weather.tempShift) * ease;
+
+        // Rain soaks the soil and leaves puddles that dry off afterwards
+        state.water = Math.min(100, state.water + weather.rain * dt);
+        if (weather.rain > 0.1) {
+            weather.wetness = Math.min(1, weather.wetness + weather.rain * 0.2 * dt);
+        } else {
+            weather.wetness = Math.max(0, weather.wetness - PUDDLE_DRYING_PER_HOUR * dt);
+        }
+    }
+
+    setAutoPlay(enabled) {
+        this.state.autoPlay = enabled;
+    }
+
+    // Plain copy of the model state, safe to JSON.stringify
+    snapshot() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+
+    // Load a snapshot in place (keeps `state` references valid). Fields
+    // missing from older saves fall back to their defaults.
+    restore(data) {
+        checkSavedState(data);
+        Object.assign(this.state, createInitialState(data));
+        if (this.state.rngState === null) this.state.rngState = this.state.seed;
+        this.mirrorSelected();
+    }
+
+    // The plant shown in the HUD
+    get plant() {
+        const state = this.state;
+        return state.plants.find(p => p.id === state.selectedPlant) || state.plants[0];
+    }
+
+    selectPlant(id) {
+        if (!this.state.plants.some(p => p.id === id)) throw new Error(`No plant #${id}`);
+        this.state.selectedPlant = id;
+        this.mirrorSelected();
+    }
+
+    // Copy the selected plant onto the top-level fields
+    mirrorSelected() {
+        const plant = this.plant;
+        this.state.selectedPlant = plant.id;
+        for (const key of PLANT_FIELDS) this.state[key] = plant[key];
+    }
+
+    // New seedling at `x` cm; defaults to the selected plant's species
+    addPlant(options = {}) {
+        const state = this.state;
+        if (state.plants.length >= MAX_PLANTS) throw new Error(`The bed holds at most ${MAX_PLANTS} plants`);
+        const species = options.species === undefined ? this.plant.species
+            : typeof options.species === 'string' ? getSpecies(options.species) : normalizeSpecies(options.species);
+        const plant = createPlant({
+            id: state.nextPlantId++,
+            x: Math.max(-BED_HALF_WIDTH, Math.min(BED_HALF_WIDTH, options.x || 0)),
+            species
+        });
+        if (options.biomass !== undefined) plant.biomass = options.biomass;
+        state.plants.push(plant);
+        return plant;
+    }
+
+    removePlant(id) {
+        const state = this.state;
+        if (state.plants.length === 1) throw new Error('The bed needs at least one plant');
+        state.plants = state.plants.filter(p => p.id !== id);
+        this.mirrorSelected();
+    }
+
+    // Replace the whole bed with fresh seedlings: [{ x, species }]
+    plantBed(layout) {
+        const state = this.state;
+        state.plants = [];
+        state.nextPlantId = 1;
+        for (const entry of layout.slice(0, MAX_PLANTS)) {
+            const plant = {
+                id: state.nextPlantId++,
+                x: Math.max(-BED_HALF_WIDTH, Math.min(BED_HALF_WIDTH, entry.x || 0)),
+                species: typeof entry.species === 'string' ? getSpecies(entry.species) : normalizeSpecies(entry.species)
+            };
+            if (entry.biomass > 0) plant.biomass = entry.biomass; // Roots start in balance with it
+            state.plants.push(createPlant(plant));
+        }
+        if (!state.plants.length) state.plants.push(createPlant({ id: state.nextPlantId++ }));
+        state.selectedPlant = state.plants[0].id;
+        this.mirrorSelected();
+    }
+
+    // Accepts a built-in id or a custom profile object. A different plant
+    // means a fresh seedling.
+    setSpecies(species) {
+        this.plant.species = typeof species === 'string'
+            ? getSpecies(species)
+            : normalizeSpecies(species);
+        this.replant();
+    }
+
+    // Start over with a fresh seedling, roots and all
+    replant() {
+        const fresh = createPlant({ species: this.plant.species });
+        Object.assign(this.plant, {
+            biomass: fresh.biomass,
+            rootBiomass: fresh.rootBiomass,
+            rootAllocation: fresh.rootAllocation,
+            uptake: fresh.uptake,
+            health: fresh.health,
+            plantStatus: fresh.plantStatus,
+            netAverage: fresh.netAverage
+        });
+        this.mirrorSelected();
+    }
+
+    waterPlant(amount = WATERING_AMOUNT) {
+        this.state.water = Math.min(100, this.state.water + amount);
+    }
+
+    // One application of a FERTILIZERS type. Nothing stops a heavy hand:
+    // past NUTRIENT_EXCESS the salts burn the roots.
+    fertilize(type = 'balanced') {
+        const fertilizer = FERTILIZERS[type];
+        if (!fertilizer) throw new Error(`Unknown fertilizer "${type}"`);
+        const soil = this.state.soil;
+        for (const nutrient of NUTRIENTS) {
+            soil[nutrient] = Math.min(MAX_NUTRIENT, soil[nutrient] + fertilizer.dose[nutrient]);
+        }
+        return soil;
+    }
+
+    // Seal the bed in a chamber of `volume` litres, or open it to the room
+    // again (which lets the room's O₂ back in). CO₂ starts from its
+    // current level.
+    setChamber(sealed, volume = this.state.chamber.volume) {
+        if (typeof volume !== 'number' || !(volume > 0)) throw new Error('Chamber volume must be a number of litres above zero');
+        const chamber = this.state.chamber;
+        chamber.sealed = Boolean(sealed);
+        chamber.volume = volume;
+        if (!chamber.sealed) chamber.o2 = AMBIENT_O2;
+        return chamber;
+    }
+
+    // A LIGHT_SOURCES id; `mix` sets any of the custom mix's red, green and
+    // blue LEDs (0-1)
+    setLightSource(type, mix = {}) {
+        if (!LIGHT_SOURCES[type]) throw new Error(`Unknown light source "${type}"`);
+        const source = this.state.lightSource;
+        for (const [led, level] of Object.entries(mix)) {
+            if (!LED_SPECTRA[led]) throw new Error(`Unknown LED "${led}" (expected red, green or blue)`);
+            if (typeof level !== 'number' || !isFinite(level)) throw new Error(`The ${led} LED needs a number from 0 to 1`);
+            source.mix[led] = Math.max(0, Math.min(1, level));
+        }
+        source.type = type;
+        return source;
+    }
+
+    // A dose of CO₂ into the sealed chamber; returns the new level
+    injectCO2(amount = CO2_INJECTION) {
+        if (!this.state.chamber.sealed) throw new Error('The chamber is open; set CO₂ directly');
+        this.state.co2 = Math.min(FACTOR_RANGES.co2[1], this.state.co2 + amount);
+        return this.state.co2;
+    }
+
+    // Runs after the carbon balance: what the plants fixed came out of the
+    // chamber's air, what they respired went back in
+    updateChamber(dt) {
+        const state = this.state;
+        const chamber = state.chamber;
+        if (!chamber.sealed) return;
+        const net = state.plants.reduce((sum, plant) => sum + plant.netRate, 0);
+        const [min, max] = FACTOR_RANGES.co2;
+        const co2 = Math.max(min, Math.min(max, state.co2 - net * dt * CO2_PER_BIOMASS / chamber.volume));
+        chamber.o2 += (state.co2 - co2) * O2_PER_CO2;
+        state.co2 = co2;
+    }
+
+    // Evaporation rises with temperature; uptake follows the transpiration
+    // stream, so it scales with both the rate and the size of the roots.
+    updateSoilWater(dt) {
+        const state = this.state;
+        const evaporation = BASE_EVAPORATION + EVAPORATION_PER_DEGREE * Math.max(state.temp, 0);
+        const uptake = state.plants.reduce((sum, plant) =>
+            sum + plant.species.waterUse * (plant.growthRate / 100) * rootCapacity(plant.rootBiomass, plant.species), 0);
+        state.water = Math.max(0, state.water - (evaporation + uptake) * dt);
+    }
+
+    // Runs after the carbon balance, so uptake follows this step's growth.
+    // Organic matter slowly gives back what poor soil lacks; rain washes
+    // nitrate out, the more of it there is.
+    updateSoilNutrients(dt) {
+        const state = this.state;
+        const soil = state.soil;
+        const grown = state.plants.reduce((sum, plant) => sum + plant.grossRate * dt, 0);
+        for (const nutrient of NUTRIENTS) {
+            let level = soil[nutrient] - grown * NUTRIENT_DEMAND[nutrient];
+            if (level < SOIL_FERTILITY) level = Math.min(SOIL_FERTILITY, level + MINERALIZATION_PER_HOUR * dt);
+            soil[nutrient] = Math.max(0, level);
+        }
+        soil.n *= 1 - Math.min(1, state.weather.rain * NITRATE_LEACHING * dt);
+    }
+
+    calculateEnvironment(dt) {
+        const state = this.state;
+        if (!state.autoPlay) return;
+
+        state.time += dt;
+        while (state.time >= 24) {
+            state.time -= 24;
+            state.day++;
+        }
+
+        const env = this.environment(state.time, state.day, state);
+        this.updateWeather(dt);
+        state.light = env.light * cloudAttenuation(state.weather.cloudCover);
+        state.temp = env.temp + state.weather.tempShift;
+    }
+
+    // Each plant sees the shared factors minus what its neighbours take
+    calculateRate() {
+        const state = this.state;
+        const shares = competition(state.plants);
+        // What the light is worth after its colour, before the neighbours' shade
+        const light = Math.min(FACTOR_RANGES.light[1], state.light * lightEfficiency(state.lightSource));
+        state.plants.forEach((plant, i) => {
+            plant.lightShare = shares[i].light;
+            plant.rootShare = shares[i].water;
+            if (plant.plantStatus === 'dead') {
+                plant.growthRate = 0;
+                plant.limitingFactor = 'None';
+                return;
+            }
+            plant.uptake = uptakeCapacity(plant.rootBiomass, plant.biomass, plant.species);
+            const result = computeRate({
+                light: light * plant.lightShare,
+                co2: state.co2,
+                temp: state.temp,
+                water: state.water * plant.rootShare,
+                uptake: plant.uptake,
+                soil: state.soil,
+                rootShare: plant.rootShare
+            }, plant.species);
+            plant.growthRate = result.rate;
+            plant.limitingFactor = result.limitingFactor;
+            plant.effects = result.effects;
+        });
+        this.mirrorSelected();
+        return state.growthRate;
+    }
+
+    // Advance the model by `dt` hours. The plant keeps responding to manual
+    // factors while the clock is paused, just as it does on screen.
+    step(dt = DEFAULT_TIME_STEP) {
+        this.state.elapsed += dt;
+        this.calculateEnvironment(dt);
+        this.calculateRate();
+        this.updateSoilWater(dt);
+        for (const plant of this.state.plants) this.updateCarbonBalance(plant, dt);
+        this.updateSoilNutrients(dt);
+        this.updateChamber(dt);
+        this.mirrorSelected();
+        this.updateDaySummary(dt);
+        return this.state;
+    }
+
+    updateDaySummary(dt) {
+        const state = this.state;
+        if (state.today.day !== state.day) {
+            state.dayHistory.push(state.today);
+            state.today = createDaySummary(state.day);
+        }
+
+        const today = state.today;
+        today.gross += state.grossRate * dt;
+        today.respiration += state.respiration * dt;
+        const limit = state.growthRate >= SATURATION_RATE || state.limitingFactor === 'None'
+            ? 'none' : state.limitingFactor;
+        // Days saved before nutrients counted have no entry for them
+        today.limitedHours[limit] = (today.limitedHours[limit] || 0) + dt;
+    }
+
+    updateCarbonBalance(plant, dt) {
+        if (plant.plantStatus === 'dead') {
+            plant.grossRate = plant.respiration = plant.netRate = 0;
+            return;
+        }
+
+        // Both organs respire; new carbon is split between them
+        const species = plant.species;
+        const total = plant.biomass + plant.rootBiomass;
+        plant.grossRate = plant.biomass < species.maxBiomass ? plant.growthRate * species.growthPerHour : 0;
+        plant.respiration = respirationRate(total, this.state.temp, species);
+        plant.netRate = plant.grossRate - plant.respiration;
+        plant.rootAllocation = rootAllocation(plant.effects, plant.limitingFactor, species);
+
+        const burned = plant.respiration * dt;
+        const toRoots = plant.grossRate * dt * plant.rootAllocation;
+        plant.rootBiomass = Math.max(0, plant.rootBiomass + toRoots - burned * plant.rootBiomass / total);
+        plant.biomass = Math.max(0, plant.biomass + plant.grossRate * dt - toRoots - burned * plant.biomass / total);
+
+        // Nights are always in deficit, so judge health on the running average
+        plant.netAverage += (plant.netRate - plant.netAverage) * Math.min(dt / BALANCE_WINDOW, 1);
+        if (plant.netAverage < 0) {
+            plant.health = Math.max(0, plant.health - HEALTH_LOSS_PER_HOUR * dt);
+        } else {
+            plant.health = Math.min(100, plant.health + HEALTH_GAIN_PER_HOUR * dt);
+        }
+
+        // Over-fertilized soil scorches the roots whatever the balance
+        const burn = Math.max(...NUTRIENTS.map(nutrient => fertilizerBurn(this.state.soil[nutrient])));
+        plant.health = Math.max(0, plant.health - FERTILIZER_BURN_PER_HOUR * burn * dt);
+
+        if (plant.health <= 0 || plant.biomass < MIN_BIOMASS) plant.plantStatus = 'dead';
+        else if (plant.health < WILTING_HEALTH) plant.plantStatus = 'wilting';
+        else plant.plantStatus = 'healthy';
+    }
+
+    // Convenience for batch runs: step through `hours` of simulated time.
+    run(hours, dt = DEFAULT_TIME_STEP) {
+        const steps = Math.round(hours / dt);
+        for (let i = 0; i < steps; i++) this.step(dt);
+        return this.state;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Simulation,
+        createInitialState,
+        mulberry32,
+        createPlant,
+        plantGeometry,
+        isFlowering,
+        competition,
+        BED_HALF_WIDTH,
+        MAX_PLANTS,
+        parseSeed,
+        dayCycle,
+        dayOfYear,
+        formatDate,
+        seasonName,
+        sunInfo,
+        sunElevation,
+        dailyClimate,
+        MONTH_STARTS,
+        WEATHER_TYPES,
+        cloudAttenuation,
+        weatherOdds,
+        computeRate,
+        responseCurve,
+        FACTOR_RANGES,
+        waterResponse,
+        NUTRIENTS,
+        FERTILIZERS,
+        nutrientEffects,
+        fertilizerBurn,
+        lowestNutrient,
+        WAVELENGTHS,
+        CHLOROPHYLL_ABSORPTION,
+        ACTION_SPECTRUM,
+        LED_SPECTRA,
+        LIGHT_SOURCES,
+        lightSpectrum,
+        lightEfficiency,
+        AMBIENT_O2,
+        CHAMBER_VOLUMES,
+        CO2_PER_BIOMASS,
+        O2_PER_CO2,
+        CO2_INJECTION,
+        rootCapacity,
+        uptakeCapacity,
+        rootAllocation,
+        respirationRate,
+        SPECIES_PROFILES,
+        DEFAULT_SPECIES,
+        normalizeSpecies,
+        getSpecies,
+        lightResponse,
+        DEFAULT_TIME_STEP,
+        SATURATION_RATE
+    };
+}
@@ -0,0 +1,278 @@
+// --- Save, Load & Scenario Sharing ---
+// Full saves (localStorage / JSON file) carry the model state, chart history
+// and scene layout. The URL hash carries only the scenario settings, short
+// enough for a teacher to paste into a worksheet.
+
+const SAVE_KEY = 'photosynthesis-save';
+const SAVE_VERSION = 2;
+
+// Hash keys, in the order they're written
+const HASH_FIELDS = ['day', 'time', 'light', 'co2', 'temp', 'water', 'biomass', 'latitude', 'startDayOfYear'];
+// Keys for state that isn't a plain number field
+const HASH_EXTRAS = ['seed', 'plants', ...NUTRIENTS, 'source', 'mix', 'chamber', 'o2'];
+
+// What the controls allow; link values are clamped to these
+const SCENARIO_RANGES = {
+    light: FACTOR_RANGES.light,
+    co2: FACTOR_RANGES.co2,
+    temp: FACTOR_RANGES.temp,
+    water: FACTOR_RANGES.water,
+    time: [0, 23.99],
+    latitude: [-66, 66],
+    startDayOfYear: [1, 365],
+    biomass: [1, 1000]
+};
+
+function roundForHash(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function captureSnapshot() {
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        state: simulation.snapshot(),
+        sliders: {
+            light: Number(document.getElementById('slider-light').value),
+            co2: Number(document.getElementById('slider-co2').value),
+            temp: Number(document.getElementById('slider-temp').value),
+            water: Number(document.getElementById('slider-water').value)
+        },
+        chart: captureChartHistory(),
+        scene: {
+            roots: rootSystems,
+            shoots: shootSystems,
+            grass: grassBlades
+        }
+    };
+}
+
+function applySnapshot(snapshot) {
+    if (!snapshot || typeof snapshot.state !== 'object') {
+        throw new Error('Not a simulator save file');
+    }
+
+    try {
+        simulation.restore(snapshot.state);
+    } catch (err) {
+        throw new Error(`Not a simulator save file (${err.message})`);
+    }
+
+    if (snapshot.chart) restoreChartHistory(snapshot.chart);
+
+    if (snapshot.scene) {
+        if (snapshot.scene.roots) {
+            rootSystems = {};
+            for (const [id, data] of Object.entries(snapshot.scene.roots)) {
+                const roots = RootSystem.fromJSON(data);
+                if (roots) rootSystems[id] = roots;
+            }
+        }
+        shootSystems = {};
+        for (const [id, data] of Object.entries(snapshot.scene.shoots || {})) {
+            const shoot = ShootSystem.fromJSON(data);
+            if (shoot) shootSystems[id] = shoot;
+        }
+        if (Array.isArray(snapshot.scene.grass) && snapshot.scene.grass.length) {
+            grassBlades = snapshot.scene.grass.map(GrassBlade.fromJSON);
+        }
+    }
+    resetLayers(); // Same sizes, different scenery
+
+    syncControls(snapshot.sliders);
+    resetTimeline();
+    recorder.clear(); // The save's run, not the one it replaced
+}
+
+// Push loaded values back into the HUD controls
+function syncControls(sliderValues = {}) {
+    for (const name of ['light', 'co2', 'temp', 'water']) {
+        const value = sliderValues[name] !== undefined ? sliderValues[name] : state[name];
+        document.getElementById(`slider-${name}`).value = value;
+    }
+    renderPauseButton();
+    document.getElementById('input-seed').value = state.seed;
+    renderSpeciesOptions();
+    renderPlantList();
+}
+
+// --- localStorage ---
+function saveToBrowser() {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(captureSnapshot()));
+}
+
+function loadFromBrowser() {
+    const raw = localStorage.getItem(SAVE_KEY);
+    if (!raw) return false;
+    applySnapshot(JSON.parse(raw));
+    return true;
+}
+
+// --- Scenario Files ---
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function exportScenario() {
+    const snapshot = captureSnapshot();
+    downloadFile(`photosynthesis-day${state.day}.json`, JSON.stringify(snapshot, null, 2), 'application/json');
+}
+
+function importScenario(file) {
+    return file.text().then(text => applySnapshot(JSON.parse(text)));
+}
+
+// --- URL Hash ---
+function scenarioToHash() {
+    const params = new URLSearchParams();
+    for (const key of HASH_FIELDS) {
+        const value = state[key];
+        params.set(key, key === 'day' ? value : roundForHash(value));
+    }
+    for (const nutrient of NUTRIENTS) params.set(nutrient, roundForHash(state.soil[nutrient]));
+    const source = state.lightSource;
+    if (source.type !== 'sunlight') params.set('source', source.type);
+    if (source.type === 'custom') {
+        params.set('mix', Object.keys(LED_SPECTRA).map(led => Math.round(source.mix[led] * 100)).join(','));
+    }
+    if (state.chamber.sealed) {
+        params.set('chamber', state.chamber.volume);
+        params.set('o2', Math.round(state.chamber.o2 * 1000) / 1000);
+    }
+    if (!state.autoPlay) params.set('paused', '1');
+    params.set('seed', state.seed);
+    let hash = `#${params.toString()}`;
+    // Always written, so a lone fern still opens as a fern. Added unencoded
+    // so the layout stays readable (species ids are URL-safe).
+    hash += `&plants=${state.plants.map(p => `${p.species.id}@${Math.round(p.x)}:${roundForHash(p.biomass)}`).join(',')}`;
+    return hash;
+}
+
+// Returns false if the hash holds no scenario. A link may carry just a
+// seed (e.g. #seed=42) to reproduce a scene without fixing the settings,
+// `plants=wheat@0:20,maize@80:35` lays out the bed (species@cm:biomass,
+// the biomass optional), `n`, `p`, `k`
+// set the soil's nutrients, `source=custom&mix=100,0,50` picks the light
+// (mix: red, green and blue LEDs in %) and `chamber=25&o2=21.1` seals the
+// bed in 25 L of air. A link with settings but no `source` or `chamber`
+// means sunlight and open air.
+function applyScenarioHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (![...HASH_FIELDS, ...HASH_EXTRAS].some(key => params.has(key))) return false;
+
+    if (params.has('seed')) setSimulationSeed(params.get('seed'));
+
+    if (params.has('plants')) {
+        simulation.plantBed(params.get('plants').split(',').map(entry => {
+            const [species, place = ''] = entry.split('@');
+            const [x, biomass] = place.split(':').map(parseFloat);
+            const [min, max] = SCENARIO_RANGES.biomass;
+            return { species, x: x || 0, biomass: biomass > 0 ? Math.max(min, Math.min(max, biomass)) : undefined };
+        }));
+        rootSystems = {};
+        shootSystems = {};
+        resetLayers();
+    }
+
+    const data = {};
+    for (const key of HASH_FIELDS) {
+        if (!params.has(key)) continue;
+        const value = parseFloat(params.get(key));
+        if (isNaN(value)) continue;
+        const range = SCENARIO_RANGES[key];
+        data[key] = key === 'day' ? Math.max(1, Math.round(value))
+            : range ? Math.max(range[0], Math.min(range[1], value)) : value;
+    }
+    if (Object.keys(data).length) data.autoPlay = params.get('paused') !== '1';
+
+    Object.assign(state, data);
+    for (const nutrient of NUTRIENTS) {
+        const level = parseFloat(params.get(nutrient));
+        if (!isNaN(level)) state.soil[nutrient] = Math.max(0, Math.min(MAX_NUTRIENT, level));
+    }
+    const sourceType = params.get('source');
+    if (LIGHT_SOURCES[sourceType]) {
+        const levels = (params.get('mix') || '').split(',').map(parseFloat);
+        const mix = {};
+        Object.keys(LED_SPECTRA).forEach((led, i) => {
+            if (!isNaN(levels[i])) mix[led] = levels[i] / 100;
+        });
+        simulation.setLightSource(sourceType, mix);
+    } else if (Object.keys(data).length) {
+        simulation.setLightSource('sunlight');
+    }
+
+    const volume = parseFloat(params.get('chamber'));
+    if (volume > 0) {
+        simulation.setChamber(true, volume);
+        const o2 = parseFloat(params.get('o2'));
+        if (!isNaN(o2)) state.chamber.o2 = Math.max(0, Math.min(100, o2));
+    } else if (Object.keys(data).length) {
+        simulation.setChamber(false);
+    }
+    if (data.biomass !== undefined && !/:/.test(params.get('plants') || '')) {
+        // Older links: one biomass, for a bed of one. Roots start in
+        // balance with the linked shoot.
+        const plant = simulation.plant;
+        plant.biomass = data.biomass;
+        plant.rootBiomass = data.biomass * plant.species.rootShootRatio;
+    }
+    syncControls();
+    resetTimeline();
+    return true;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('btn-save').addEventListener('click', () => {
+        try {
+            saveToBrowser();
+            showToast(t('storage.saved'));
+        } catch (err) {
+            showToast(t('storage.couldNotSave', { error: err.message }));
+        }
+    });
+
+    document.getElementById('btn-load').addEventListener('click', () => {
+        try {
+            showToast(t(loadFromBrowser() ? 'storage.loaded' : 'storage.noSave'));
+        } catch (err) {
+            showToast(t('storage.couldNotLoad', { error: err.message }));
+        }
+    });
+
+    document.getElementById('btn-export').addEventListener('click', exportScenario);
+
+    const fileInput = document.getElementById('input-import');
+    document.getElementById('btn-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        importScenario(file)
+            .then(() => showToast(t('storage.loadedFile', { file: file.name })))
+            .catch(err => showToast(t('file.couldNotLoad', { file: file.name, error: err.message })))
+            .finally(() => { fileInput.value = ''; });
+    });
+
+    document.getElementById('btn-share').addEventListener('click', () => {
+        history.replaceState(null, '', scenarioToHash());
+        const url = location.href;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => showToast(t('storage.linkCopied')))
+                .catch(() => showToast(t('storage.linkInAddressBar')));
+        } else {
+            showToast(t('storage.linkInAddressBar'));
+        }
+    });
+
+    // Opening a shared link starts from that scenario
+    if (applyScenarioHash(location.hash)) showToast(t('storage.linkLoaded'));
+    window.addEventListener('hashchange', () => applyScenarioHash(location.hash));
+});
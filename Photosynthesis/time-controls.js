@@ -0,0 +1,208 @@
+// --- Time Controls ---
+// The model always moves in fixed DEFAULT_TIME_STEP steps; wall-clock time
+// only decides how many steps run each frame. A run therefore comes out
+// the same on a 30 Hz laptop and a 144 Hz monitor, at any speed.
+
+const TIME_SPEEDS = [
+    { label: '½×', hoursPerSecond: 0.6 },
+    { label: '1×', hoursPerSecond: 1.2 }, // 0.02 h per frame at 60 fps
+    { label: '4×', hoursPerSecond: 4.8 },
+    { days: 1, hoursPerSecond: 24 },
+    { days: 3, hoursPerSecond: 72 }
+];
+const DEFAULT_SPEED = 1;
+const MAX_FRAME_SECONDS = 0.25;  // A hidden tab shouldn't fast-forward on return
+const MAX_STEPS_PER_FRAME = 200; // Past this the run slows down rather than freeze
+const MAX_JUMP_DAYS = 60;
+
+const timeline = new Timeline();
+
+let speed = TIME_SPEEDS[DEFAULT_SPEED];
+let pendingHours = 0; // Model time owed to the clock, less than one step
+let replay = null;    // { index, playing, live } while viewing the timeline
+
+// Called once per frame with the real time since the last one
+function advanceSimulation(seconds) {
+    if (replay) {
+        advanceReplay(seconds);
+        return;
+    }
+
+    pendingHours += Math.min(seconds, MAX_FRAME_SECONDS) * speed.hoursPerSecond;
+    let steps = Math.floor(pendingHours / DEFAULT_TIME_STEP + 1e-9);
+    pendingHours -= steps * DEFAULT_TIME_STEP;
+    if (steps > MAX_STEPS_PER_FRAME) {
+        steps = MAX_STEPS_PER_FRAME;
+        pendingHours = 0;
+    }
+    for (let i = 0; i < steps; i++) stepTimeline();
+    refreshCharts();
+}
+
+function stepTimeline() {
+    updateSimulation();
+    timeline.update(simulation);
+}
+
+// Run the clock forward `hours`, even while paused; the plant lives
+// through every step on the way
+function runClock(hours) {
+    if (replay) leaveReplay(false);
+    const wasPlaying = state.autoPlay;
+    simulation.setAutoPlay(true);
+    const steps = Math.round(hours / DEFAULT_TIME_STEP);
+    // A finished challenge stops the clock itself
+    for (let i = 0; i < steps && state.autoPlay; i++) stepTimeline();
+    if (state.autoPlay) simulation.setAutoPlay(wasPlaying);
+    renderPauseButton();
+    refreshCharts();
+    renderTimeline();
+}
+
+function hoursUntilSunrise() {
+    const { sunrise } = simulation.calendar();
+    return state.time < sunrise ? sunrise - state.time : 24 - state.time + sunrise;
+}
+
+function jumpTo(day, time) {
+    const hours = (day - state.day) * 24 + (time - state.time);
+    if (hours <= 0) {
+        showToast(t('time.passed'));
+        return;
+    }
+    if (hours > MAX_JUMP_DAYS * 24) {
+        showToast(t('time.tooFar', { days: MAX_JUMP_DAYS }));
+        return;
+    }
+    runClock(hours);
+    showToast(t('time.jumped', { day: state.day, time: formatClock(state.time) }));
+}
+
+// --- Replay ---
+function enterReplay(index) {
+    if (!replay) replay = { index, playing: false, live: simulation.snapshot() };
+    showTimelineFrame(index);
+}
+
+function showTimelineFrame(index) {
+    replay.index = Math.max(0, Math.min(timeline.length - 1, index));
+    simulation.restore(timeline.at(replay.index));
+    syncControls();
+    renderTimeline();
+}
+
+// Step through the snapshots at the chosen speed
+function advanceReplay(seconds) {
+    if (!replay.playing) return;
+    replay.elapsed = (replay.elapsed || 0) + Math.min(seconds, MAX_FRAME_SECONDS) * speed.hoursPerSecond;
+    const frames = Math.floor(replay.elapsed / timeline.interval);
+    if (!frames) return;
+    replay.elapsed -= frames * timeline.interval;
+    if (replay.index + frames >= timeline.length - 1) {
+        leaveReplay(false);
+        return;
+    }
+    showTimelineFrame(replay.index + frames);
+}
+
+// Either back to where the run had got to, or carry on from the frame on
+// screen and forget what came after it
+function leaveReplay(continueHere) {
+    if (!replay) return;
+    if (continueHere) {
+        timeline.truncate(state.elapsed);
+        recorder.truncate(state.elapsed);
+        truncateChartHistory();
+    } else {
+        simulation.restore(replay.live);
+    }
+    replay = null;
+    pendingHours = 0;
+    syncControls();
+    renderTimeline();
+}
+
+function renderTimeline() {
+    const slider = document.getElementById('slider-timeline');
+    const label = document.getElementById('timeline-label');
+    const replayBtn = document.getElementById('btn-replay');
+    slider.max = timeline.length;
+    slider.value = replay ? replay.index : timeline.length;
+    setText(label, replay ? t('time.replayAt', { day: state.day, time: formatClock(state.time) }) : t('time.live'));
+    replayBtn.disabled = !replay;
+    setText(replayBtn, replay && replay.playing ? '⏸' : '▶');
+    document.getElementById('btn-continue').classList.toggle('hidden', !replay);
+    document.getElementById('btn-live').classList.toggle('hidden', !replay);
+    document.getElementById('time-controls').classList.toggle('replaying', Boolean(replay));
+}
+
+function speedLabel(speed) {
+    return speed.label || t('time.speedDays', { days: speed.days });
+}
+
+function renderSpeedOptions() {
+    const select = document.getElementById('select-speed');
+    const value = select.value || String(DEFAULT_SPEED);
+    select.replaceChildren(...TIME_SPEEDS.map((s, i) => new Option(speedLabel(s), i)));
+    select.value = value;
+}
+
+// A restored save or a new level starts a new history
+function resetTimeline() {
+    replay = null;
+    pendingHours = 0;
+    timeline.clear();
+    timeline.update(simulation);
+    renderTimeline();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const speedSelect = document.getElementById('select-speed');
+    renderSpeedOptions();
+    speedSelect.addEventListener('change', () => {
+        speed = TIME_SPEEDS[Number(speedSelect.value)];
+        pendingHours = 0;
+    });
+
+    document.getElementById('btn-step').addEventListener('click', () => {
+        simulation.setAutoPlay(false);
+        runClock(1);
+    });
+    document.getElementById('btn-sunrise').addEventListener('click', () => runClock(hoursUntilSunrise()));
+
+    const jumpDay = document.getElementById('input-jump-day');
+    const jumpTime = document.getElementById('input-jump-time');
+    document.getElementById('btn-jump').addEventListener('click', () => {
+        const [hours, minutes] = (jumpTime.value || '00:00').split(':').map(Number);
+        const day = parseInt(jumpDay.value);
+        if (isNaN(day)) return;
+        jumpTo(day, hours + minutes / 60);
+    });
+
+    const slider = document.getElementById('slider-timeline');
+    slider.addEventListener('input', () => {
+        const index = Number(slider.value);
+        if (index >= timeline.length) leaveReplay(false);
+        else enterReplay(index);
+    });
+    document.getElementById('btn-replay').addEventListener('click', () => {
+        if (!replay) return;
+        replay.playing = !replay.playing;
+        renderTimeline();
+    });
+    document.getElementById('btn-continue').addEventListener('click', () => leaveReplay(true));
+    document.getElementById('btn-live').addEventListener('click', () => leaveReplay(false));
+
+    // The slider's range grows with the run; the jump box follows the clock
+    setInterval(() => {
+        if (!replay) {
+            renderTimeline();
+            if (document.activeElement !== jumpDay) jumpDay.min = state.day;
+        }
+    }, 500);
+    resetTimeline();
+    onLocaleChange(() => {
+        renderSpeedOptions();
+        renderTimeline();
+    });
+});
@@ -0,0 +1,50 @@
+// --- Timeline ---
+// Snapshots of the model at a fixed interval of model time, so a run can be
+// scrubbed back and replayed. Like the recorder it works on any simulation,
+// headless or not. The oldest snapshots drop off once the buffer is full.
+
+const TIMELINE_INTERVAL = 0.5;       // Model hours between snapshots
+const TIMELINE_CAPACITY = 24 * 2 * 14; // Two weeks of snapshots
+
+class Timeline {
+    constructor(interval = TIMELINE_INTERVAL, capacity = TIMELINE_CAPACITY) {
+        this.interval = interval;
+        this.capacity = capacity;
+        this.clear();
+    }
+
+    clear() {
+        this.frames = [];
+        this.lastFrame = -Infinity;
+    }
+
+    get length() {
+        return this.frames.length;
+    }
+
+    // Call after every simulation step; keeps one snapshot per interval
+    update(simulation) {
+        const elapsed = simulation.state.elapsed;
+        if (elapsed - this.lastFrame < this.interval - 1e-9) return false;
+        this.lastFrame = elapsed;
+        this.frames.push(simulation.snapshot());
+        if (this.frames.length > this.capacity) this.frames.shift();
+        return true;
+    }
+
+    at(index) {
+        return this.frames[Math.max(0, Math.min(this.frames.length - 1, index))];
+    }
+
+    // Forget everything after `elapsed`, when the run carries on from a
+    // point in the past
+    truncate(elapsed) {
+        this.frames = this.frames.filter(frame => frame.elapsed <= elapsed + 1e-9);
+        const last = this.frames[this.frames.length - 1];
+        this.lastFrame = last ? last.elapsed : -Infinity;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Timeline, TIMELINE_INTERVAL, TIMELINE_CAPACITY };
+}
@@ -0,0 +1,73 @@
+// --- Units ---
+// The model keeps light and CO₂ on 0-100 scales and temperature in °C.
+// These are the real-world units the HUD can show them in instead. Every
+// conversion is linear and only happens at the display, so saves, links,
+// lessons and levels always hold model values.
+
+const FULL_SUN_PPFD = 2000; // µmol photons m⁻² s⁻¹ at light 100 (clear midday sun)
+const LUX_PER_PPFD = 54;    // For daylight; lamps differ
+const PPM_PER_PERCENT = 10; // CO₂ 40 = 400 ppm, about today's outdoor air
+
+// value in unit = model value × scale + offset; shown rounded to `step`
+const UNITS = {
+    light: {
+        percent: { symbol: '%', scale: 1, offset: 0, step: 1 },
+        ppfd: { symbol: 'µmol m⁻² s⁻¹', scale: FULL_SUN_PPFD / 100, offset: 0, step: 10 },
+        lux: { symbol: 'lx', scale: FULL_SUN_PPFD / 100 * LUX_PER_PPFD, offset: 0, step: 100 }
+    },
+    co2: {
+        percent: { symbol: '%', scale: 1, offset: 0, step: 1 },
+        ppm: { symbol: 'ppm', scale: PPM_PER_PERCENT, offset: 0, step: 10 }
+    },
+    temp: {
+        c: { symbol: '°C', scale: 1, offset: 0, step: 1 },
+        f: { symbol: '°F', scale: 9 / 5, offset: 32, step: 1 }
+    }
+};
+
+// The model's own scales
+const DEFAULT_UNITS = { light: 'percent', co2: 'percent', temp: 'c' };
+
+function unitInfo(factor, unit) {
+    const units = UNITS[factor];
+    if (!units) throw new Error(`No units for "${factor}"`);
+    return units[unit] || units[DEFAULT_UNITS[factor]];
+}
+
+function toUnit(factor, unit, value) {
+    const info = unitInfo(factor, unit);
+    return value * info.scale + info.offset;
+}
+
+// A value typed in the given unit back to the model's scale
+function fromUnit(factor, unit, value) {
+    const info = unitInfo(factor, unit);
+    return (value - info.offset) / info.scale;
+}
+
+// Model value to the given unit, rounded for display
+function roundedUnit(factor, unit, value) {
+    const step = unitInfo(factor, unit).step;
+    return Math.round(toUnit(factor, unit, value) / step) * step;
+}
+
+function formatUnit(factor, unit, value) {
+    const info = unitInfo(factor, unit);
+    const text = roundedUnit(factor, unit, value);
+    return info.symbol === '%' ? `${text}%` : `${text} ${info.symbol}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UNITS,
+        DEFAULT_UNITS,
+        FULL_SUN_PPFD,
+        LUX_PER_PPFD,
+        PPM_PER_PERCENT,
+        unitInfo,
+        toUnit,
+        fromUnit,
+        roundedUnit,
+        formatUnit
+    };
+}